@@ -1,13 +1,155 @@
 const puppeteer = require('puppeteer');
 const sqlite3 = require('sqlite3').verbose();
 const cheerio = require('cheerio');
+const crypto = require('crypto');
+const dns = require('dns');
 const fs = require('fs');
+const net = require('net');
 const path = require('path');
+const zlib = require('zlib');
+
+// Tags kept in the sanitized content HTML; i/b/strike/del are normalized to their semantic equivalents
+const INLINE_CONTENT_TAGS = {
+    em: 'em', i: 'em',
+    strong: 'strong', b: 'strong',
+    u: 'u',
+    s: 's', strike: 's', del: 's',
+    sub: 'sub', sup: 'sup'
+};
+const HEADING_CONTENT_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const DROPPED_CONTENT_TAGS = new Set([
+    'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed',
+    'form', 'button', 'input', 'select', 'textarea', 'label',
+    'svg', 'canvas', 'video', 'audio', 'img', 'picture', 'figure',
+    'nav', 'aside', 'header', 'footer'
+]);
+// Dropped unless images are being downloaded, in which case <img> is kept and the others unwrapped
+const IMAGE_CONTENT_TAGS = new Set(['img', 'picture', 'figure']);
+const TRANSPARENT_INLINE_TAGS = new Set(['span', 'a', 'font', 'abbr', 'cite', 'q', 'code', 'mark', 'time', 'small', 'big', 'ins']);
+
+// Heuristic title and byline selectors, tried in order after any site profile selector
+const TITLE_SELECTORS = ['h1', '.title', '.story-title', '.post-title', '.entry-title', 'title', '.headline', '.article-title'];
+const AUTHOR_SELECTORS = ['.author', '.by-author', '.story-author', '.post-author', '.byline', '[rel="author"]', '.writer', '.created-by'];
+
+// Link classification signals (see classifyLinks); paths are matched against the lowercased pathname + search
+const LINK_ASSET_PATH = /\.(jpe?g|png|gif|webp|avif|svg|ico|css|js|json|xml|rss|pdf|zip|rar|7z|exe|dmg|mp3|mp4|m4a|ogg|wav|webm|mov|woff2?|ttf)(\?|$)/;
+const LINK_NAVIGATION_PATH = /\/(login|log-in|signin|sign-in|logout|register|signup|sign-up|account|profile|settings|search|contact|about|privacy|terms|tos|faq|help|cart|checkout|feed|rss|donate|subscribe)(\/|\?|\.|$)|[?&](action|do)=(login|register|logout|search)/;
+const LINK_INDEX_PATH = /\/(tags?|categor(y|ies)|genres?|topics?|authors?|users?|members?|archives?|series|collections?|browse|lists?|index|latest|popular)(\/|\?|\.|$)|\/page\/\d+\/?$|[?&](page|pg|paged|sort|order|filter)=/;
+const LINK_STORY_PATH = /\/(s|story|stories|fiction|fics?|works|chapters?|read|novel|books?|tales?|posts?|p|entry|entries|article)\/[^/?#]+|\/\d{4}\/\d{2}\/[^/?#]+|chapter[-_]?\d+/;
+const LINK_NAVIGATION_TEXT = /^(home|about( us)?|contact( us)?|log ?in|log ?out|sign ?in|sign ?up|register|search|menu|help|faq|privacy( policy)?|terms( of (service|use))?|rss|feed|subscribe|donate|skip to (main )?content|back to top)$/;
+const LINK_PAGINATION_TEXT = /^([«»‹›<>←→]+\s*)?(\d+|next( page)?|prev(ious)?( page)?|older( (posts|entries|stories))?|newer( (posts|entries|stories))?|first|last|load more|[«»‹›<>←→]+|\.\.\.|…)(\s*[«»‹›<>←→]+)?$/;
+const LINK_GENERIC_TEXT = /^(read more|continue reading|more|click here|here|link|page|view|open|go)$/;
+const LINK_STORY_KEYWORDS = /\b(stor(y|ies)|chapters?|tales?|fiction|novels?|books?|read|episodes?|parts?)\b/;
+// A link with no signals scores LINK_NEUTRAL_SCORE; it takes some evidence to reach the default story threshold
+const LINK_NEUTRAL_SCORE = 50;
+const LINK_MIN_SCORE = 60;
+const LINK_NAVIGATION_CONTAINERS = 'nav, header, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"], .nav, .navbar, .menu, .sidebar, .breadcrumb, .breadcrumbs, .pagination, .pager, .footer, .header';
+const LINK_CONTENT_CONTAINERS = 'main, article, [role="main"], .content, .main, .posts, .stories, .story-list, .entry-content';
+
+// Local files accepted by importFiles/importDirectory, by extension
+const IMPORT_FILE_TYPES = {
+    '.html': 'html', '.htm': 'html', '.xhtml': 'html',
+    '.txt': 'text',
+    '.md': 'markdown', '.markdown': 'markdown',
+    '.epub': 'epub'
+};
+
+// Query parameters that only track where a visitor came from and never change the page
+const TRACKING_QUERY_PARAMS = /^(utm_[a-z]+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|ref_src|igshid)$/i;
+
+// Downloaded images by content type; anything else is not stored
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/avif': 'avif',
+    'image/svg+xml': 'svg'
+};
+// Stored image references are relative to this prefix, which the server maps onto assetDir
+const ASSET_URL_PREFIX = 'story-assets';
+const MAX_ASSET_REDIRECTS = 5;
+
+// Redirects a static page fetch follows, hop by hop, before giving up
+const MAX_PAGE_REDIRECTS = 10;
+
+// Image URLs come from scraped pages, so downloads never reach loopback, private or link-local addresses
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6');
+}
+
+// Texts shorter than this (placeholders, empty pages) all look alike, so they get no fingerprint
+const MIN_FINGERPRINT_WORDS = 10;
+
+// Paragraph edits a revision diff traces before reporting the changed middle as wholly replaced (memory grows with its square)
+const MAX_DIFF_EDITS = 2000;
+
+// Time a Puppeteer page task keeps back from page expansion to read the expanded page
+const PAGE_READ_RESERVE = 3000;
+
+// Statuses worth retrying: the server is busy or briefly unavailable, not refusing the page
+const RETRYABLE_HTTP_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Background job types run by the job worker (see enqueueJob)
+const JOB_TYPES = ['scrape', 'batch', 'rss', 'refresh'];
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (compatible; StoryGetBot/1.0; +https://github.com/wbohanon/StoryGet1)';
 
 class EnhancedStoryScraper {
-    constructor() {
+    constructor(options = {}) {
         this.db = null;
         this.browser = null;
+        this.options = {
+            fetchMode: 'auto',        // 'auto' (HTTP first, Puppeteer fallback), 'http' or 'puppeteer'
+            minStaticWords: 150,      // below this, static HTML is treated as needing JavaScript
+            httpTimeout: 15000,
+            userAgent: DEFAULT_USER_AGENT,
+            maxConcurrency: 3,        // open Puppeteer pages (and parallel batch/RSS scrapes)
+            pageTimeout: 30000,
+            duplicateThreshold: 0.9,  // simhash similarity at which two stories count as near-duplicates
+            respectRobots: true,
+            robotsUserAgent: 'StoryGetBot', // product token matched against robots.txt User-agent lines
+            robotsCacheTtl: 24 * 60 * 60 * 1000,
+            minHostInterval: 1000,    // minimum gap between requests to one host, raised by Crawl-delay
+            maxRetries: 2,            // extra attempts for transient fetch errors, with exponential backoff
+            retryBaseDelay: 1000,
+            retryMaxDelay: 30000,
+            maxFailureAttempts: 5,    // scrapes of a failing URL before batches and RSS give up on it
+            downloadImages: false,    // keep illustrations and cover art, stored locally under assetDir
+            assetDir: 'story-assets',
+            maxImagesPerStory: 50,
+            maxImageBytes: 5 * 1024 * 1024,
+            maxSitemapBytes: 50 * 1024 * 1024, // per sitemap, after decompression (the sitemaps.org limit)
+            maxImportBytes: 100 * 1024 * 1024, // uncompressed size of all entries in one imported EPUB
+            followPages: false,       // join an article or chapter split over ?page=N, /page/N etc. (opt-in; otherwise flagged as morePagesAvailable)
+            maxPages: 20,             // pages fetched for one such article or chapter
+            learnBoilerplate: true,   // learn blocks repeated across a host's stories after each save
+            boilerplateMinStories: 3, // distinct stories a block must appear in to count as boilerplate
+            boilerplateSampleSize: 50, // most recent stories per host compared when learning
+            storeSnapshots: true,     // keep each fetched page's HTML (gzipped) for offline re-extraction
+            jobPollInterval: 2000,    // how often an idle job worker checks the queue
+            jobTimeout: 60 * 60 * 1000, // a job still running after this long is failed so the queue moves on (0 = no limit)
+            maxJobAttempts: 3,        // starts of one job (restarts included) before it is failed instead of re-queued
+            ...options
+        };
+
+        this.browserLaunch = null;
+        this.pagePool = { active: 0, waiting: [] };
+        this.politeness = { robots: new Map(), nextRequestAt: new Map() };
+        this.jobWorker = null;
+
+        // Fetchers take (url, options) and resolve to { html, finalUrl, status }; no prototype, so only registered names exist
+        this.fetchers = Object.assign(Object.create(null), {
+            http: (url, options) => this.fetchWithHttp(url, options),
+            puppeteer: (url, options) => this.fetchWithPuppeteer(url, options)
+        });
     }
 
     async init() {
@@ -17,11 +159,122 @@ class EnhancedStoryScraper {
         // Check and migrate database schema
         await this.migrateDatabase();
         
-        // Initialize browser
-        this.browser = await puppeteer.launch({ headless: true });
+        // The browser is launched on first use, since most pages are fetched over plain HTTP
         console.log('Enhanced scraper initialized');
     }
 
+    async getBrowser() {
+        if (this.browser && this.browser.isConnected()) {
+            return this.browser;
+        }
+
+        // Concurrent callers share a single launch
+        if (!this.browserLaunch) {
+            this.browserLaunch = puppeteer.launch({ headless: true })
+                .then(browser => {
+                    browser.on('disconnected', () => {
+                        if (this.browser === browser) {
+                            console.log('⚠️  Browser disconnected, it will be relaunched on next use');
+                            this.browser = null;
+                        }
+                    });
+                    this.browser = browser;
+                    return browser;
+                })
+                .finally(() => {
+                    this.browserLaunch = null;
+                });
+        }
+
+        return this.browserLaunch;
+    }
+
+    async resetBrowser() {
+        const browser = this.browser;
+        this.browser = null;
+        if (browser) {
+            await browser.close().catch(() => {});
+        }
+    }
+
+    // ===== PAGE POOL =====
+
+    async acquirePageSlot() {
+        if (this.pagePool.active < this.options.maxConcurrency) {
+            this.pagePool.active++;
+            return;
+        }
+
+        // Wait for a running task to hand over its slot
+        await new Promise(resolve => this.pagePool.waiting.push(resolve));
+    }
+
+    releasePageSlot() {
+        const next = this.pagePool.waiting.shift();
+        if (next) next();
+        else this.pagePool.active--;
+    }
+
+    isBrowserCrash(error) {
+        return /Target closed|Session closed|Connection closed|Browser (has )?disconnected|Protocol error/i.test(error.message);
+    }
+
+    // isolated: run the task in its own browser context, so cookies it sets never reach other pages
+    async withPage(task, options = {}) {
+        const { timeout = this.options.pageTimeout, isolated = false } = options;
+
+        await this.acquirePageSlot();
+        try {
+            // One retry after a browser crash, on a freshly launched browser
+            for (let attempt = 1; ; attempt++) {
+                let context;
+                let page;
+                let timer;
+                try {
+                    const browser = await this.getBrowser();
+                    if (isolated) context = await browser.createBrowserContext();
+                    page = await (context || browser).newPage();
+                    page.setDefaultNavigationTimeout(timeout);
+                    page.setDefaultTimeout(timeout);
+
+                    return await Promise.race([
+                        task(page),
+                        new Promise((resolve, reject) => {
+                            timer = setTimeout(() => reject(this.createScrapeError('TIMEOUT', `Page task timed out after ${timeout}ms`)), timeout);
+                        })
+                    ]);
+                } catch (error) {
+                    if (!this.isBrowserCrash(error)) throw error;
+
+                    console.log(`⚠️  Browser crashed (${error.message}), restarting`);
+                    await this.resetBrowser();
+                    if (attempt >= 2) throw error;
+                } finally {
+                    clearTimeout(timer);
+                    if (page) await page.close().catch(() => {});
+                    if (context) await context.close().catch(() => {});
+                }
+            }
+        } finally {
+            this.releasePageSlot();
+        }
+    }
+
+    async runWithConcurrency(items, limit, worker) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await worker(items[index], index);
+            }
+        });
+
+        await Promise.all(runners);
+        return results;
+    }
+
     async migrateDatabase() {
         // Check current schema
         const columns = await new Promise((resolve, reject) => {
@@ -48,7 +301,21 @@ class EnhancedStoryScraper {
                         tags TEXT,
                         read_count INTEGER DEFAULT 0,
                         last_read DATETIME,
-                        similarity_keywords TEXT
+                        similarity_keywords TEXT,
+                        content_html TEXT,
+                        published_date DATETIME,
+                        updated_date DATETIME,
+                        summary TEXT,
+                        language TEXT,
+                        cover_image_url TEXT,
+                        site_name TEXT,
+                        source_tags TEXT,
+                        fetcher TEXT,
+                        refreshed_at DATETIME,
+                        content_fingerprint TEXT,
+                        original_url TEXT,
+                        page_count INTEGER DEFAULT 1,
+                        toc_url TEXT
                     )
                 `, (err) => {
                     if (err) reject(err);
@@ -73,29 +340,84 @@ class EnhancedStoryScraper {
             { name: 'tags', type: 'TEXT' },
             { name: 'read_count', type: 'INTEGER DEFAULT 0' },
             { name: 'last_read', type: 'DATETIME' },
-            { name: 'similarity_keywords', type: 'TEXT' }
+            { name: 'similarity_keywords', type: 'TEXT' },
+            { name: 'content_html', type: 'TEXT' },
+            { name: 'published_date', type: 'DATETIME' },
+            { name: 'updated_date', type: 'DATETIME' },
+            { name: 'summary', type: 'TEXT' },
+            { name: 'language', type: 'TEXT' },
+            { name: 'cover_image_url', type: 'TEXT' },
+            { name: 'site_name', type: 'TEXT' },
+            { name: 'source_tags', type: 'TEXT' },
+            { name: 'fetcher', type: 'TEXT' },
+            { name: 'refreshed_at', type: 'DATETIME' },
+            { name: 'content_fingerprint', type: 'TEXT' },
+            { name: 'original_url', type: 'TEXT' },
+            { name: 'page_count', type: 'INTEGER DEFAULT 1' },
+            { name: 'toc_url', type: 'TEXT' }
         ];
 
+        // URLs stored before canonicalization existed are normalized once, when original_url first appears
+        const needsUrlCanonicalization = !columns.includes('original_url');
+
+        await this.addMissingColumns('stories', requiredColumns, columns);
+
+        // Create additional tables and indexes for new features
+        await this.createAdditionalTables();
+        await this.createIndexes();
+
+        // Feature tables created by earlier versions may be missing newer columns
+        await this.addMissingColumns('chapters', [
+            { name: 'content_html', type: 'TEXT' },
+            { name: 'page_count', type: 'INTEGER DEFAULT 1' }
+        ]);
+        await this.addMissingColumns('site_profiles', [
+            { name: 'requires_js', type: 'INTEGER DEFAULT 0' },
+            { name: 'min_request_interval', type: 'INTEGER' },
+            { name: 'ignore_robots', type: 'INTEGER DEFAULT 0' }
+        ]);
+        await this.addMissingColumns('rss_items', [
+            { name: 'original_url', type: 'TEXT' }
+        ]);
+
+        // Update existing records with missing data
+        await this.updateExistingRecords();
+        await this.backfillContentFingerprints();
+
+        // Unknown failures used to be recorded as permanent; give them their remaining attempts back
+        await new Promise((resolve, reject) => {
+            this.db.run("UPDATE scrape_failures SET retryable = 1 WHERE error_type = 'unknown' AND retryable = 0", (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        if (needsUrlCanonicalization) {
+            await this.canonicalizeStoredUrls();
+        }
+    }
+
+    async addMissingColumns(table, requiredColumns, existingColumns = null) {
+        const columns = existingColumns || await new Promise((resolve, reject) => {
+            this.db.all(`PRAGMA table_info(${table})`, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows.map(row => row.name));
+            });
+        });
+
         for (const column of requiredColumns) {
             if (!columns.includes(column.name)) {
                 await new Promise((resolve, reject) => {
-                    this.db.run(`ALTER TABLE stories ADD COLUMN ${column.name} ${column.type}`, (err) => {
+                    this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column.name} ${column.type}`, (err) => {
                         if (err) reject(err);
                         else {
-                            console.log(`Added column: ${column.name}`);
+                            console.log(`Added column: ${table}.${column.name}`);
                             resolve();
                         }
                     });
                 });
             }
         }
-
-        // Create additional tables and indexes for new features
-        await this.createAdditionalTables();
-        await this.createIndexes();
-
-        // Update existing records with missing data
-        await this.updateExistingRecords();
     }
 
     async updateExistingRecords() {
@@ -138,1077 +460,6397 @@ class EnhancedStoryScraper {
         }
     }
 
-    async scrape(url) {
-        console.log('🔍 Scraping:', url);
-        
-        // Check if story already exists
-        const existingStory = await new Promise((resolve, reject) => {
-            this.db.get('SELECT id, title FROM stories WHERE url = ?', [url], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+    // ===== POLITENESS =====
 
-        if (existingStory) {
-            console.log('⚠️  Story already exists:', existingStory.title);
-            return { 
-                skipped: true, 
-                reason: 'Story already exists',
-                story: existingStory 
-            };
+    shouldRespectRobots(profile = null) {
+        return this.options.respectRobots && !(profile && profile.ignore_robots);
+    }
+
+    async assertAllowedByRobots(url, profile = null) {
+        if (!this.shouldRespectRobots(profile)) return;
+
+        const robots = await this.getRobotsRules(url);
+        if (!this.isAllowedByRobots(robots, url)) {
+            throw this.createScrapeError('ROBOTS_DISALLOWED', `Blocked by robots.txt: ${url}`, { url });
         }
-        
-        const page = await this.browser.newPage();
-        await page.goto(url, { waitUntil: 'networkidle2' });
-        
-        const html = await page.content();
-        const $ = cheerio.load(html);
-        
-        // Enhanced content extraction
-        const title = this.extractTitle($);
-        const content = this.extractContent($);
-        const author = this.extractAuthor($);
-        const domain = new URL(url).hostname;
-        const wordCount = content.split(/\s+/).length;
-        
-        // Generate similarity keywords
-        const similarityKeywords = await this.generateSimilarityKeywords(content, title, author);
-        
-        await page.close();
-        
-        // Save to database with enhanced data
-        const storyId = await new Promise((resolve, reject) => {
-            this.db.run(
-                'INSERT INTO stories (url, title, content, author, word_count, domain, similarity_keywords) VALUES (?, ?, ?, ?, ?, ?, ?)',
-                [url, title, content, author, wordCount, domain, similarityKeywords],
-                function(err) {
-                    if (err) {
-                        console.error('❌ Database error:', err.message);
-                        reject(err);
-                    } else {
-                        console.log('✅ Saved story:', title);
-                        resolve(this.lastID);
-                    }
-                }
-            );
-        });
-        
-        const story = { id: storyId, title, content, author, wordCount, domain, url };
-        return { story, skipped: false };
     }
 
-    async scrapeLinksFromPage(pageUrl, options = {}) {
-        console.log('🔍 Finding story links on:', pageUrl);
-        
-        const {
-            linkSelector = 'a[href]',
-            filterPatterns = [],
-            excludePatterns = ['/css/', '/js/', '/images/', '.jpg', '.png', '.gif', '.pdf', '.zip', '.exe', 'mailto:', 'tel:'],
-            sameDomain = true,
-            maxLinks = 10,
-            keywords = []
-        } = options;
+    async getRobotsRules(url) {
+        const origin = new URL(url).origin;
+        const cached = this.politeness.robots.get(origin);
+        if (cached && Date.now() - cached.fetchedAt < this.options.robotsCacheTtl) {
+            return cached.rules;
+        }
 
-        const page = await this.browser.newPage();
-        await page.goto(pageUrl, { waitUntil: 'networkidle2' });
-        
-        const html = await page.content();
-        const $ = cheerio.load(html);
-        const baseDomain = new URL(pageUrl).hostname;
-        
-        const links = [];
-        
-        $(linkSelector).each((i, element) => {
-            const href = $(element).attr('href');
-            const text = $(element).text().trim();
-            
-            if (!href) return;
-            
-            let fullUrl;
-            try {
-                fullUrl = new URL(href, pageUrl).href;
-            } catch (e) {
-                return; // Skip invalid URLs
+        // Concurrent requests to one origin share a single robots.txt fetch
+        const entry = { fetchedAt: Date.now(), rules: this.fetchRobotsTxt(origin) };
+        this.politeness.robots.set(origin, entry);
+        return entry.rules;
+    }
+
+    async fetchRobotsTxt(origin) {
+        try {
+            const response = await fetch(origin + '/robots.txt', {
+                headers: { 'User-Agent': this.options.userAgent },
+                redirect: 'follow',
+                signal: AbortSignal.timeout(this.options.httpTimeout)
+            });
+
+            // RFC 9309: a missing robots.txt allows everything, an erroring server disallows everything
+            if (response.status >= 500) {
+                return { rules: [{ allow: false, path: '/' }], crawlDelay: null, sitemaps: [], status: response.status };
             }
-            
-            const linkDomain = new URL(fullUrl).hostname;
-            
-            // Apply same domain filter
-            if (sameDomain && linkDomain !== baseDomain) return;
-            
-            // Apply exclude patterns
-            if (excludePatterns.some(pattern => fullUrl.includes(pattern))) return;
-            
-            // Apply keyword filters
-            if (keywords.length > 0) {
-                const linkText = text.toLowerCase();
-                const hasKeyword = keywords.some(keyword => 
-                    linkText.includes(keyword.toLowerCase()) || 
-                    fullUrl.toLowerCase().includes(keyword.toLowerCase())
-                );
-                if (!hasKeyword) return;
+            if (!response.ok) {
+                return { rules: [], crawlDelay: null, sitemaps: [], status: response.status };
             }
-            
-            links.push({
-                url: fullUrl,
-                text: text,
-                domain: linkDomain
-            });
-        });
-        
-        await page.close();
-        
-        // Remove duplicates and limit results
-        const uniqueLinks = Array.from(new Map(links.map(link => [link.url, link])).values());
-        const linksToScrape = uniqueLinks.slice(0, maxLinks);
-        
-        console.log(`📋 Found ${links.length} total links, ${uniqueLinks.length} unique, returning ${linksToScrape.length}`);
-        
-        // Show preview of links to be scraped
-        console.log('\n📋 Links to scrape:');
-        linksToScrape.slice(0, 10).forEach((link, i) => {
-            console.log(`  ${i + 1}. ${link.text || 'Untitled'}`);
-            console.log(`     ${link.url}`);
-        });
-        
-        return {
-            totalFound: links.length,
-            uniqueLinks: uniqueLinks.length,
-            linksToScrape: linksToScrape,
-            preview: linksToScrape.slice(0, 10)
-        };
+
+            return { ...this.parseRobotsTxt(await response.text()), status: response.status };
+        } catch (error) {
+            console.log(`⚠️  Could not fetch robots.txt for ${origin}: ${error.message}`);
+            return { rules: [], crawlDelay: null, sitemaps: [], status: null };
+        }
     }
 
-    async batchScrapeFromLinks(links, options = {}) {
-        const { 
-            delay = 2000,
-            skipExisting = true,
-            minWordCount = 100 
-        } = options;
-        
-        const results = {
-            successful: 0,
-            skipped: 0,
-            failed: 0,
-            stories: []
-        };
-        
-        console.log(`\n🚀 Starting batch scrape of ${links.length} links...`);
-        
-        for (let i = 0; i < links.length; i++) {
-            const link = links[i];
-            console.log(`\n[${i + 1}/${links.length}] Processing: ${link.text || 'Untitled'}`);
-            console.log(`URL: ${link.url}`);
-            
-            try {
-                // Check if already exists
-                if (skipExisting) {
-                    const existing = await this.getStoryByUrl(link.url);
-                    if (existing) {
-                        console.log('⏭️  Skipping - already exists');
-                        results.skipped++;
-                        continue;
-                    }
-                }
-                
-                const result = await this.scrape(link.url);
-                
-                // Check if content is substantial enough
-                if (result.wordCount < minWordCount) {
-                    console.log(`⏭️  Skipping - too short (${result.wordCount} words)`);
-                    results.skipped++;
-                    continue;
+    parseRobotsTxt(text) {
+        const groups = [];
+        const sitemaps = [];
+        let current = null;
+        let readingAgents = false;
+
+        for (const rawLine of String(text || '').split(/\r?\n/)) {
+            const line = rawLine.replace(/#.*$/, '').trim();
+            const separator = line.indexOf(':');
+            if (separator === -1) continue;
+
+            const field = line.slice(0, separator).trim().toLowerCase();
+            const value = line.slice(separator + 1).trim();
+
+            if (field === 'user-agent') {
+                // Consecutive User-agent lines share one group of rules
+                if (!readingAgents) {
+                    current = { agents: [], rules: [], crawlDelay: null };
+                    groups.push(current);
                 }
-                
-                console.log(`✅ Success: "${result.title}" (${result.wordCount} words)`);
-                results.successful++;
-                results.stories.push(result);
-                
-            } catch (error) {
-                console.log(`❌ Failed: ${error.message}`);
-                results.failed++;
+                current.agents.push(value.toLowerCase());
+                readingAgents = true;
+                continue;
             }
-            
-            // Add delay between requests
-            if (i < links.length - 1 && delay > 0) {
-                console.log(`⏳ Waiting ${delay}ms...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
+
+            readingAgents = false;
+
+            // Sitemap lines belong to no group and may appear anywhere in the file
+            if (field === 'sitemap' && value) {
+                sitemaps.push(value);
+                continue;
+            }
+            if (!current) continue;
+
+            if ((field === 'allow' || field === 'disallow') && value) {
+                current.rules.push({ allow: field === 'allow', path: value });
+            } else if (field === 'crawl-delay') {
+                const delay = parseFloat(value);
+                if (!isNaN(delay) && delay >= 0) current.crawlDelay = delay;
             }
         }
+
+        const agent = this.options.robotsUserAgent.toLowerCase();
+        let matching = groups.filter(group => group.agents.includes(agent));
+        if (matching.length === 0) {
+            matching = groups.filter(group => group.agents.includes('*'));
+        }
+
+        const crawlDelays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+        return {
+            rules: matching.flatMap(group => group.rules),
+            crawlDelay: crawlDelays.length > 0 ? Math.max(...crawlDelays) : null,
+            sitemaps
+        };
+    }
+
+    isAllowedByRobots(robots, url) {
+        const parsed = new URL(url);
+        const target = parsed.pathname + parsed.search;
+
+        // The longest matching rule wins; Allow wins a tie
+        let best = null;
+        for (const rule of robots.rules) {
+            if (!this.robotsPatternMatches(rule.path, target)) continue;
+            if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+                best = rule;
+            }
+        }
+
+        return !best || best.allow;
+    }
+
+    robotsPatternMatches(pattern, target) {
+        const anchored = pattern.endsWith('$');
+        const source = (anchored ? pattern.slice(0, -1) : pattern)
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+
+        return new RegExp('^' + source + (anchored ? '$' : '')).test(target);
+    }
+
+    async getHostInterval(url, profile = null) {
+        let interval = profile && profile.min_request_interval !== null && profile.min_request_interval !== undefined
+            ? profile.min_request_interval
+            : this.options.minHostInterval;
+
+        if (this.shouldRespectRobots(profile)) {
+            const robots = await this.getRobotsRules(url);
+            if (robots.crawlDelay) {
+                interval = Math.max(interval, robots.crawlDelay * 1000);
+            }
+        }
+
+        return interval;
+    }
+
+    async waitForHostTurn(url, profile = null) {
+        const hostname = this.normalizeHostname(new URL(url).hostname);
+        const interval = await this.getHostInterval(url, profile);
+
+        // Slots already passed hold nobody back, so they are dropped rather than kept for every host ever visited
+        const now = Date.now();
+        for (const [host, nextAt] of this.politeness.nextRequestAt) {
+            if (nextAt <= now) this.politeness.nextRequestAt.delete(host);
+        }
+
+        // Reserve the next slot before sleeping so concurrent callers queue up behind each other
+        const startAt = Math.max(now, this.politeness.nextRequestAt.get(hostname) || 0);
+        this.politeness.nextRequestAt.set(hostname, startAt + interval);
+
+        if (startAt > now) {
+            await new Promise(resolve => setTimeout(resolve, startAt - now));
+        }
+    }
+
+    // ===== PAGE FETCHING =====
+
+    registerFetcher(name, fetcher) {
+        this.fetchers[name] = fetcher;
+    }
+
+    async fetchPage(url, options = {}) {
+        const { profile = null, maxRetries = this.options.maxRetries } = options;
+
+        // Offline re-extraction reads stored pages and never touches the network
+        if (options.snapshots) {
+            return this.fetchSnapshot(url, options.snapshots);
+        }
+
+        await this.assertAllowedByRobots(url, profile);
+
+        // A stored login for the host is used automatically; pass session: null to fetch anonymously
+        const session = options.session !== undefined
+            ? options.session
+            : await this.getSessionProfileForHost(new URL(url).hostname);
+        const fetchOptions = { ...options, session };
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const result = await this.fetchPageOnce(url, fetchOptions);
+                result.session = session ? { id: session.id, name: session.name } : null;
+                if (result.status >= 400) {
+                    throw this.createScrapeError('HTTP_STATUS', `HTTP ${result.status} for ${url}`, {
+                        status: result.status,
+                        retryAfter: result.retryAfter
+                    });
+                }
+                return result;
+            } catch (error) {
+                const { type, retryable } = this.classifyScrapeError(error);
+                if (!retryable || attempt >= maxRetries) {
+                    error.attempts = attempt + 1;
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(attempt, error.retryAfter);
+                console.log(`🔁 ${type} error (${error.message}), retry ${attempt + 1}/${maxRetries} in ${delay}ms: ${url}`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    async fetchPageOnce(url, options = {}) {
+        const {
+            profile = null,
+            fetcher = this.options.fetchMode,
+            isSufficient = ($) => this.hasEnoughStaticContent($, profile)
+        } = options;
+
+        // A named fetcher (or a site that needs JavaScript) skips the static attempt entirely
+        if (fetcher !== 'auto') {
+            return this.runFetcher(fetcher, url, options);
+        }
+        if (profile && profile.requires_js) {
+            return this.runFetcher('puppeteer', url, options, 'site_profile_requires_js');
+        }
+
+        // Only thin pages and network failures are worth a browser. Any other status is the site's answer
+        // (a dead link stays dead, a rate limit is backed off from), and a PDF does not become HTML in Chromium.
+        let escalationReason;
+        try {
+            const result = await this.runFetcher('http', url, options);
+            if (result.status < 200 || result.status >= 300 || isSufficient(cheerio.load(result.html))) {
+                return result;
+            }
+            escalationReason = 'insufficient_static_content';
+        } catch (error) {
+            const { type } = this.classifyScrapeError(error);
+            if (type !== 'network' && type !== 'timeout') throw error;
+            escalationReason = `http_error: ${error.message}`;
+        }
+
+        console.log(`↗️  Escalating to Puppeteer (${escalationReason}): ${url}`);
+        return this.runFetcher('puppeteer', url, options, escalationReason);
+    }
+
+    // Fetcher names arrive from request bodies, so inherited properties ("toString", "__proto__") never count
+    hasFetcher(name) {
+        return name === 'auto' || Object.hasOwn(this.fetchers, name);
+    }
+
+    async runFetcher(name, url, options, escalationReason = null) {
+        if (!Object.hasOwn(this.fetchers, name)) {
+            throw this.createScrapeError('INVALID_FETCHER', `Unknown fetcher "${name}" (expected auto, ${Object.keys(this.fetchers).join(', ')})`, { fetcher: name });
+        }
+        const fetcher = this.fetchers[name];
+
+        // Every request (including a Puppeteer retry after a static attempt) waits its turn for the host
+        await this.waitForHostTurn(url, options.profile || null);
+
+        const result = await fetcher(url, options);
+        return { ...result, fetcher: name, escalationReason };
+    }
+
+    async fetchWithHttp(url, options = {}) {
+        // Redirects are followed by hand so session cookies and headers go only to hops on the session's own host
+        let currentUrl = url;
+        let response;
+        for (let redirects = 0; ; redirects++) {
+            response = await fetch(currentUrl, {
+                headers: {
+                    'User-Agent': this.options.userAgent,
+                    'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+                    ...this.sessionRequestHeaders(options.session, currentUrl)
+                },
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.options.httpTimeout)
+            });
+
+            const location = response.status >= 300 && response.status < 400 && response.headers.get('location');
+            if (!location) break;
+            if (redirects >= MAX_PAGE_REDIRECTS) {
+                throw new Error(`More than ${MAX_PAGE_REDIRECTS} redirects: ${url}`);
+            }
+            currentUrl = new URL(location, currentUrl).href;
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (contentType && !/html|xml/i.test(contentType)) {
+            throw this.createScrapeError('UNSUPPORTED_CONTENT', `Unsupported content type: ${contentType}`, { contentType });
+        }
+
+        return {
+            html: await response.text(),
+            finalUrl: currentUrl,
+            status: response.status,
+            retryAfter: this.parseRetryAfter(response.headers.get('retry-after'))
+        };
+    }
+
+    async fetchWithPuppeteer(url, options = {}) {
+        const { session = null } = options;
+
+        return this.withPage(async (page) => {
+            if (session) {
+                const cookies = this.sessionCookiesForUrl(session, url);
+                if (cookies.length > 0) {
+                    await page.setCookie(...cookies.map(cookie => ({
+                        name: cookie.name,
+                        value: cookie.value,
+                        domain: cookie.domain || new URL(url).hostname,
+                        path: cookie.path,
+                        expires: cookie.expires || -1,
+                        secure: cookie.secure,
+                        httpOnly: cookie.httpOnly
+                    })));
+                }
+                // Extra HTTP headers would go with every request the page makes, to any host
+                if (Object.keys(session.headers).length > 0) {
+                    await page.setRequestInterception(true);
+                    page.on('request', (request) => {
+                        if (request.isInterceptResolutionHandled()) return;
+                        const headers = this.sessionAppliesTo(session, request.url()) ? { ...request.headers(), ...session.headers } : request.headers();
+                        request.continue({ headers });
+                    });
+                }
+            }
+
+            const startedAt = Date.now();
+            const response = await page.goto(url, { waitUntil: 'networkidle2' });
+            // Expansion only gets what is left of the page timeout, so it never runs the whole task into a TIMEOUT retry
+            const expansion = options.expand
+                ? await this.expandPage(page, {
+                    ...options.expand,
+                    maxTime: Math.min(options.expand.maxTime, this.options.pageTimeout - (Date.now() - startedAt) - PAGE_READ_RESERVE)
+                })
+                : null;
+            return {
+                html: await page.content(),
+                finalUrl: page.url() || url,
+                status: response ? response.status() : 200,
+                retryAfter: response ? this.parseRetryAfter(response.headers()['retry-after']) : null,
+                expansion
+            };
+        }, { isolated: Boolean(session) });
+    }
+
+    // expand: true or 'scroll', 'click', or { mode, selector, linkSelector, maxRounds, maxTime, wait }
+    normalizeExpandOptions(expand, linkSelector = 'a[href]') {
+        if (!expand) return null;
+
+        const options = typeof expand === 'object' ? expand : { mode: expand === true ? 'scroll' : expand };
+        const mode = options.mode || (options.selector ? 'click' : 'scroll');
+        if (mode !== 'scroll' && mode !== 'click') {
+            throw this.createScrapeError('INVALID_EXPAND', `Unknown expand mode "${mode}" (expected scroll or click)`, { mode });
+        }
+        if (options.selector) {
+            this.assertValidSelector(options.selector, options.selector);
+        }
+
+        return {
+            mode,
+            selector: options.selector || null,
+            linkSelector: options.linkSelector || linkSelector,
+            maxRounds: options.maxRounds || 10,
+            maxTime: options.maxTime || 20000,
+            wait: options.wait !== undefined ? options.wait : 1000
+        };
+    }
+
+    // Scrolls to the bottom (or clicks a "load more" control) until no new links appear or the budget runs out.
+    // Every step is bounded by the remaining budget, so whatever was loaded by then is kept.
+    async expandPage(page, expand) {
+        const { mode, selector, linkSelector, maxRounds, maxTime, wait } = expand;
+        const startedAt = Date.now();
+        const outOfTime = Symbol('outOfTime');
+        const withinBudget = (promise) => {
+            let timer;
+            return Promise.race([
+                promise,
+                new Promise(resolve => {
+                    timer = setTimeout(() => resolve(outOfTime), Math.max(0, startedAt + maxTime - Date.now()));
+                })
+            ]).finally(() => clearTimeout(timer));
+        };
+        const countLinks = () => withinBudget(page.evaluate(
+            (sel) => new Set(Array.from(document.querySelectorAll(sel), element => element.href || element.getAttribute('href'))).size,
+            linkSelector
+        ));
+
+        const startUrl = page.url();
+        let linksBefore = null;
+        let links = null;
+        let rounds = 0;
+        let stoppedReason = 'max_rounds';
+
+        try {
+            linksBefore = await countLinks();
+            if (linksBefore === outOfTime) {
+                linksBefore = null;
+                stoppedReason = 'time_budget';
+            }
+            links = linksBefore;
+
+            while (linksBefore !== null && rounds < maxRounds) {
+                const acted = await withinBudget(page.evaluate((mode, sel) => {
+                    if (mode === 'scroll') {
+                        window.scrollTo(0, document.body.scrollHeight);
+                        return true;
+                    }
+                    // Without a selector, the first visible button or link reading "load/show/view more";
+                    // links to another address would leave the page, so only script-driven ones count
+                    const leavesPage = (element) => {
+                        const href = element.tagName === 'A' ? (element.getAttribute('href') || '').trim() : '';
+                        return href !== '' && !href.startsWith('#') && !/^javascript:/i.test(href);
+                    };
+                    const candidates = sel
+                        ? Array.from(document.querySelectorAll(sel))
+                        : Array.from(document.querySelectorAll('button, a, [role="button"]'))
+                            .filter(element => /^\s*(load|show|view|see) more\b/i.test(element.textContent || ''));
+                    const control = candidates.find(element => !element.disabled && element.offsetParent !== null && !leavesPage(element));
+                    if (!control) return false;
+                    control.scrollIntoView({ block: 'center' });
+                    control.click();
+                    return true;
+                }, mode, selector));
+                if (acted === outOfTime) {
+                    stoppedReason = 'time_budget';
+                    break;
+                }
+                if (!acted) {
+                    stoppedReason = 'no_control';
+                    break;
+                }
+                rounds++;
+
+                await withinBudget(new Promise(resolve => setTimeout(resolve, wait)));
+                await withinBudget(page.waitForNetworkIdle({ idleTime: 500, timeout: Math.max(wait, 1000) }).catch(() => {}));
+                if (page.url() !== startUrl) {
+                    stoppedReason = 'navigated';
+                    break;
+                }
+
+                const count = await countLinks();
+                if (count === outOfTime) {
+                    stoppedReason = 'time_budget';
+                    break;
+                }
+                if (count <= links) {
+                    stoppedReason = 'no_new_links';
+                    break;
+                }
+                links = count;
+            }
+        } catch (error) {
+            // A control that still navigated (a form button, a script redirect) takes the page's document with it
+            if (!/Execution context was destroyed|navigat/i.test(error.message)) throw error;
+            stoppedReason = 'navigated';
+        }
+
+        console.log(`📜 Expanded page by ${mode} in ${rounds} rounds: ${linksBefore} → ${links} links (${stoppedReason})`);
+        return { mode, rounds, linksBefore, linksAfter: links, stoppedReason, elapsed: Date.now() - startedAt };
+    }
+
+    // Retry-After is either a number of seconds or an HTTP date; returns milliseconds
+    parseRetryAfter(value) {
+        if (!value) return null;
+        if (/^\d+$/.test(value.trim())) return parseInt(value) * 1000;
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    hasEnoughStaticContent($, profile = null) {
+        const { text } = this.selectContent($, profile);
+        const words = text === 'No content found' ? 0 : text.split(/\s+/).length;
+        return words >= this.options.minStaticWords;
+    }
+
+    async scrape(url, options = {}) {
+        // A bad selector override is the caller's mistake, not a failure of the URL, so it is not recorded
+        const selectorOverrides = this.parseSelectorOverrides(options);
+
+        try {
+            const result = await this.scrapeOnce(url, { ...options, selectorOverrides });
+            await this.clearScrapeFailure(url);
+            return result;
+        } catch (error) {
+            const failure = this.classifyScrapeError(error);
+            error.type = failure.type;
+            error.retryable = failure.retryable;
+
+            console.log(`❌ Scrape failed (${failure.type}${failure.retryable ? ', retryable' : ''}): ${error.message}`);
+            await this.recordScrapeFailure(url, error, failure).catch(dbError => {
+                console.error('Error recording scrape failure:', dbError.message);
+            });
+            throw error;
+        }
+    }
+
+    async scrapeOnce(url, options = {}) {
+        const {
+            followChapters = false,
+            maxChapters = 50,
+            chapterDelay = 1000,
+            fetcher = this.options.fetchMode,
+            refresh = false,
+            downloadImages = this.options.downloadImages,
+            followPages,
+            maxPages = this.options.maxPages,
+            selectorOverrides = null,
+            toc = false
+        } = options;
+
+        console.log('🔍 Scraping:', url);
         
-        console.log('\n📊 Batch scraping completed:');
-        console.log(`✅ Successful: ${results.successful}`);
-        console.log(`⏭️  Skipped: ${results.skipped}`);
-        console.log(`❌ Failed: ${results.failed}`);
-        
-        return results;
+        // Check if story already exists
+        const existingStory = await this.getStoryByUrl(url);
+        if (existingStory) {
+            return this.handleExistingStory(existingStory, { refresh, maxChapters, chapterDelay, fetcher, downloadImages, followPages, maxPages, selectorOverrides });
+        }
+
+        let extracted;
+        if (toc) {
+            extracted = await this.extractTocStory(url, { maxChapters, chapterDelay, fetcher, images: downloadImages, followPages, maxPages, selectorOverrides, expand: options.expand });
+        } else if (followChapters) {
+            extracted = await this.extractChapteredStory(url, { maxChapters, chapterDelay, fetcher, images: downloadImages, followPages, maxPages, selectorOverrides });
+        } else {
+            extracted = await this.extractStory(url, { fetcher, images: downloadImages, followPages, maxPages, selectorOverrides });
+        }
+
+        // The page's own <link rel="canonical"> can reveal a story saved under a different address
+        const canonicalUrl = extracted.canonicalUrl || this.canonicalizeUrl(url);
+        if (canonicalUrl !== this.canonicalizeUrl(url)) {
+            const canonicalStory = await this.getStoryByUrl(canonicalUrl);
+            if (canonicalStory) {
+                return this.handleExistingStory(canonicalStory, { refresh, maxChapters, chapterDelay, fetcher, downloadImages, followPages, maxPages, selectorOverrides });
+            }
+        }
+
+        // Images are fetched once the story is known to be new, and the content rewritten to point at the local copies
+        const assets = downloadImages ? await this.localizeStoryImages(extracted) : [];
+        
+        // Save to database with enhanced data
+        const columns = this.storyColumns(extracted);
+        const possibleDuplicates = await this.findNearDuplicates(columns.content_fingerprint);
+        if (possibleDuplicates.length > 0) {
+            const best = possibleDuplicates[0];
+            console.log(`⚠️  Possible duplicate of #${best.id} "${best.title}" (${Math.round(best.similarity * 100)}% similar)`);
+        }
+
+        const storyId = await this.insertStory({ url: canonicalUrl, original_url: url, ...columns });
+        if (assets.length > 0) {
+            await this.saveStoryAssets(storyId, assets);
+        }
+        if (this.options.storeSnapshots) {
+            await this.saveStorySnapshots(storyId, extracted.snapshots);
+        }
+        if (extracted.chapters) {
+            await this.saveChapters(storyId, extracted.chapters);
+            console.log(`✅ Saved story: ${extracted.title} (${extracted.chapters.length} chapters, stopped: ${extracted.stoppedReason})`);
+        } else {
+            console.log(`✅ Saved story: ${extracted.title} (via ${extracted.fetcher})`);
+        }
+        
+        if (this.options.learnBoilerplate) {
+            await this.learnBoilerplate(extracted.domain).catch(error => {
+                console.error('Error learning boilerplate:', error.message);
+            });
+        }
+
+        const result = this.buildScrapeResult(storyId, canonicalUrl, extracted);
+        result.story.originalUrl = url;
+        result.story.assetCount = assets.length;
+        result.possibleDuplicates = possibleDuplicates;
+        return result;
+    }
+
+    async handleExistingStory(existingStory, { refresh, maxChapters, chapterDelay, fetcher, downloadImages, followPages, maxPages, selectorOverrides }) {
+        if (refresh) {
+            return this.refreshStory(existingStory.id, { maxChapters, chapterDelay, fetcher, downloadImages, followPages, maxPages, selectorOverrides });
+        }
+
+        console.log('⚠️  Story already exists:', existingStory.title);
+        return { 
+            skipped: true, 
+            reason: 'Story already exists',
+            story: { id: existingStory.id, title: existingStory.title, url: existingStory.url }
+        };
+    }
+
+    buildScrapeResult(storyId, url, extracted) {
+        const { title, content, contentHtml, author, wordCount, pageCount = 1, pagesStoppedReason = null, nextPageUrl = null, domain, metadata, fetcher } = extracted;
+        const story = { id: storyId, title, content, contentHtml, author, wordCount, pageCount, pagesStoppedReason, morePagesAvailable: Boolean(nextPageUrl), nextPageUrl, domain, url, metadata, fetcher };
+        const result = { story, skipped: false, siteProfile: this.describeSiteProfile(extracted.profile) };
+
+        if (extracted.chapters) {
+            story.chapters = extracted.chapters.map(({ chapterNumber, title, url, wordCount, pageCount, pagesStoppedReason = null, nextPageUrl = null, fetcher }) => (
+                { chapterNumber, title, url, wordCount, pageCount, pagesStoppedReason, morePagesAvailable: Boolean(nextPageUrl), nextPageUrl, fetcher }
+            ));
+            story.morePagesAvailable = story.morePagesAvailable || story.chapters.some(chapter => chapter.morePagesAvailable);
+            result.chapterCount = extracted.chapters.length;
+            result.stoppedReason = extracted.stoppedReason;
+        }
+        if (extracted.toc) {
+            result.toc = extracted.toc;
+        }
+        if (extracted.selectorOverrides) {
+            result.selectorOverrides = extracted.selectorOverrides;
+        }
+
+        return result;
+    }
+
+    async extractStory(url, options = {}) {
+        const {
+            fetcher = this.options.fetchMode,
+            images = false,
+            followPages = this.options.followPages,
+            maxPages = this.options.maxPages,
+            selectorOverrides = null,
+            snapshots = null
+        } = options;
+
+        const domain = new URL(url).hostname;
+        const siteProfile = await this.getSiteProfileForHost(domain);
+        const profile = this.applySelectorOverrides(siteProfile, selectorOverrides);
+        const boilerplate = await this.getBoilerplateFingerprints(domain);
+        const fetched = await this.fetchPage(url, { profile, fetcher, snapshots });
+        await this.assertNotLoginWall(url, fetched);
+
+        const articleUrl = fetched.finalUrl || url;
+        const first = this.parsePage(url, () => {
+            const $ = cheerio.load(fetched.html);
+            const overrideMatches = this.matchSelectorOverrides($, selectorOverrides);
+
+            // Structured metadata first: extractContent strips the JSON-LD script tags
+            const metadata = this.extractMetadata($, url);
+            const canonicalUrl = this.extractCanonicalUrl($, articleUrl);
+            const nextPageUrl = this.findNextPageLink($, articleUrl, articleUrl);
+
+            // Enhanced content extraction (site profile selectors first, then heuristics)
+            const title = this.extractTitle($, profile);
+            const { content, contentHtml } = this.extractContentParts($, profile, { images, baseUrl: articleUrl, boilerplate });
+            const author = this.extractAuthor($, profile, metadata);
+            return { metadata, canonicalUrl, nextPageUrl, title, content, contentHtml, author, overrideMatches };
+        });
+        const { metadata, canonicalUrl, title, author } = first;
+        this.assertHasContent(url, first.content);
+
+        const { pages, stoppedReason: pagesStoppedReason, nextPageUrl } = await this.fetchFollowingPages(articleUrl, first, { follow: followPages, profile, fetcher, images, maxPages, boilerplate, snapshots });
+        const content = [first, ...pages].map(page => page.content).join('\n\n');
+        const contentHtml = [first, ...pages].map(page => page.contentHtml).join('\n');
+        const wordCount = content.split(/\s+/).length;
+        
+        // Generate similarity keywords
+        const similarityKeywords = await this.generateSimilarityKeywords(content, title, author);
+
+        return {
+            domain,
+            profile: siteProfile,
+            fetcher: this.summarizeFetchers([fetched.fetcher, ...pages.map(page => page.fetcher)]),
+            selectorOverrides: first.overrideMatches,
+            canonicalUrl,
+            title,
+            content,
+            contentHtml,
+            author,
+            wordCount,
+            pageCount: 1 + pages.length,
+            pagesStoppedReason,
+            nextPageUrl,
+            snapshots: this.numberSnapshots([this.snapshotOf(url, fetched), ...pages.map(page => page.snapshot)]),
+            metadata,
+            similarityKeywords
+        };
+    }
+
+    // Follows an article's own pager (page 2, 3, ... of the same URL) and extracts each page's content.
+    // stoppedReason says why no further page was joined (null when there was no pager at all);
+    // nextPageUrl is the first page left unread when there was more to read.
+    async fetchFollowingPages(articleUrl, firstPage, options = {}) {
+        const {
+            follow = true,
+            profile = null,
+            fetcher = this.options.fetchMode,
+            images = false,
+            maxPages = this.options.maxPages,
+            chapters = false,
+            boilerplate = null,
+            snapshots = null
+        } = options;
+
+        const pages = [];
+        const seen = new Set([this.canonicalizeUrl(articleUrl)]);
+        const contents = new Set([firstPage.content]);
+        let pageUrl = firstPage.nextPageUrl;
+        let stoppedReason = pageUrl ? 'no_next_page' : null;
+
+        // Without following, the pager is still reported so a one-page save of a longer article is not silent
+        if (pageUrl && !follow) {
+            console.log(`⚠️  ${articleUrl} continues on ${pageUrl}; only page 1 kept (pass followPages to join the pages)`);
+            return { pages, stoppedReason: 'not_followed', nextPageUrl: pageUrl };
+        }
+
+        while (pageUrl) {
+            if (pages.length + 1 >= maxPages) {
+                stoppedReason = 'max_pages';
+                break;
+            }
+            if (seen.has(this.canonicalizeUrl(pageUrl))) {
+                stoppedReason = 'loop_detected';
+                break;
+            }
+            seen.add(this.canonicalizeUrl(pageUrl));
+
+            // Re-extraction may now find a pager the original scrape missed; only stored pages can be read
+            if (snapshots && !this.hasSnapshot(pageUrl, snapshots)) {
+                stoppedReason = 'no_snapshot';
+                break;
+            }
+            console.log(`📄 Page ${pages.length + 2}: ${pageUrl}`);
+
+            // A later page that cannot be fetched or parsed ends the pager; the pages already read are kept
+            let fetched;
+            let page;
+            try {
+                fetched = await this.fetchPage(pageUrl, { profile, fetcher, snapshots });
+                if (this.detectLoginWall(fetched.html, pageUrl, fetched.finalUrl)) {
+                    console.log(`🔒 Login required from page ${pages.length + 2}: ${pageUrl}`);
+                    stoppedReason = 'login_required';
+                    break;
+                }
+
+                page = this.parsePage(pageUrl, () => {
+                    const $ = cheerio.load(fetched.html);
+                    const nextPageUrl = this.findNextPageLink($, pageUrl, articleUrl);
+                    const nextChapterUrl = chapters ? this.findNextChapterLink($, pageUrl, profile) : null;
+                    const { content, contentHtml } = this.extractContentParts($, profile, { images, baseUrl: fetched.finalUrl || pageUrl, boilerplate });
+                    return { nextPageUrl, nextChapterUrl, content, contentHtml };
+                });
+            } catch (error) {
+                console.log(`⚠️  Stopped following pages at page ${pages.length + 2} (${error.message}): ${pageUrl}`);
+                stoppedReason = 'page_failed';
+                break;
+            }
+
+            // Sites that ignore an unknown page parameter just serve the first page again
+            if (!this.hasContent(page.content) || contents.has(page.content)) {
+                stoppedReason = 'no_new_content';
+                break;
+            }
+            contents.add(page.content);
+
+            pages.push({ url: pageUrl, fetcher: fetched.fetcher, snapshot: this.snapshotOf(pageUrl, fetched), ...page });
+            pageUrl = page.nextPageUrl;
+        }
+
+        if (pages.length > 0) {
+            console.log(`📄 Joined ${pages.length + 1} pages: ${articleUrl} (${stoppedReason})`);
+        }
+
+        // A repeated or empty page is the end of the article, not a page left unread
+        const unread = stoppedReason !== 'loop_detected' && stoppedReason !== 'no_new_content';
+        return { pages, stoppedReason, nextPageUrl: unread ? pageUrl : null };
+    }
+
+    // Page number of url within the article at articleUrl (1 for the article itself), or null when it is another page
+    pageNumberOf(url, articleUrl) {
+        let target;
+        let base;
+        try {
+            target = new URL(url, articleUrl);
+            base = new URL(articleUrl);
+        } catch (e) {
+            return null;
+        }
+        if (target.hostname !== base.hostname) return null;
+
+        // Not "p": WordPress uses ?p= for post ids
+        const pageParams = ['page', 'pg', 'paged', 'pagenum'];
+        const trimPath = (pathname) => pathname.replace(/\/+$/, '') || '/';
+        const withoutPageParams = (parsed) => {
+            const params = new URLSearchParams(parsed.search);
+            pageParams.forEach(param => params.delete(param));
+            params.sort();
+            return params.toString();
+        };
+
+        const basePath = trimPath(base.pathname);
+        const targetPath = trimPath(target.pathname);
+        if (withoutPageParams(target) !== withoutPageParams(base)) return null;
+
+        // ?page=2 on the same path
+        if (targetPath === basePath) {
+            const param = pageParams.find(name => target.searchParams.has(name));
+            if (!param) return 1;
+            const number = target.searchParams.get(param);
+            return /^\d+$/.test(number) ? parseInt(number) : null;
+        }
+
+        // /story/page/2; not a bare /story/2, which is how many archives address chapter 2 (e.g. /s/123/2)
+        const suffix = targetPath.startsWith(basePath) ? targetPath.slice(basePath === '/' ? 0 : basePath.length) : null;
+        const match = suffix && suffix.match(/^\/page\/(\d{1,3})$/);
+        return match ? parseInt(match[1]) : null;
+    }
+
+    findNextPageLink($, pageUrl, articleUrl) {
+        const current = this.pageNumberOf(pageUrl, articleUrl) || 1;
+
+        // rel="next" first, then a numbered pager or "next page"/"continue reading" links; all must point at page current + 1
+        const candidates = [
+            $('link[rel~="next"]').attr('href'),
+            ...$('a[rel~="next"]').toArray().map(element => $(element).attr('href')),
+            ...$('a[href]').toArray().map(element => $(element).attr('href'))
+        ];
+
+        for (const href of candidates) {
+            if (!href) continue;
+            if (this.pageNumberOf(href, articleUrl) === current + 1) {
+                const next = new URL(href, pageUrl);
+                next.hash = '';
+                return next.href;
+            }
+        }
+
+        return null;
+    }
+
+    storyColumns(extracted) {
+        return {
+            title: extracted.title,
+            content: extracted.content,
+            author: extracted.author,
+            word_count: extracted.wordCount,
+            page_count: extracted.pageCount || 1,
+            domain: extracted.domain,
+            similarity_keywords: extracted.similarityKeywords,
+            content_html: extracted.contentHtml,
+            fetcher: extracted.fetcher,
+            toc_url: extracted.tocUrl || null,
+            content_fingerprint: this.computeContentFingerprint(extracted.content),
+            ...this.metadataColumns(extracted.metadata)
+        };
+    }
+
+    async insertStory(fields) {
+        const columns = Object.keys(fields);
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO stories (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                columns.map(column => fields[column]),
+                function(err) {
+                    if (err) {
+                        console.error('❌ Database error:', err.message);
+                        reject(err);
+                    } else {
+                        resolve(this.lastID);
+                    }
+                }
+            );
+        });
+    }
+
+    async updateStory(id, fields) {
+        const columns = Object.keys(fields);
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE stories SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(column => fields[column]), id],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                }
+            );
+        });
+    }
+
+    summarizeFetchers(fetchers) {
+        // "http" or "puppeteer" when every chapter agrees, otherwise e.g. "http+puppeteer"
+        return [...new Set(fetchers)].sort().join('+');
+    }
+
+    async extractChapteredStory(startUrl, options = {}) {
+        const {
+            maxChapters = 50,
+            chapterDelay = 1000,
+            fetcher = this.options.fetchMode,
+            images = false,
+            followPages = this.options.followPages,
+            maxPages = this.options.maxPages,
+            selectorOverrides = null,
+            snapshots = null,
+            toc = null
+        } = options;
+
+        const domain = new URL(startUrl).hostname;
+        const siteProfile = await this.getSiteProfileForHost(domain);
+        const profile = this.applySelectorOverrides(siteProfile, selectorOverrides);
+        const boilerplate = await this.getBoilerplateFingerprints(domain);
+
+        // With a table of contents (see extractTableOfContents) its entries are walked in order instead of "next" links
+        const tocEntries = toc ? toc.chapters : null;
+        const chapters = [];
+        const visited = new Set();
+        let currentUrl = tocEntries ? tocEntries[0].url : startUrl;
+        let stoppedReason = tocEntries ? 'end_of_toc' : 'no_next_link';
+
+        while (currentUrl) {
+            if (chapters.length >= maxChapters) {
+                stoppedReason = 'max_chapters';
+                break;
+            }
+
+            if (snapshots && chapters.length > 0 && !this.hasSnapshot(currentUrl, snapshots)) {
+                stoppedReason = 'no_snapshot';
+                break;
+            }
+
+            console.log(`📖 Chapter ${chapters.length + 1}: ${currentUrl}`);
+            visited.add(this.canonicalizeUrl(currentUrl));
+
+            const fetched = await this.fetchPage(currentUrl, { profile, fetcher, snapshots });
+
+            // Later chapters behind a login wall end the walk; the free chapters are still worth keeping
+            if (chapters.length > 0 && this.detectLoginWall(fetched.html, currentUrl, fetched.finalUrl)) {
+                console.log(`🔒 Login required from chapter ${chapters.length + 1}: ${currentUrl}`);
+                await this.markSessionLoginWall(fetched.session);
+                stoppedReason = 'login_required';
+                break;
+            }
+            await this.assertNotLoginWall(currentUrl, fetched);
+
+            const chapterUrl = fetched.finalUrl || currentUrl;
+            const tocEntry = tocEntries ? tocEntries[chapters.length] : null;
+            const tocNextUrl = tocEntries && tocEntries[chapters.length + 1] ? tocEntries[chapters.length + 1].url : null;
+            const first = this.parsePage(currentUrl, () => {
+                const $ = cheerio.load(fetched.html);
+                const overrideMatches = this.matchSelectorOverrides($, selectorOverrides);
+
+                // Find the next links before extractContent strips the navigation
+                const nextUrl = tocEntries ? tocNextUrl : this.findNextChapterLink($, currentUrl, profile);
+                const pagerUrl = this.findNextPageLink($, chapterUrl, chapterUrl);
+
+                const metadata = this.extractMetadata($, currentUrl);
+                const canonicalUrl = this.extractCanonicalUrl($, chapterUrl);
+                const title = this.extractTitle($, profile);
+                const author = this.extractAuthor($, profile, metadata);
+                const { content, contentHtml } = this.extractContentParts($, profile, { images, baseUrl: chapterUrl, boilerplate });
+
+                // When the "next" link is also the page-2 link it is taken as the next chapter, as it always was
+                const nextPageUrl = pagerUrl && pagerUrl !== nextUrl ? pagerUrl : null;
+                return { nextUrl, nextPageUrl, metadata, canonicalUrl, title, author, content, contentHtml, overrideMatches };
+            });
+            const { metadata, canonicalUrl, title, author } = first;
+
+            const { pages, stoppedReason: pagesStoppedReason, nextPageUrl } = await this.fetchFollowingPages(chapterUrl, first, { follow: followPages, profile, fetcher, images, maxPages, chapters: true, boilerplate, snapshots });
+            const content = [first, ...pages].map(page => page.content).join('\n\n');
+            const contentHtml = [first, ...pages].map(page => page.contentHtml).join('\n');
+
+            // The link to the next chapter usually sits on the chapter's last page
+            const lastPage = pages[pages.length - 1];
+            const nextUrl = !tocEntries && lastPage && lastPage.nextChapterUrl && this.pageNumberOf(lastPage.nextChapterUrl, chapterUrl) === null
+                ? lastPage.nextChapterUrl
+                : first.nextUrl;
+
+            chapters.push({
+                chapterNumber: chapters.length + 1,
+                url: currentUrl,
+                canonicalUrl,
+                title: tocEntry && tocEntry.text ? tocEntry.text : title,
+                author,
+                metadata,
+                fetcher: this.summarizeFetchers([fetched.fetcher, ...pages.map(page => page.fetcher)]),
+                content,
+                contentHtml,
+                wordCount: content.split(/\s+/).length,
+                pageCount: 1 + pages.length,
+                pagesStoppedReason,
+                nextPageUrl,
+                selectorOverrides: first.overrideMatches,
+                snapshots: [this.snapshotOf(currentUrl, fetched), ...pages.map(page => page.snapshot)]
+            });
+
+            if (nextUrl && visited.has(this.canonicalizeUrl(nextUrl))) {
+                stoppedReason = 'loop_detected';
+                break;
+            }
+
+            currentUrl = nextUrl;
+
+            if (currentUrl && chapterDelay > 0) {
+                await new Promise(resolve => setTimeout(resolve, chapterDelay));
+            }
+        }
+
+        // Individual empty chapters are kept (they may be author's notes), but not a story with no text at all
+        this.assertHasContent(startUrl, chapters.map(chapter => this.hasContent(chapter.content) ? chapter.content : '').join(''));
+
+        const extracted = await this.assembleChapters(chapters, { domain, profile: siteProfile, stoppedReason });
+        if (toc) {
+            // The story is the index page: its title and byline, its address, and its snapshot ahead of the chapters'
+            extracted.tocUrl = toc.url;
+            extracted.canonicalUrl = toc.canonicalUrl;
+            extracted.title = toc.title || extracted.title;
+            extracted.author = toc.author || extracted.author;
+            extracted.similarityKeywords = await this.generateSimilarityKeywords(extracted.content, extracted.title, extracted.author);
+            extracted.snapshots.unshift({ ...toc.snapshot, chapterNumber: null, pageNumber: 0 });
+            extracted.toc = { url: toc.url, listPath: toc.listPath, reversed: toc.reversed, entries: toc.chapters.length };
+        }
+        return extracted;
+    }
+
+    parsePage(url, parse) {
+        try {
+            return parse();
+        } catch (error) {
+            if (error.code) throw error;
+            throw this.createScrapeError('PARSE_ERROR', `Could not parse ${url}: ${error.message}`, { url });
+        }
+    }
+
+    hasContent(content) {
+        return Boolean(content && content.trim() && content !== 'No content found');
+    }
+
+    assertHasContent(url, content) {
+        if (!this.hasContent(content)) {
+            throw this.createScrapeError('EMPTY_CONTENT', `No story content found at ${url}`, { url });
+        }
+    }
+
+    async assembleChapters(chapters, { domain, profile, stoppedReason }) {
+        const first = chapters[0];
+        const title = first.title;
+        const author = chapters.map(chapter => chapter.author).find(Boolean) || null;
+        const content = chapters.map(chapter => chapter.content).join('\n\n');
+        const contentHtml = chapters.map(chapter => chapter.contentHtml).join('');
+        const wordCount = chapters.reduce((sum, chapter) => sum + chapter.wordCount, 0);
+        const pageCount = chapters.reduce((sum, chapter) => sum + (chapter.pageCount || 1), 0);
+        const similarityKeywords = await this.generateSimilarityKeywords(content, title, author);
+
+        // Story-level metadata comes from the first chapter, except the latest update date
+        const metadata = { ...first.metadata };
+        const lastUpdated = chapters
+            .map(chapter => chapter.metadata.updatedDate || chapter.metadata.publishedDate)
+            .filter(Boolean)
+            .sort()
+            .pop();
+        if (lastUpdated) metadata.updatedDate = lastUpdated;
+
+        return {
+            domain,
+            profile,
+            fetcher: this.summarizeFetchers(chapters.map(chapter => chapter.fetcher)),
+            canonicalUrl: first.canonicalUrl,
+            title,
+            content,
+            contentHtml,
+            author,
+            wordCount,
+            pageCount,
+            metadata,
+            similarityKeywords,
+            chapters,
+            stoppedReason,
+            selectorOverrides: first.selectorOverrides,
+            snapshots: chapters.flatMap(chapter => this.numberSnapshots(chapter.snapshots, chapter.chapterNumber))
+        };
+    }
+
+    async saveChapters(storyId, chapters) {
+        // Chapters are always rewritten as a whole so their numbering stays contiguous
+        await new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM chapters WHERE story_id = ?', [storyId], (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        for (const chapter of chapters) {
+            await new Promise((resolve, reject) => {
+                this.db.run(
+                    'INSERT INTO chapters (story_id, chapter_number, title, url, content, content_html, word_count, page_count) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                    [storyId, chapter.chapterNumber, chapter.title, chapter.url, chapter.content, chapter.contentHtml, chapter.wordCount, chapter.pageCount || 1],
+                    (err) => {
+                        if (err) reject(err);
+                        else resolve();
+                    }
+                );
+            });
+        }
+    }
+
+    async scrapeLinksFromPage(pageUrl, options = {}) {
+        console.log('🔍 Finding story links on:', pageUrl);
+        
+        const {
+            linkSelector = 'a[href]',
+            filterPatterns = [],
+            excludePatterns = ['/css/', '/js/', '/images/', '.jpg', '.png', '.gif', '.pdf', '.zip', '.exe', 'mailto:', 'tel:'],
+            sameDomain = true,
+            maxLinks = 10,
+            keywords = [],
+            minScore = LINK_MIN_SCORE,
+            fetcher = this.options.fetchMode
+        } = options;
+
+        // Expanding an infinite-scroll or "load more" listing needs a browser
+        const expand = this.normalizeExpandOptions(options.expand, linkSelector);
+        const profile = await this.getSiteProfileForHost(new URL(pageUrl).hostname);
+        const fetched = await this.fetchPage(pageUrl, {
+            profile,
+            fetcher: expand ? 'puppeteer' : fetcher,
+            expand,
+            isSufficient: ($) => $(linkSelector).length > 0
+        });
+        const $ = cheerio.load(fetched.html);
+        const baseDomain = new URL(pageUrl).hostname;
+        
+        const links = [];
+        
+        $(linkSelector).each((i, element) => {
+            const href = $(element).attr('href');
+            const text = $(element).text().trim();
+            
+            if (!href) return;
+            
+            let fullUrl;
+            try {
+                fullUrl = new URL(href, pageUrl).href;
+            } catch (e) {
+                return; // Skip invalid URLs
+            }
+            
+            const linkDomain = new URL(fullUrl).hostname;
+            
+            // Apply same domain filter
+            if (sameDomain && linkDomain !== baseDomain) return;
+            
+            // Apply exclude patterns
+            if (excludePatterns.some(pattern => fullUrl.includes(pattern))) return;
+            
+            // Apply keyword filters
+            if (keywords.length > 0) {
+                const linkText = text.toLowerCase();
+                const hasKeyword = keywords.some(keyword => 
+                    linkText.includes(keyword.toLowerCase()) || 
+                    fullUrl.toLowerCase().includes(keyword.toLowerCase())
+                );
+                if (!hasKeyword) return;
+            }
+            
+            links.push({
+                url: fullUrl,
+                canonicalUrl: this.canonicalizeUrl(fullUrl),
+                text: text,
+                domain: linkDomain,
+                element
+            });
+        });
+        
+        // Remove duplicates (by canonical URL, so #anchors and tracking parameters collapse), score them and limit results
+        const uniqueLinks = this.classifyLinks($, links, { pageUrl, minScore });
+        const storyLinks = uniqueLinks.filter(link => link.type === 'story');
+        const linksToScrape = storyLinks.slice(0, maxLinks);
+        
+        console.log(`📋 Found ${links.length} total links, ${uniqueLinks.length} unique, ${storyLinks.length} likely stories, returning ${linksToScrape.length}`);
+        
+        // Show preview of links to be scraped
+        console.log('\n📋 Links to scrape:');
+        linksToScrape.slice(0, 10).forEach((link, i) => {
+            console.log(`  ${i + 1}. ${link.text || 'Untitled'} (score ${link.score})`);
+            console.log(`     ${link.url}`);
+        });
+        
+        return {
+            fetcher: fetched.fetcher,
+            expansion: fetched.expansion || null,
+            totalFound: links.length,
+            uniqueLinks: uniqueLinks.length,
+            minScore,
+            counts: ['story', 'index', 'navigation', 'asset'].reduce((counts, type) => ({
+                ...counts,
+                [type]: uniqueLinks.filter(link => link.type === type).length
+            }), {}),
+            linksToScrape: linksToScrape,
+            otherLinks: uniqueLinks.filter(link => link.type !== 'story'),
+            preview: linksToScrape.slice(0, 10)
+        };
+    }
+
+    async batchScrapeFromLinks(links, options = {}) {
+        const { 
+            delay = 2000,
+            skipExisting = true,
+            skipFailed = true,
+            minWordCount = 100,
+            concurrency = this.options.maxConcurrency
+        } = options;
+        
+        const results = {
+            successful: 0,
+            skipped: 0,
+            failed: 0,
+            stories: [],
+            failures: []
+        };
+        
+        console.log(`\n🚀 Starting batch scrape of ${links.length} links (${concurrency} at a time)...`);
+        
+        await this.runWithConcurrency(links, concurrency, async (link, i) => {
+            console.log(`\n[${i + 1}/${links.length}] Processing: ${link.text || 'Untitled'}`);
+            console.log(`URL: ${link.url}`);
+            
+            try {
+                // Check if already exists
+                if (skipExisting) {
+                    const existing = await this.getStoryByUrl(link.url);
+                    if (existing) {
+                        console.log('⏭️  Skipping - already exists');
+                        results.skipped++;
+                        return;
+                    }
+                }
+
+                // Permanent failures (and URLs that keep failing) are not fetched again
+                if (skipFailed) {
+                    const failure = await this.getScrapeFailure(link.url);
+                    if (!this.isWorthRetrying(failure)) {
+                        console.log(`⏭️  Skipping - previously failed (${failure.error_type}, ${failure.attempts} attempts)`);
+                        results.skipped++;
+                        return;
+                    }
+                }
+                
+                const result = await this.scrape(link.url);
+                if (result.skipped) {
+                    results.skipped++;
+                    return;
+                }
+                
+                // Check if content is substantial enough
+                const story = result.story;
+                if (story.wordCount < minWordCount) {
+                    console.log(`⏭️  Skipping - too short (${story.wordCount} words)`);
+                    results.skipped++;
+                    return;
+                }
+                
+                console.log(`✅ Success: "${story.title}" (${story.wordCount} words)`);
+                results.successful++;
+                results.stories.push(result);
+                
+            } catch (error) {
+                console.log(`❌ Failed: ${error.message}`);
+                results.failed++;
+                results.failures.push({
+                    url: link.url,
+                    type: error.type || this.classifyScrapeError(error).type,
+                    retryable: Boolean(error.retryable),
+                    message: error.message
+                });
+            } finally {
+                // Each worker pauses between its own requests
+                if (i < links.length - concurrency && delay > 0) {
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
+        });
+        
+        console.log('\n📊 Batch scraping completed:');
+        console.log(`✅ Successful: ${results.successful}`);
+        console.log(`⏭️  Skipped: ${results.skipped}`);
+        console.log(`❌ Failed: ${results.failed}`);
+        
+        return results;
+    }
+
+    async getStoryByUrl(url) {
+        const canonicalUrl = this.canonicalizeUrl(url);
+
+        return new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM stories WHERE url = ? OR original_url = ? ORDER BY url = ? DESC LIMIT 1',
+                [canonicalUrl, url, canonicalUrl],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row);
+                }
+            );
+        });
+    }
+
+    extractTitle($, profile = null) {
+        if (profile && profile.title_selector) {
+            const element = $(profile.title_selector).first();
+            if (element.length && element.text().trim()) {
+                return element.text().trim();
+            }
+        }
+
+        for (const selector of TITLE_SELECTORS) {
+            const element = $(selector).first();
+            if (element.length && element.text().trim()) {
+                return this.cleanTitle(element.text().trim());
+            }
+        }
+        
+        // Fallback to page title
+        const pageTitle = $('title').text().trim();
+        return pageTitle ? this.cleanTitle(pageTitle) : 'Untitled';
+    }
+
+    extractContent($, profile = null) {
+        return this.selectContent($, profile).text;
+    }
+
+    // options.boilerplate is a Set of learned block fingerprints for the host (see getBoilerplateFingerprints)
+    extractContentParts($, profile = null, options = {}) {
+        const { text, nodes } = this.selectContent($, profile);
+        let contentHtml = this.sanitizeContentHtml(nodes, options);
+        if (contentHtml && options.boilerplate && options.boilerplate.size > 0) {
+            const stripped = this.removeBoilerplateBlocks(contentHtml, options.boilerplate);
+            if (stripped.removed > 0) {
+                console.log(`🧹 Removed ${stripped.removed} boilerplate block${stripped.removed === 1 ? '' : 's'}`);
+            }
+            contentHtml = stripped.html;
+        }
+
+        // Derive plain text from the sanitized HTML so paragraph boundaries survive
+        const content = contentHtml ? this.contentHtmlToText(contentHtml) : text;
+        return { content, contentHtml };
+    }
+
+    selectContent($, profile = null) {
+        if (profile && profile.remove_selectors) {
+            $(profile.remove_selectors).remove();
+        }
+
+        if (profile && profile.content_selector) {
+            const element = $(profile.content_selector);
+            $('script, style', element).remove();
+            const text = element.map((i, el) => $(el).text().trim()).get().filter(Boolean).join('\n\n');
+            if (text) {
+                return { text, nodes: element, method: 'profile', node: profile.content_selector, score: null };
+            }
+        }
+
+        // Remove unwanted elements
+        $('script, style, nav, header, footer, .sidebar, .menu, .navigation, .ads, .advertisement').remove();
+
+        // Score the DOM for the densest block of story text
+        const density = this.findMainContentNode($);
+        if (density && density.textLength >= 200) {
+            return {
+                text: $(density.element).text().trim(),
+                nodes: $(density.element),
+                method: 'density',
+                node: density.node,
+                score: density.score
+            };
+        }
+
+        // If no container stands out, fall back to the page's paragraphs
+        const paragraphs = $('p').map((i, el) => $(el).text().trim()).get().filter(Boolean);
+        const combinedText = paragraphs.join('\n\n');
+
+        if (combinedText) {
+            return {
+                text: combinedText,
+                nodes: $('p'),
+                method: 'paragraphs',
+                node: null,
+                score: this.scoreContent(combinedText)
+            };
+        }
+
+        if (density) {
+            return {
+                text: $(density.element).text().trim() || 'No content found',
+                nodes: $(density.element),
+                method: 'density',
+                node: density.node,
+                score: density.score
+            };
+        }
+
+        return { text: 'No content found', nodes: $([]), method: 'none', node: null, score: 0 };
+    }
+
+    findMainContentNode($, options = {}) {
+        const { maxCandidates = 5 } = options;
+        const candidates = new Map();
+
+        const addCandidate = (element) => {
+            if (!candidates.has(element)) {
+                candidates.set(element, {
+                    element,
+                    score: this.tagWeight(element.name) + this.classWeight($(element))
+                });
+            }
+            return candidates.get(element);
+        };
+
+        // Every text block votes for its parent, and half as much for its grandparent
+        $('p, pre, td, blockquote, div, section').each((i, el) => {
+            const $el = $(el);
+
+            // Divs only count when they hold text directly rather than wrapping other blocks
+            if (['div', 'section'].includes(el.name) &&
+                $el.children('p, div, section, article, table, ul, ol, blockquote, pre').length > 0) {
+                return;
+            }
+
+            const text = $el.text().replace(/\s+/g, ' ').trim();
+            if (text.length < 25) return;
+
+            const parent = el.parent;
+            if (!parent || parent.type !== 'tag') return;
+
+            const blockScore = 1 + (text.split(',').length - 1) + Math.min(Math.floor(text.length / 100), 3);
+            addCandidate(parent).score += blockScore;
+
+            const grandparent = parent.parent;
+            if (grandparent && grandparent.type === 'tag') {
+                addCandidate(grandparent).score += blockScore / 2;
+            }
+        });
+
+        const scored = [];
+        for (const candidate of candidates.values()) {
+            const $el = $(candidate.element);
+            const text = $el.text().replace(/\s+/g, ' ').trim();
+            if (!text || this.isLikelyBoilerplate($el, $el.text())) continue;
+
+            const linkText = $el.find('a').text().replace(/\s+/g, ' ').trim();
+            const linkDensity = linkText.length / text.length;
+
+            scored.push({
+                element: candidate.element,
+                node: this.describeNode($el),
+                score: Math.round(candidate.score * (1 - linkDensity) * 100) / 100,
+                textLength: text.length,
+                linkDensity: Math.round(linkDensity * 1000) / 1000,
+                paragraphCount: $el.find('p').length,
+                preview: this.previewText(text)
+            });
+        }
+
+        if (scored.length === 0) return null;
+
+        scored.sort((a, b) => b.score - a.score);
+        const best = scored[0];
+        best.candidates = scored.slice(0, maxCandidates).map(({ element, ...rest }) => rest);
+        return best;
+    }
+
+    tagWeight(tagName) {
+        switch (tagName) {
+            case 'article':
+                return 10;
+            case 'div':
+            case 'section':
+            case 'main':
+                return 5;
+            case 'pre':
+            case 'td':
+            case 'blockquote':
+                return 3;
+            case 'ul':
+            case 'ol':
+            case 'li':
+            case 'form':
+                return -3;
+            case 'body':
+                return -5;
+            default:
+                return 0;
+        }
+    }
+
+    classWeight($el) {
+        const hints = `${$el.attr('class') || ''} ${$el.attr('id') || ''}`.toLowerCase();
+        if (!hints.trim()) return 0;
+
+        let weight = 0;
+        if (/story|chapter|article|content|entry|post|text|body|main|prose|reader/.test(hints)) {
+            weight += 25;
+        }
+        if (/comment|meta|footer|footnote|nav|menu|sidebar|share|social|related|sponsor|promo|widget|popup|banner|breadcrumb|masthead|(^|[-_\s])ads?([-_\s]|$)|advert/.test(hints)) {
+            weight -= 25;
+        }
+        return weight;
+    }
+
+    isLikelyBoilerplate($el, text) {
+        const className = ($el.attr('class') || '').toLowerCase();
+        const id = ($el.attr('id') || '').toLowerCase();
+
+        // Match whole class/id tokens so "header" does not trip "ad" and "thread" does not trip "read"
+        const tokens = `${className} ${id}`.split(/[^a-z0-9]+/).filter(Boolean);
+        const boilerplateKeywords = [
+            'nav', 'navbar', 'menu', 'sidebar', 'footer', 'header',
+            'advertisement', 'ad', 'ads', 'social', 'share',
+            'comment', 'comments', 'related', 'recommended'
+        ];
+
+        if (tokens.some(token => boilerplateKeywords.includes(token))) return true;
+
+        // Check for very short lines (likely navigation)
+        const lines = text.split('\n').filter(line => line.trim().length > 0);
+        const avgLineLength = lines.length > 0 ? text.length / lines.length : 0;
+
+        return avgLineLength < 20 && lines.length > 5;
+    }
+
+    describeNode($el) {
+        const element = $el.get(0);
+        if (!element) return null;
+
+        const id = $el.attr('id');
+        const classes = ($el.attr('class') || '').trim().split(/\s+/).filter(Boolean);
+        return `${element.name}${id ? `#${id}` : ''}${classes.map(c => `.${c}`).join('')}`;
+    }
+
+    // options.images keeps <img> tags (absolute src, resolved against options.baseUrl) for downloading
+    sanitizeContentHtml(nodes, options = {}) {
+        return this.sanitizeBlocks(nodes.toArray(), options).join('\n');
+    }
+
+    isDroppedContentTag(tag, options = {}) {
+        return DROPPED_CONTENT_TAGS.has(tag) && !(options.images && IMAGE_CONTENT_TAGS.has(tag));
+    }
+
+    hasVisibleContent(html) {
+        return Boolean(html.replace(/<[^>]+>/g, '').trim()) || /<img /.test(html);
+    }
+
+    sanitizeImage(node, options = {}) {
+        const attribs = node.attribs || {};
+        // Lazy-loading scripts keep the real address in a data attribute and a placeholder in src
+        const source = attribs['data-src'] || attribs['data-original'] || attribs['data-lazy-src'] || attribs.src ||
+            (attribs.srcset || '').trim().split(/\s+/)[0];
+        if (!source) return '';
+
+        let src;
+        try {
+            src = new URL(source.trim(), options.baseUrl).href;
+        } catch (e) {
+            return '';
+        }
+        if (!/^https?:/.test(src)) return '';
+
+        return `<img src="${this.escapeHtml(src).replace(/"/g, '&quot;')}" alt="${this.escapeHtml(attribs.alt || '').replace(/"/g, '&quot;')}">`;
+    }
+
+    sanitizeBlocks(nodes, options = {}) {
+        const blocks = [];
+        let inline = '';
+
+        const flush = () => {
+            const html = inline.replace(/\s+/g, ' ').replace(/^(\s|<br>)+|(\s|<br>)+$/g, '');
+            if (html && this.hasVisibleContent(html)) {
+                blocks.push(`<p>${html}</p>`);
+            }
+            inline = '';
+        };
+
+        const walk = (node) => {
+            if (node.type === 'text') {
+                inline += this.escapeHtml(node.data);
+                return;
+            }
+            // Comments, directives and script/style nodes are never content
+            if (node.type !== 'tag') return;
+
+            const tag = node.name.toLowerCase();
+            if (this.isDroppedContentTag(tag, options)) return;
+
+            if (tag === 'img') {
+                inline += this.sanitizeImage(node, options);
+                return;
+            }
+
+            if (tag === 'br') {
+                // A double <br> is the usual paragraph break on sites without <p> markup
+                if (/<br>\s*$/.test(inline)) {
+                    inline = inline.replace(/<br>\s*$/, '');
+                    flush();
+                } else {
+                    inline += '<br>';
+                }
+                return;
+            }
+
+            if (INLINE_CONTENT_TAGS[tag] || TRANSPARENT_INLINE_TAGS.has(tag)) {
+                inline += this.sanitizeInline([node], options);
+                return;
+            }
+
+            flush();
+
+            if (tag === 'hr') {
+                blocks.push('<hr>');
+            } else if (tag === 'p' || HEADING_CONTENT_TAGS.has(tag)) {
+                const html = this.sanitizeInline(node.children, options).replace(/\s+/g, ' ').trim();
+                if (html && this.hasVisibleContent(html)) {
+                    blocks.push(`<${tag}>${html}</${tag}>`);
+                }
+            } else if (tag === 'blockquote') {
+                const inner = this.sanitizeBlocks(node.children, options);
+                if (inner.length) {
+                    blocks.push(`<blockquote>${inner.join('')}</blockquote>`);
+                }
+            } else if (tag === 'ul' || tag === 'ol') {
+                const items = node.children
+                    .filter(child => child.type === 'tag' && child.name.toLowerCase() === 'li')
+                    .map(child => this.sanitizeInline(child.children, options).replace(/\s+/g, ' ').trim())
+                    .filter(Boolean);
+                if (items.length) {
+                    blocks.push(`<${tag}>${items.map(item => `<li>${item}</li>`).join('')}</${tag}>`);
+                }
+            } else {
+                // div, section, article, td and anything unknown: keep the children, drop the wrapper
+                node.children.forEach(walk);
+                flush();
+            }
+        };
+
+        nodes.forEach(walk);
+        flush();
+        return blocks;
+    }
+
+    sanitizeInline(nodes, options = {}) {
+        return nodes.map(node => {
+            if (node.type === 'text') return this.escapeHtml(node.data);
+            if (node.type !== 'tag') return '';
+
+            const tag = node.name.toLowerCase();
+            if (this.isDroppedContentTag(tag, options)) return '';
+            if (tag === 'br') return '<br>';
+            if (tag === 'img') return this.sanitizeImage(node, options);
+
+            const inner = this.sanitizeInline(node.children, options);
+            const allowed = INLINE_CONTENT_TAGS[tag];
+            if (allowed) {
+                return inner.trim() ? `<${allowed}>${inner}</${allowed}>` : inner;
+            }
+
+            // Block elements nested in inline context still need separating whitespace
+            return TRANSPARENT_INLINE_TAGS.has(tag) ? inner : ` ${inner} `;
+        }).join('');
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    contentHtmlToText(html) {
+        return html
+            .replace(/<br>/g, '\n')
+            .replace(/<hr>/g, '\n\n* * *\n\n')
+            .replace(/<\/li>/g, '\n')
+            .replace(/<\/(p|h[1-6]|blockquote|ul|ol)>/g, '\n\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&')
+            .split('\n')
+            .map(line => line.trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    contentHtmlToMarkdown(html) {
+        const $ = cheerio.load(html, null, false);
+
+        const inline = (nodes) => nodes.map(node => {
+            if (node.type === 'text') return node.data;
+            if (node.type !== 'tag') return '';
+
+            const inner = inline(node.children);
+            switch (node.name) {
+                case 'em': return `*${inner}*`;
+                case 'strong': return `**${inner}**`;
+                case 's': return `~~${inner}~~`;
+                case 'br': return '  \n';
+                case 'img': return `![${node.attribs.alt || ''}](${node.attribs.src})`;
+                default: return inner;
+            }
+        }).join('');
+
+        const block = (node) => {
+            if (node.type !== 'tag') return '';
+
+            if (HEADING_CONTENT_TAGS.has(node.name)) {
+                // Content headings sit below the story (#) and chapter (##) headings
+                const level = Math.min(parseInt(node.name.slice(1)) + 2, 6);
+                return `${'#'.repeat(level)} ${inline(node.children)}`;
+            }
+
+            switch (node.name) {
+                case 'hr':
+                    return '* * *';
+                case 'blockquote':
+                    return node.children.map(block).filter(Boolean).join('\n\n')
+                        .split('\n').map(line => `> ${line}`).join('\n');
+                case 'ul':
+                    return node.children.map(li => `- ${inline(li.children || [])}`).join('\n');
+                case 'ol':
+                    return node.children.map((li, i) => `${i + 1}. ${inline(li.children || [])}`).join('\n');
+                default:
+                    return inline(node.children);
+            }
+        };
+
+        return $.root().contents().toArray().map(block).filter(Boolean).join('\n\n');
+    }
+
+    scoreContent(text) {
+        if (!text) return 0;
+        
+        const wordCount = text.split(/\s+/).length;
+        const sentenceCount = text.split(/[.!?]+/).length;
+        const avgWordsPerSentence = wordCount / Math.max(sentenceCount, 1);
+        
+        // Score based on length and structure
+        let score = wordCount;
+        
+        // Bonus for reasonable sentence length
+        if (avgWordsPerSentence > 5 && avgWordsPerSentence < 30) {
+            score += 50;
+        }
+        
+        // Penalty for very short content
+        if (wordCount < 50) {
+            score -= 100;
+        }
+        
+        return score;
+    }
+
+    extractAuthor($, profile = null, metadata = null) {
+        if (profile && profile.author_selector) {
+            const element = $(profile.author_selector).first();
+            if (element.length && element.text().trim()) {
+                return element.text().trim().replace(/^by\s+/i, '');
+            }
+        }
+
+        // Structured metadata names the author explicitly; byline classes are only a guess
+        if (metadata && metadata.author) {
+            return metadata.author;
+        }
+
+        for (const selector of AUTHOR_SELECTORS) {
+            const element = $(selector).first();
+            if (element.length && element.text().trim()) {
+                return element.text().trim().replace(/^by\s+/i, '');
+            }
+        }
+        
+        return null;
+    }
+
+    findNextChapterLink($, currentUrl, profile = null) {
+        const currentHost = new URL(currentUrl).hostname;
+
+        const resolve = (href) => {
+            if (!href) return null;
+            try {
+                const resolved = new URL(href, currentUrl);
+                resolved.hash = '';
+                if (resolved.hostname !== currentHost) return null;
+                if (resolved.href === currentUrl) return null;
+                return resolved.href;
+            } catch (e) {
+                return null;
+            }
+        };
+
+        if (profile && profile.next_link_selector) {
+            const profileNext = resolve($(profile.next_link_selector).first().attr('href'));
+            if (profileNext) return profileNext;
+        }
+
+        // Explicit rel="next" wins over anything guessed from link text
+        const relNext = resolve($('link[rel="next"]').attr('href')) ||
+            resolve($('a[rel~="next"]').first().attr('href'));
+        if (relNext) return relNext;
+
+        const nextTextPatterns = [
+            /^next\s+chapter\b/i,
+            /^next\s*(part|episode|page)?\s*[»›→>]*$/i,
+            /^[»›→>]+$/,
+            /^continue\s+reading\b/i
+        ];
+
+        let found = null;
+        $('a[href]').each((i, element) => {
+            const $el = $(element);
+            const text = $el.text().replace(/\s+/g, ' ').trim();
+            const className = ($el.attr('class') || '').toLowerCase();
+            const id = ($el.attr('id') || '').toLowerCase();
+
+            const textMatches = nextTextPatterns.some(pattern => pattern.test(text));
+            const classMatches = /(^|[-_\s])next([-_\s]|$)/.test(className) || /(^|[-_])next([-_]|$)/.test(id);
+
+            if (textMatches || classMatches) {
+                found = resolve($el.attr('href'));
+                if (found) return false;
+            }
+        });
+
+        return found;
+    }
+
+    // Field precedence: JSON-LD, then OpenGraph/article:*, then plain <meta> tags, then the DOM.
+    // Source tags are the exception: every source contributes and the result is de-duplicated.
+    extractMetadata($, pageUrl) {
+        const sources = [
+            { name: 'json-ld', fields: this.extractJsonLdMetadata($) },
+            { name: 'opengraph', fields: this.extractOpenGraphMetadata($) },
+            { name: 'meta', fields: this.extractMetaTagMetadata($) },
+            { name: 'dom', fields: this.extractDomMetadata($) }
+        ];
+
+        const metadata = {
+            author: null,
+            publishedDate: null,
+            updatedDate: null,
+            summary: null,
+            language: null,
+            coverImageUrl: null,
+            siteName: null,
+            sourceTags: [],
+            sources: {}
+        };
+
+        for (const field of Object.keys(metadata)) {
+            if (field === 'sourceTags' || field === 'sources') continue;
+
+            for (const source of sources) {
+                let value = source.fields[field];
+                if (typeof value === 'string') value = value.replace(/\s+/g, ' ').trim();
+                if (!value) continue;
+
+                if (field === 'publishedDate' || field === 'updatedDate') {
+                    value = this.normalizeMetadataDate(value);
+                } else if (field === 'language') {
+                    value = value.replace(/_/g, '-');
+                } else if (field === 'coverImageUrl') {
+                    try {
+                        value = new URL(value, pageUrl).href;
+                    } catch (e) {
+                        value = null;
+                    }
+                } else if (field === 'author' && /^https?:\/\//i.test(value)) {
+                    // article:author is often a profile URL rather than a name
+                    value = null;
+                }
+
+                if (value) {
+                    metadata[field] = value;
+                    metadata.sources[field] = source.name;
+                    break;
+                }
+            }
+        }
+
+        const seenTags = new Set();
+        for (const source of sources) {
+            for (const tag of source.fields.sourceTags || []) {
+                const cleaned = String(tag).replace(/\s+/g, ' ').trim();
+                if (cleaned && !seenTags.has(cleaned.toLowerCase())) {
+                    seenTags.add(cleaned.toLowerCase());
+                    metadata.sourceTags.push(cleaned);
+                }
+            }
+        }
+
+        return metadata;
+    }
+
+    extractJsonLdMetadata($) {
+        const nodes = [];
+        const collect = (value) => {
+            if (Array.isArray(value)) {
+                value.forEach(collect);
+            } else if (value && typeof value === 'object') {
+                nodes.push(value);
+                if (value['@graph']) collect(value['@graph']);
+            }
+        };
+
+        $('script[type="application/ld+json"]').each((i, el) => {
+            try {
+                collect(JSON.parse($(el).contents().text()));
+            } catch (e) {
+                // Ignore malformed JSON-LD blocks
+            }
+        });
+
+        // Prefer the most story-like type when a page carries several blocks
+        const typePriority = ['Chapter', 'ShortStory', 'CreativeWork', 'Book', 'BlogPosting', 'NewsArticle', 'Article', 'WebPage'];
+        const typesOf = (node) => [].concat(node['@type'] || []);
+        const rank = (node) => {
+            const ranks = typesOf(node).map(type => typePriority.indexOf(type)).filter(index => index >= 0);
+            return ranks.length ? Math.min(...ranks) : -1;
+        };
+
+        const article = nodes
+            .filter(node => rank(node) >= 0)
+            .sort((a, b) => rank(a) - rank(b))[0];
+        if (!article) return {};
+
+        const nameOf = (value) => {
+            const first = Array.isArray(value) ? value[0] : value;
+            if (!first) return null;
+            return typeof first === 'string' ? first : first.name || null;
+        };
+        const imageOf = (value) => {
+            const first = Array.isArray(value) ? value[0] : value;
+            if (!first) return null;
+            return typeof first === 'string' ? first : first.url || first.contentUrl || null;
+        };
+        const keywordsOf = (value) => {
+            if (!value) return [];
+            return Array.isArray(value) ? value : String(value).split(',');
+        };
+
+        const authors = [].concat(article.author || article.creator || []).map(nameOf).filter(Boolean);
+
+        return {
+            author: authors.length ? authors.join(', ') : null,
+            publishedDate: article.datePublished || article.dateCreated || null,
+            updatedDate: article.dateModified || null,
+            summary: article.description || article.abstract || null,
+            language: typeof article.inLanguage === 'string' ? article.inLanguage : nameOf(article.inLanguage),
+            coverImageUrl: imageOf(article.image || article.thumbnailUrl),
+            siteName: nameOf(article.isPartOf) || nameOf(article.publisher),
+            sourceTags: [...keywordsOf(article.keywords), ...keywordsOf(article.genre)]
+        };
+    }
+
+    extractOpenGraphMetadata($) {
+        const property = (name) => $(`meta[property="${name}"]`).attr('content') || null;
+
+        return {
+            author: property('article:author') || property('book:author'),
+            publishedDate: property('article:published_time') || property('book:release_date'),
+            updatedDate: property('article:modified_time') || property('og:updated_time'),
+            summary: property('og:description'),
+            language: property('og:locale'),
+            coverImageUrl: property('og:image') || property('og:image:url'),
+            siteName: property('og:site_name'),
+            sourceTags: [
+                ...$('meta[property="article:tag"], meta[property="book:tag"]').map((i, el) => $(el).attr('content')).get(),
+                property('article:section')
+            ].filter(Boolean)
+        };
+    }
+
+    extractMetaTagMetadata($) {
+        // Meta names are case-insensitive in practice (Author, DC.Date, ...)
+        const meta = (...names) => {
+            for (const name of names) {
+                const element = $('meta[name]').filter((i, el) => ($(el).attr('name') || '').toLowerCase() === name).first();
+                if (element.length && element.attr('content')) return element.attr('content');
+            }
+            return null;
+        };
+
+        return {
+            author: meta('author', 'dc.creator', 'twitter:creator'),
+            publishedDate: meta('date', 'dc.date.issued', 'dc.date', 'publish-date', 'pubdate'),
+            updatedDate: meta('last-modified', 'dc.date.modified'),
+            summary: meta('description', 'twitter:description', 'dc.description'),
+            language: meta('language', 'dc.language') || $('meta[http-equiv="content-language" i]').attr('content') || null,
+            coverImageUrl: meta('twitter:image', 'twitter:image:src'),
+            siteName: meta('application-name', 'twitter:site'),
+            sourceTags: (meta('keywords', 'news_keywords') || '').split(',')
+        };
+    }
+
+    extractDomMetadata($) {
+        const time = $('time[itemprop="datePublished"], article time[datetime], time[datetime]').first();
+        const modified = $('time[itemprop="dateModified"]').first();
+
+        return {
+            publishedDate: time.attr('datetime') || null,
+            updatedDate: modified.attr('datetime') || null,
+            language: $('html').attr('lang') || null,
+            sourceTags: $('a[rel~="tag"]').map((i, el) => $(el).text()).get()
+        };
+    }
+
+    normalizeMetadataDate(value) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    metadataColumns(metadata) {
+        return {
+            published_date: metadata.publishedDate,
+            updated_date: metadata.updatedDate,
+            summary: metadata.summary,
+            language: metadata.language,
+            cover_image_url: metadata.coverImageUrl,
+            site_name: metadata.siteName,
+            source_tags: metadata.sourceTags.length ? metadata.sourceTags.join(',') : null
+        };
+    }
+
+    async getAllStories() {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM stories ORDER BY scraped_at DESC', (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    async getStoryById(id) {
+        const story = await new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM stories WHERE id = ?', [id], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+
+        if (story) {
+            story.chapters = await this.getStoryChapters(story.id);
+            story.assets = await this.getStoryAssets(story.id);
+        }
+
+        return story;
+    }
+
+    async getStoryChapters(storyId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT * FROM chapters WHERE story_id = ? ORDER BY chapter_number',
+                [storyId],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows);
+                }
+            );
+        });
+    }
+
+    async deleteStory(id) {
+        for (const table of ['chapters', 'page_snapshots', 'revision_chapters', 'story_revisions']) {
+            await new Promise((resolve, reject) => {
+                this.db.run(`DELETE FROM ${table} WHERE story_id = ?`, [id], (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        }
+
+        // After the revisions, so their images are no longer counted as in use
+        await this.deleteStoryAssets(id);
+
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM stories WHERE id = ?', [id], function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+
+    async exportStories(format = 'json', filename = null) {
+        const stories = await this.getAllStories();
+
+        for (const story of stories) {
+            story.chapters = await this.getStoryChapters(story.id);
+            story.assets = await this.getStoryAssets(story.id);
+        }
+        
+        if (!filename) {
+            filename = `stories.${format}`;
+        }
+
+        switch (format.toLowerCase()) {
+            case 'json':
+                return this.exportJSON(stories, filename);
+            case 'csv':
+                return this.exportCSV(stories, filename);
+            case 'txt':
+                return this.exportTXT(stories, filename);
+            case 'html':
+                return this.exportHTML(stories, filename);
+            case 'epub':
+                return this.exportEPUB(stories, filename);
+            case 'markdown':
+            case 'md':
+                return this.exportMarkdown(stories, filename);
+            default:
+                throw new Error('Unsupported format: ' + format);
+        }
+    }
+
+    exportJSON(stories, filename) {
+        const data = JSON.stringify(stories, null, 2);
+        fs.writeFileSync(filename, data);
+        return { filename, count: stories.length, format: 'JSON' };
+    }
+
+    exportCSV(stories, filename) {
+        if (stories.length === 0) {
+            fs.writeFileSync(filename, '');
+            return { filename, count: 0, format: 'CSV' };
+        }
+
+        const headers = ['id', 'title', 'author', 'domain', 'word_count', 'scraped_at', 'url'];
+        const csvContent = [
+            headers.join(','),
+            ...stories.map(story => 
+                headers.map(header => {
+                    const value = story[header] || '';
+                    return `"${String(value).replace(/"/g, '""')}"`;
+                }).join(',')
+            )
+        ].join('\n');
+
+        fs.writeFileSync(filename, csvContent);
+        return { filename, count: stories.length, format: 'CSV' };
+    }
+
+    exportTXT(stories, filename) {
+        const content = stories.map(story => {
+            return [
+                '=' .repeat(60),
+                `Title: ${story.title}`,
+                `Author: ${story.author || 'Unknown'}`,
+                `Domain: ${story.domain}`,
+                `Word Count: ${story.word_count}`,
+                `Scraped: ${story.scraped_at}`,
+                `URL: ${story.url}`,
+                '=' .repeat(60),
+                '',
+                this.hasChapters(story)
+                    ? story.chapters.map(chapter => `--- Chapter ${chapter.chapter_number}: ${chapter.title} ---\n\n${chapter.content}`).join('\n\n')
+                    : story.content,
+                '',
+                ''
+            ].join('\n');
+        }).join('\n');
+
+        fs.writeFileSync(filename, content);
+        return { filename, count: stories.length, format: 'TXT' };
+    }
+
+    exportHTML(stories, filename) {
+        const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Scraped Stories Collection</title>
+    <style>
+        body { font-family: Georgia, serif; max-width: 800px; margin: 0 auto; padding: 20px; }
+        .story { margin-bottom: 40px; border-bottom: 2px solid #eee; padding-bottom: 20px; }
+        .story-title { color: #333; font-size: 24px; margin-bottom: 10px; }
+        .story-meta { color: #666; font-size: 14px; margin-bottom: 20px; }
+        .story-content { line-height: 1.6; text-align: justify; }
+        .chapter-title { color: #444; font-size: 20px; margin-top: 30px; }
+        .toc { background: #f5f5f5; padding: 20px; margin-bottom: 30px; }
+        .toc h2 { margin-top: 0; }
+        .toc a { text-decoration: none; color: #333; }
+        .toc a:hover { color: #007bff; }
+    </style>
+</head>
+<body>
+    <h1>Scraped Stories Collection</h1>
+    <div class="toc">
+        <h2>Table of Contents</h2>
+        <ol>
+            ${stories.map((story, index) => 
+                `<li><a href="#story-${index + 1}">${this.escapeHtml(story.title || '')}</a> - ${this.escapeHtml(story.author || 'Unknown')}</li>`
+            ).join('')}
+        </ol>
+    </div>
+    
+    ${stories.map((story, index) => `
+        <div class="story" id="story-${index + 1}">
+            <h2 class="story-title">${this.escapeHtml(story.title || '')}</h2>
+            <div class="story-meta">
+                <strong>Author:</strong> ${this.escapeHtml(story.author || 'Unknown')} | 
+                <strong>Source:</strong> ${this.escapeHtml(story.domain || '')} | 
+                <strong>Words:</strong> ${story.word_count} | 
+                <strong>Scraped:</strong> ${story.scraped_at}
+            </div>
+            <div class="story-content">
+                ${this.hasChapters(story)
+                    ? story.chapters.map(chapter => `
+                <h3 class="chapter-title">Chapter ${chapter.chapter_number}: ${this.escapeHtml(chapter.title || '')}</h3>
+                ${this.storyContentHtml(chapter)}`).join('')
+                    : this.storyContentHtml(story)}
+            </div>
+        </div>
+    `).join('')}
+</body>
+</html>`;
+
+        fs.writeFileSync(filename, html);
+        return { filename, count: stories.length, format: 'HTML' };
+    }
+
+    exportMarkdown(stories, filename) {
+        const content = stories.map((story, index) => {
+            return [
+                `# ${story.title}`,
+                '',
+                `**Author:** ${story.author || 'Unknown'}  `,
+                `**Source:** ${story.domain}  `,
+                `**Words:** ${story.word_count}  `,
+                `**Scraped:** ${story.scraped_at}  `,
+                `**URL:** ${story.url}`,
+                '',
+                '---',
+                '',
+                this.hasChapters(story)
+                    ? story.chapters.map(chapter => [
+                        `## Chapter ${chapter.chapter_number}: ${chapter.title}`,
+                        '',
+                        this.storyContentMarkdown(chapter)
+                    ].join('\n')).join('\n\n')
+                    : this.storyContentMarkdown(story),
+                '',
+                '---',
+                ''
+            ].join('\n');
+        }).join('\n');
+
+        fs.writeFileSync(filename, content);
+        return { filename, count: stories.length, format: 'Markdown' };
+    }
+
+    storyContentHtml(story) {
+        if (story.content_html) return story.content_html;
+
+        // Stories saved before formatting was preserved only have plain text
+        return (story.content || '').split('\n').map(p => p.trim() ? `<p>${this.escapeHtml(p)}</p>` : '').join('');
+    }
+
+    storyContentMarkdown(story) {
+        if (story.content_html) return this.contentHtmlToMarkdown(story.content_html);
+
+        return (story.content || '').split('\n').map(p => p.trim()).filter(p => p).join('\n\n');
+    }
+
+    hasChapters(story) {
+        return Array.isArray(story.chapters) && story.chapters.length > 1;
+    }
+
+    exportEPUB(stories, filename) {
+        // Basic EPUB structure - in production, use a proper EPUB library
+        const content = stories.map(story => ({
+            title: story.title,
+            author: story.author || 'Unknown',
+            content: story.content,
+            contentHtml: this.storyContentHtml(story),
+            chapters: this.hasChapters(story)
+                ? story.chapters.map(chapter => ({
+                    title: chapter.title,
+                    content: chapter.content,
+                    contentHtml: this.storyContentHtml(chapter)
+                }))
+                : [],
+            // Images referenced from contentHtml, for packaging alongside the text
+            assets: (story.assets || []).map(asset => ({ path: asset.local_path, mimeType: asset.mime_type, role: asset.role }))
+        }));
+        
+        // For now, export as JSON with EPUB extension
+        const data = JSON.stringify(content, null, 2);
+        fs.writeFileSync(filename, data);
+        return { filename, count: stories.length, format: 'EPUB (JSON)' };
+    }
+
+    // Dry run of the extraction pipeline: reports every candidate and why the winner won, saving nothing unless options.save
+    async debugScrape(url, options = {}) {
+        const { save = false, fetcher = this.options.fetchMode, ...scrapeOptions } = options;
+
+        console.log('\n🔍 DEBUG SCRAPING:', url);
+        console.log('='.repeat(50));
+
+        const domain = new URL(url).hostname;
+        const profile = await this.getSiteProfileForHost(domain);
+        const fetched = await this.fetchPage(url, { profile, fetcher });
+        const pageUrl = fetched.finalUrl || url;
+        console.log(`Fetched via ${fetched.fetcher}${fetched.escalationReason ? ` (escalated: ${fetched.escalationReason})` : ''}`);
+
+        const report = this.parsePage(url, () => {
+            const $ = cheerio.load(fetched.html);
+
+            // Same order as extractStory: links and metadata before content selection strips the page
+            const metadata = this.extractMetadata($, url);
+            const canonicalUrl = this.extractCanonicalUrl($, pageUrl);
+            const nextChapterUrl = this.findNextChapterLink($, url, profile);
+            const nextPageUrl = this.findNextPageLink($, pageUrl, pageUrl);
+            const title = this.debugTitle($, profile);
+            const author = this.debugAuthor($, profile, metadata);
+
+            // Candidates are scored on their own copy so the profile's content selector does not hide them
+            const candidates$ = cheerio.load(fetched.html);
+            if (profile && profile.remove_selectors) candidates$(profile.remove_selectors).remove();
+            candidates$('script, style, nav, header, footer, .sidebar, .menu, .navigation, .ads, .advertisement').remove();
+            const density = this.findMainContentNode(candidates$, { maxCandidates: 10 });
+
+            const selection = this.selectContent($, profile);
+            const contentHtml = this.sanitizeContentHtml(selection.nodes);
+            const content = contentHtml ? this.contentHtmlToText(contentHtml) : selection.text;
+
+            return {
+                metadata,
+                canonicalUrl,
+                nextChapterUrl,
+                nextPageUrl,
+                title,
+                author,
+                content: this.debugContent(selection, density, content, profile)
+            };
+        });
+
+        const existingStory = await this.getStoryByUrl(report.canonicalUrl || url);
+        const { content, ...contentReport } = report.content;
+        const result = {
+            url,
+            finalUrl: pageUrl,
+            domain,
+            fetcher: fetched.fetcher,
+            escalationReason: fetched.escalationReason || null,
+            siteProfile: this.describeSiteProfile(profile),
+            title: report.title.chosen,
+            author: report.author.chosen,
+            content,
+            wordCount: content.split(/\s+/).filter(Boolean).length,
+            metadata: report.metadata,
+            canonicalUrl: report.canonicalUrl,
+            nextChapterUrl: report.nextChapterUrl,
+            nextPageUrl: report.nextPageUrl,
+            extraction: {
+                title: report.title,
+                author: report.author,
+                content: contentReport
+            },
+            existingStory: existingStory ? { id: existingStory.id, title: existingStory.title, url: existingStory.url } : null,
+            saved: false
+        };
+
+        console.log('\n🎯 TITLE:', `"${result.title}"`, `(${report.title.reason})`);
+        console.log('👤 AUTHOR:', `"${result.author || 'None'}"`, `(${report.author.reason})`);
+        console.log('📝 CONTENT:', `${result.wordCount} words`, `(${contentReport.reason})`);
+        contentReport.candidates.forEach(candidate => {
+            console.log(`  ${candidate.chosen ? '★' : ' '} ${candidate.node}: score ${candidate.score}, ` +
+                `${candidate.textLength} chars, link density ${candidate.linkDensity}, ${candidate.paragraphCount} paragraphs`);
+        });
+
+        if (save) {
+            result.scrape = await this.scrape(url, { fetcher, ...scrapeOptions });
+            result.saved = !result.scrape.skipped;
+        }
+
+        return result;
+    }
+
+    // Mirrors extractTitle, listing every selector that matched
+    debugTitle($, profile) {
+        const candidates = [];
+        if (profile && profile.title_selector) {
+            const text = $(profile.title_selector).first().text().trim();
+            if (text) candidates.push({ source: 'profile', selector: profile.title_selector, value: text, preview: this.previewText(text) });
+        }
+        for (const selector of TITLE_SELECTORS) {
+            const text = $(selector).first().text().trim();
+            if (text) candidates.push({ source: 'selector', selector, value: this.cleanTitle(text), preview: this.previewText(text) });
+        }
+
+        return this.rankDebugCandidates(candidates, (winner) => winner
+            ? (winner.source === 'profile' ? 'Site profile title selector matched' : `First title selector with text: ${winner.selector}`)
+            : 'No title selector matched; falling back to "Untitled"', 'Untitled');
+    }
+
+    // Mirrors extractAuthor, listing every source that had a value
+    debugAuthor($, profile, metadata) {
+        const candidates = [];
+        if (profile && profile.author_selector) {
+            const text = $(profile.author_selector).first().text().trim();
+            if (text) candidates.push({ source: 'profile', selector: profile.author_selector, value: text.replace(/^by\s+/i, ''), preview: this.previewText(text) });
+        }
+        if (metadata && metadata.author) {
+            candidates.push({ source: 'metadata', selector: null, value: metadata.author, preview: this.previewText(metadata.author) });
+        }
+        for (const selector of AUTHOR_SELECTORS) {
+            const text = $(selector).first().text().trim();
+            if (text) candidates.push({ source: 'selector', selector, value: text.replace(/^by\s+/i, ''), preview: this.previewText(text) });
+        }
+
+        const reasons = {
+            profile: 'Site profile author selector matched',
+            metadata: 'Structured metadata names the author'
+        };
+        return this.rankDebugCandidates(candidates, (winner) => winner
+            ? reasons[winner.source] || `First byline selector with text: ${winner.selector}`
+            : 'No author found', null);
+    }
+
+    // Title and author sources are tried in priority order, so the score is the priority (highest wins)
+    rankDebugCandidates(candidates, reason, fallback) {
+        const ranked = candidates.map((candidate, i) => ({
+            ...candidate,
+            score: candidates.length - i,
+            chosen: i === 0
+        }));
+        const winner = ranked[0] || null;
+        return { chosen: winner ? winner.value : fallback, reason: reason(winner), candidates: ranked };
+    }
+
+    debugContent(selection, density, content, profile) {
+        const reasons = {
+            profile: `Site profile content selector matched: ${profile && profile.content_selector}`,
+            density: density && density.textLength >= 200
+                ? `Highest text-density score (${selection.score}) of ${density.candidates.length} candidates`
+                : 'No paragraphs found; using the best-scoring container despite little text',
+            paragraphs: 'No container held 200+ characters of text; joined every <p> on the page',
+            none: 'No content found'
+        };
+
+        return {
+            method: selection.method,
+            node: selection.node,
+            score: selection.score,
+            reason: reasons[selection.method],
+            preview: this.previewText(content),
+            content,
+            candidates: (density ? density.candidates : []).map((candidate, i) => ({
+                ...candidate,
+                chosen: selection.method === 'density' && i === 0
+            }))
+        };
+    }
+
+    previewText(text, length = 200) {
+        const flat = (text || '').replace(/\s+/g, ' ').trim();
+        return flat.length > length ? `${flat.substring(0, length)}...` : flat;
+    }
+
+    cleanTitle(title) {
+        if (!title) return '';
+        
+        // Remove common site suffixes
+        title = title.replace(/\s*[-|–—]\s*.+$/, ''); // Remove everything after dash/pipe
+        title = title.replace(/\s*\|\s*.+$/, ''); // Remove everything after pipe
+        
+        // Remove common prefixes/suffixes
+        const patterns = [
+            /^(story|chapter|part)\s*:?\s*/i,
+            /\s*-\s*(read online|free|story)$/i,
+            /\s*\(.*\)$/,  // Remove parenthetical content at end
+        ];
+        
+        patterns.forEach(pattern => {
+            title = title.replace(pattern, '');
+        });
+        
+        return title.trim();
+    }
+
+    // ===== NEW FEATURES =====
+
+    async createAdditionalTables() {
+        // Collections table
+        await new Promise((resolve, reject) => {
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS collections (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT UNIQUE NOT NULL,
+                    description TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    color TEXT DEFAULT '#4a6fa5'
+                )
+            `, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        // Story-Collection relationship table
+        await new Promise((resolve, reject) => {
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS story_collections (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    story_id INTEGER,
+                    collection_id INTEGER,
+                    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (story_id) REFERENCES stories (id) ON DELETE CASCADE,
+                    FOREIGN KEY (collection_id) REFERENCES collections (id) ON DELETE CASCADE,
+                    UNIQUE(story_id, collection_id)
+                )
+            `, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        // RSS Feeds table
+        await new Promise((resolve, reject) => {
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS rss_feeds (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    url TEXT UNIQUE NOT NULL,
+                    title TEXT,
+                    description TEXT,
+                    last_checked DATETIME,
+                    last_updated DATETIME,
+                    active BOOLEAN DEFAULT 1,
+                    check_interval INTEGER DEFAULT 3600,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        // RSS Feed Items table
+        await new Promise((resolve, reject) => {
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS rss_items (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    feed_id INTEGER,
+                    title TEXT,
+                    url TEXT UNIQUE,
+                    original_url TEXT,
+                    description TEXT,
+                    pub_date DATETIME,
+                    scraped BOOLEAN DEFAULT 0,
+                    story_id INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (feed_id) REFERENCES rss_feeds (id) ON DELETE CASCADE,
+                    FOREIGN KEY (story_id) REFERENCES stories (id) ON DELETE SET NULL
+                )
+            `, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        // Story chapters table
+        await new Promise((resolve, reject) => {
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS chapters (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    story_id INTEGER NOT NULL,
+                    chapter_number INTEGER NOT NULL,
+                    title TEXT,
+                    url TEXT,
+                    content TEXT,
+                    content_html TEXT,
+                    word_count INTEGER,
+                    page_count INTEGER DEFAULT 1,
+                    scraped_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (story_id) REFERENCES stories (id) ON DELETE CASCADE,
+                    UNIQUE(story_id, chapter_number)
+                )
+            `, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        // Per-domain site profiles with custom selectors
+        await new Promise((resolve, reject) => {
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS site_profiles (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    hostname TEXT UNIQUE NOT NULL,
+                    name TEXT,
+                    title_selector TEXT,
+                    author_selector TEXT,
+                    content_selector TEXT,
+                    remove_selectors TEXT,
+                    next_link_selector TEXT,
+                    requires_js INTEGER DEFAULT 0,
+                    min_request_interval INTEGER,
+                    ignore_robots INTEGER DEFAULT 0,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        // Previous versions of refreshed stories
+        await new Promise((resolve, reject) => {
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS story_revisions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    story_id INTEGER NOT NULL,
+                    revision_number INTEGER NOT NULL,
+                    title TEXT,
+                    author TEXT,
+                    content TEXT,
+                    content_html TEXT,
+                    word_count INTEGER,
+                    scraped_at DATETIME,
+                    archived_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (story_id) REFERENCES stories (id) ON DELETE CASCADE,
+                    UNIQUE(story_id, revision_number)
+                )
+            `, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        // The chapters a revision was assembled from, copied from chapters when it was archived
+        await new Promise((resolve, reject) => {
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS revision_chapters (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    revision_id INTEGER NOT NULL,
+                    story_id INTEGER NOT NULL,
+                    chapter_number INTEGER NOT NULL,
+                    title TEXT,
+                    url TEXT,
+                    content TEXT,
+                    content_html TEXT,
+                    word_count INTEGER,
+                    page_count INTEGER DEFAULT 1,
+                    scraped_at DATETIME,
+                    FOREIGN KEY (revision_id) REFERENCES story_revisions (id) ON DELETE CASCADE,
+                    UNIQUE(revision_id, chapter_number)
+                )
+            `, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        // Named logins (cookies and headers) attached to a domain
+        await new Promise((resolve, reject) => {
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS session_profiles (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT UNIQUE NOT NULL,
+                    hostname TEXT NOT NULL,
+                    cookies TEXT,
+                    headers TEXT,
+                    login_wall_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        // Downloaded illustrations and cover art; files are shared between stories by content hash
+        await new Promise((resolve, reject) => {
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS story_assets (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    story_id INTEGER NOT NULL,
+                    role TEXT DEFAULT 'inline',
+                    source_url TEXT NOT NULL,
+                    local_path TEXT NOT NULL,
+                    sha256 TEXT NOT NULL,
+                    mime_type TEXT,
+                    byte_size INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (story_id) REFERENCES stories (id) ON DELETE CASCADE,
+                    UNIQUE(story_id, source_url)
+                )
+            `, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        // URLs whose last scrape failed, keyed by canonical URL
+        await new Promise((resolve, reject) => {
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS scrape_failures (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    url TEXT UNIQUE NOT NULL,
+                    original_url TEXT,
+                    error_type TEXT,
+                    status_code INTEGER,
+                    message TEXT,
+                    retryable INTEGER DEFAULT 0,
+                    attempts INTEGER DEFAULT 1,
+                    first_failed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    last_failed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        // Raw HTML of every page a story (or an archived revision of it) was extracted from, gzipped
+        await new Promise((resolve, reject) => {
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS page_snapshots (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    story_id INTEGER NOT NULL,
+                    revision_id INTEGER,
+                    chapter_number INTEGER,
+                    page_number INTEGER DEFAULT 1,
+                    url TEXT NOT NULL,
+                    final_url TEXT,
+                    fetcher TEXT,
+                    html BLOB,
+                    byte_size INTEGER,
+                    compressed_size INTEGER,
+                    fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (story_id) REFERENCES stories (id) ON DELETE CASCADE,
+                    FOREIGN KEY (revision_id) REFERENCES story_revisions (id) ON DELETE CASCADE
+                )
+            `, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        // Text blocks (donation notices, "Previous | Next", copyright lines) repeated across a host's stories
+        await new Promise((resolve, reject) => {
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS boilerplate_blocks (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    hostname TEXT NOT NULL,
+                    fingerprint TEXT NOT NULL,
+                    sample_text TEXT,
+                    story_count INTEGER DEFAULT 0,
+                    ignored INTEGER DEFAULT 0,
+                    first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE(hostname, fingerprint)
+                )
+            `, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        // Queued background work (scrapes, batches, RSS runs, refreshes) that survives a server restart
+        await new Promise((resolve, reject) => {
+            this.db.run(`
+                CREATE TABLE IF NOT EXISTS jobs (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    type TEXT NOT NULL,
+                    payload TEXT,
+                    status TEXT DEFAULT 'queued',
+                    result TEXT,
+                    error TEXT,
+                    error_type TEXT,
+                    attempts INTEGER DEFAULT 0,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    started_at DATETIME,
+                    finished_at DATETIME
+                )
+            `, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        console.log('Additional tables created successfully');
+    }
+
+    async createIndexes() {
+        const indexes = [
+            'CREATE INDEX IF NOT EXISTS idx_stories_title ON stories(title)',
+            'CREATE INDEX IF NOT EXISTS idx_stories_author ON stories(author)',
+            'CREATE INDEX IF NOT EXISTS idx_stories_domain ON stories(domain)',
+            'CREATE INDEX IF NOT EXISTS idx_stories_scraped_at ON stories(scraped_at)',
+            'CREATE INDEX IF NOT EXISTS idx_stories_word_count ON stories(word_count)',
+            'CREATE INDEX IF NOT EXISTS idx_stories_read_count ON stories(read_count)',
+            'CREATE INDEX IF NOT EXISTS idx_story_collections_story ON story_collections(story_id)',
+            'CREATE INDEX IF NOT EXISTS idx_story_collections_collection ON story_collections(collection_id)',
+            'CREATE INDEX IF NOT EXISTS idx_rss_items_feed ON rss_items(feed_id)',
+            'CREATE INDEX IF NOT EXISTS idx_rss_items_url ON rss_items(url)',
+            'CREATE INDEX IF NOT EXISTS idx_rss_items_scraped ON rss_items(scraped)',
+            'CREATE INDEX IF NOT EXISTS idx_chapters_story ON chapters(story_id, chapter_number)',
+            'CREATE INDEX IF NOT EXISTS idx_story_revisions_story ON story_revisions(story_id, revision_number)',
+            'CREATE INDEX IF NOT EXISTS idx_revision_chapters_story ON revision_chapters(story_id)',
+            'CREATE INDEX IF NOT EXISTS idx_scrape_failures_retryable ON scrape_failures(retryable, attempts)',
+            'CREATE INDEX IF NOT EXISTS idx_story_assets_story ON story_assets(story_id)',
+            'CREATE INDEX IF NOT EXISTS idx_session_profiles_hostname ON session_profiles(hostname)',
+            'CREATE INDEX IF NOT EXISTS idx_story_assets_sha256 ON story_assets(sha256)',
+            'CREATE INDEX IF NOT EXISTS idx_stories_original_url ON stories(original_url)',
+            'CREATE INDEX IF NOT EXISTS idx_stories_content_fingerprint ON stories(content_fingerprint)',
+            'CREATE INDEX IF NOT EXISTS idx_page_snapshots_story ON page_snapshots(story_id, revision_id)',
+            'CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, id)'
+        ];
+
+        for (const indexSql of indexes) {
+            await new Promise((resolve, reject) => {
+                this.db.run(indexSql, (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+        }
+
+        console.log('Database indexes created successfully');
+    }
+
+    // ===== COLLECTIONS FEATURE =====
+
+    async createCollection(name, description = '', color = '#4a6fa5') {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT INTO collections (name, description, color) VALUES (?, ?, ?)',
+                [name, description, color],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ id: this.lastID, name, description, color });
+                }
+            );
+        });
+    }
+
+    async getAllCollections() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT c.*, COUNT(sc.story_id) as story_count 
+                FROM collections c 
+                LEFT JOIN story_collections sc ON c.id = sc.collection_id 
+                GROUP BY c.id 
+                ORDER BY c.name
+            `, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    async addStoryToCollection(storyId, collectionId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT OR IGNORE INTO story_collections (story_id, collection_id) VALUES (?, ?)',
+                [storyId, collectionId],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes > 0);
+                }
+            );
+        });
+    }
+
+    async removeStoryFromCollection(storyId, collectionId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'DELETE FROM story_collections WHERE story_id = ? AND collection_id = ?',
+                [storyId, collectionId],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes > 0);
+                }
+            );
+        });
+    }
+
+    async getStoriesInCollection(collectionId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT s.*, sc.added_at as added_to_collection
+                FROM stories s
+                JOIN story_collections sc ON s.id = sc.story_id
+                WHERE sc.collection_id = ?
+                ORDER BY sc.added_at DESC
+            `, [collectionId], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    async deleteCollection(collectionId) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM collections WHERE id = ?', [collectionId], function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+
+    // ===== STORY RECOMMENDATIONS =====
+
+    async generateSimilarityKeywords(content, title, author) {
+        // Extract keywords from content for similarity matching
+        const text = `${title} ${author} ${content}`.toLowerCase();
+        
+        // Remove common words and extract meaningful terms
+        const stopWords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'was', 'are', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them']);
+        
+        const words = text.match(/\b\w{3,}\b/g) || [];
+        const wordFreq = {};
+        
+        words.forEach(word => {
+            if (!stopWords.has(word)) {
+                wordFreq[word] = (wordFreq[word] || 0) + 1;
+            }
+        });
+        
+        // Get top keywords by frequency
+        const keywords = Object.entries(wordFreq)
+            .sort(([,a], [,b]) => b - a)
+            .slice(0, 20)
+            .map(([word]) => word);
+        
+        return keywords.join(',');
+    }
+
+    async updateStorySimilarityKeywords(storyId) {
+        const story = await this.getStoryById(storyId);
+        if (!story) return;
+        
+        const keywords = await this.generateSimilarityKeywords(story.content, story.title, story.author || '');
+        
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE stories SET similarity_keywords = ? WHERE id = ?',
+                [keywords, storyId],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve();
+                }
+            );
+        });
+    }
+
+    async getSimilarStories(storyId, limit = 5) {
+        const story = await this.getStoryById(storyId);
+        if (!story || !story.similarity_keywords) {
+            return [];
+        }
+        
+        const keywords = story.similarity_keywords.split(',');
+        
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT s.*, 
+                       (LENGTH(s.similarity_keywords) - LENGTH(REPLACE(s.similarity_keywords, ?, ''))) / LENGTH(?) as similarity_score
+                FROM stories s
+                WHERE s.id != ? 
+                  AND s.similarity_keywords IS NOT NULL
+                  AND (${keywords.map(() => 's.similarity_keywords LIKE ?').join(' OR ')})
+                ORDER BY similarity_score DESC, s.read_count DESC
+                LIMIT ?
+            `, [keywords.join(','), keywords.join(','), storyId, ...keywords.map(k => `%${k}%`), limit], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    async markStoryAsRead(storyId) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE stories SET read_count = read_count + 1, last_read = CURRENT_TIMESTAMP WHERE id = ?',
+                [storyId],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve();
+                }
+            );
+        });
+    }
+
+    // ===== RSS FEED MONITORING =====
+
+    async addRSSFeed(url, title = '', description = '') {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT INTO rss_feeds (url, title, description) VALUES (?, ?, ?)',
+                [url, title, description],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ id: this.lastID, url, title, description });
+                }
+            );
+        });
+    }
+
+    async getAllRSSFeeds() {
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT rf.*, COUNT(ri.id) as item_count, 
+                       COUNT(CASE WHEN ri.scraped = 1 THEN 1 END) as scraped_count
+                FROM rss_feeds rf
+                LEFT JOIN rss_items ri ON rf.id = ri.feed_id
+                GROUP BY rf.id
+                ORDER BY rf.created_at DESC
+            `, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    async checkRSSFeed(feedId) {
+        const feed = await new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM rss_feeds WHERE id = ?', [feedId], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+
+        if (!feed) throw new Error('Feed not found');
+
+        try {
+            // Feeds are published for machines, so only the per-host interval applies, not robots.txt
+            await this.waitForHostTurn(feed.url, await this.getSiteProfileForHost(new URL(feed.url).hostname));
+
+            // Use fetch to get RSS content
+            const response = await fetch(feed.url);
+            const xmlText = await response.text();
+            
+            // Parse RSS/XML (basic parsing)
+            const items = this.parseRSSItems(xmlText);
+            
+            let newItems = 0;
+            for (const item of items) {
+                const added = await this.addRSSItem(feedId, item);
+                if (added) newItems++;
+            }
+
+            // Update feed last_checked
+            await new Promise((resolve, reject) => {
+                this.db.run(
+                    'UPDATE rss_feeds SET last_checked = CURRENT_TIMESTAMP WHERE id = ?',
+                    [feedId],
+                    (err) => {
+                        if (err) reject(err);
+                        else resolve();
+                    }
+                );
+            });
+
+            return { newItems, totalItems: items.length };
+        } catch (error) {
+            console.error(`Error checking RSS feed ${feed.url}:`, error);
+            throw error;
+        }
+    }
+
+    parseRSSItems(xmlText) {
+        // Basic RSS parsing - in production, use a proper XML parser like 'xml2js'
+        const items = [];
+        const itemRegex = /<item[^>]*>([\s\S]*?)<\/item>/gi;
+        let match;
+
+        while ((match = itemRegex.exec(xmlText)) !== null) {
+            const itemXml = match[1];
+            
+            const title = this.extractXMLTag(itemXml, 'title');
+            const link = this.extractXMLTag(itemXml, 'link');
+            const description = this.extractXMLTag(itemXml, 'description');
+            const pubDate = this.extractXMLTag(itemXml, 'pubDate');
+
+            if (title && link) {
+                items.push({
+                    title: this.cleanXMLContent(title),
+                    url: this.cleanXMLContent(link),
+                    description: this.cleanXMLContent(description),
+                    pubDate: pubDate ? new Date(pubDate) : new Date()
+                });
+            }
+        }
+
+        return items;
+    }
+
+    extractXMLTag(xml, tagName) {
+        const regex = new RegExp(`<${tagName}[^>]*>([\\s\\S]*?)<\\/${tagName}>`, 'i');
+        const match = xml.match(regex);
+        return match ? match[1] : '';
+    }
+
+    cleanXMLContent(content) {
+        return content
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+            .replace(/<[^>]+>/g, '')
+            .trim();
+    }
+
+    async addRSSItem(feedId, item) {
+        // Items are deduplicated on the canonical URL; the feed's own link is kept for fetching
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'INSERT OR IGNORE INTO rss_items (feed_id, title, url, original_url, description, pub_date) VALUES (?, ?, ?, ?, ?, ?)',
+                [feedId, item.title, this.canonicalizeUrl(item.url), item.url, item.description, item.pubDate],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes > 0);
+                }
+            );
+        });
+    }
+
+    async getUnscrapedRSSItems(limit = 10, options = {}) {
+        const { retryOnly = false } = options;
+
+        // Items that failed permanently, or too often, are left out; retryOnly picks just the failed ones
+        return new Promise((resolve, reject) => {
+            this.db.all(`
+                SELECT ri.*, rf.title as feed_title,
+                       sf.error_type as failure_type, sf.attempts as failure_attempts
+                FROM rss_items ri
+                JOIN rss_feeds rf ON ri.feed_id = rf.id
+                LEFT JOIN scrape_failures sf ON sf.url = ri.url
+                WHERE ri.scraped = 0
+                  AND (sf.id IS NULL OR (sf.retryable = 1 AND sf.attempts < ?))
+                  ${retryOnly ? 'AND sf.id IS NOT NULL' : ''}
+                ORDER BY ri.pub_date DESC
+                LIMIT ?
+            `, [this.options.maxFailureAttempts, limit], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    async markRSSItemAsScraped(itemId, storyId = null) {
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                'UPDATE rss_items SET scraped = 1, story_id = ? WHERE id = ?',
+                [storyId, itemId],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve();
+                }
+            );
+        });
+    }
+
+    async scrapeRSSItems(limit = 5, options = {}) {
+        const { concurrency = this.options.maxConcurrency, retryOnly = false } = options;
+        const items = await this.getUnscrapedRSSItems(limit, { retryOnly });
+
+        return this.runWithConcurrency(items, concurrency, async (item) => {
+            try {
+                console.log(`Scraping RSS item: ${item.title}`);
+                const story = await this.scrape(item.original_url || item.url);
+                
+                // Update similarity keywords
+                const storyId = story.story ? story.story.id : await this.getStoryIdByUrl(item.url);
+                if (storyId) {
+                    await this.updateStorySimilarityKeywords(storyId);
+                }
+                
+                // Mark as scraped
+                await this.markRSSItemAsScraped(item.id, storyId);
+                
+                return { success: true, item, story };
+            } catch (error) {
+                console.error(`Failed to scrape RSS item ${item.title}:`, error);
+                return { success: false, item, error: error.message, errorType: error.type, retryable: Boolean(error.retryable) };
+            }
+        });
+    }
+
+    async getStoryIdByUrl(url) {
+        const story = await this.getStoryByUrl(url);
+        return story ? story.id : null;
+    }
+
+    async deleteRSSFeed(feedId) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM rss_feeds WHERE id = ?', [feedId], function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+
+    // ===== REFRESH & REVISIONS =====
+
+    async refreshStory(storyId, options = {}) {
+        const {
+            maxChapters = 50,
+            chapterDelay = 1000,
+            fetcher = this.options.fetchMode,
+            downloadImages = this.options.downloadImages,
+            maxPages = this.options.maxPages,
+            selectorOverrides = this.parseSelectorOverrides(options)
+        } = options;
+
+        const existing = await this.getStoryById(storyId);
+        if (!existing) return null;
+
+        // A story that was saved from several pages keeps following its pager unless told otherwise
+        const followPages = options.followPages !== undefined
+            ? options.followPages
+            : existing.page_count > 1 || existing.chapters.some(chapter => chapter.page_count > 1) || this.options.followPages;
+
+        console.log('🔄 Refreshing:', existing.url);
+
+        // Fetch the address the story was scraped from; the canonical form may not be served (e.g. http-only sites)
+        const sourceUrl = existing.original_url || existing.url;
+
+        // Stories that were assembled from chapters are re-walked from their first chapter, or their table of contents
+        let extracted;
+        if (existing.toc_url) {
+            extracted = await this.extractTocStory(existing.toc_url, { maxChapters, chapterDelay, fetcher, images: downloadImages, followPages, maxPages, selectorOverrides, expand: options.expand });
+        } else if (existing.chapters.length > 0) {
+            extracted = await this.extractChapteredStory(sourceUrl, { maxChapters, chapterDelay, fetcher, images: downloadImages, followPages, maxPages, selectorOverrides });
+        } else {
+            extracted = await this.extractStory(sourceUrl, { fetcher, images: downloadImages, followPages, maxPages, selectorOverrides });
+        }
+        const assets = downloadImages ? await this.localizeStoryImages(extracted) : [];
+
+        const changed = extracted.title !== existing.title ||
+            extracted.content !== existing.content ||
+            extracted.author !== existing.author;
+
+        // Only a change to the text itself is worth a revision; metadata is simply updated
+        let revision = null;
+        if (changed) {
+            revision = await this.archiveStoryRevision(existing);
+        }
+
+        await this.updateStory(storyId, {
+            ...this.storyColumns(extracted),
+            refreshed_at: new Date().toISOString()
+        });
+        if (extracted.chapters) {
+            await this.saveChapters(storyId, extracted.chapters);
+        }
+        if (downloadImages) {
+            await this.saveStoryAssets(storyId, assets);
+        }
+        if (this.options.storeSnapshots) {
+            await this.saveStorySnapshots(storyId, extracted.snapshots, revision ? revision.id : null);
+        }
+
+        if (changed) {
+            console.log(`✅ Refreshed story: ${extracted.title} (previous version saved as revision ${revision.revisionNumber})`);
+        } else {
+            console.log(`✅ Story unchanged: ${existing.title}`);
+        }
+
+        const result = this.buildScrapeResult(storyId, existing.url, extracted);
+        result.refreshed = true;
+        result.changed = changed;
+        result.revision = revision;
+        if (changed) {
+            result.diff = this.diffParagraphs(existing.content, extracted.content).summary;
+        }
+        return result;
+    }
+
+    async archiveStoryRevision(story) {
+        // The next number is taken inside the INSERT, so two refreshes of one story cannot claim the same one
+        const id = await new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO story_revisions (story_id, revision_number, title, author, content, content_html, word_count, scraped_at)
+                 SELECT ?, COALESCE(MAX(revision_number), 0) + 1, ?, ?, ?, ?, ?, ? FROM story_revisions WHERE story_id = ?`,
+                [story.id, story.title, story.author, story.content, story.content_html, story.word_count, story.refreshed_at || story.scraped_at, story.id],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.lastID);
+                }
+            );
+        });
+
+        await new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO revision_chapters (revision_id, story_id, chapter_number, title, url, content, content_html, word_count, page_count, scraped_at)
+                 SELECT ?, story_id, chapter_number, title, url, content, content_html, word_count, page_count, scraped_at
+                 FROM chapters WHERE story_id = ?`,
+                [id, story.id],
+                (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                }
+            );
+        });
+
+        const row = await new Promise((resolve, reject) => {
+            this.db.get('SELECT revision_number FROM story_revisions WHERE id = ?', [id], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+        return { id, revisionNumber: row.revision_number };
+    }
+
+    async getStoryRevisions(storyId) {
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT id, story_id, revision_number, title, author, word_count, scraped_at, archived_at
+                 FROM story_revisions WHERE story_id = ? ORDER BY revision_number DESC`,
+                [storyId],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows);
+                }
+            );
+        });
+    }
+
+    async getStoryRevision(storyId, revision) {
+        // "current" is the live story row, anything else is a revision number
+        if (revision === 'current') {
+            const story = await this.getStoryById(storyId);
+            return story ? { ...story, revision_number: 'current' } : null;
+        }
+
+        const row = await new Promise((resolve, reject) => {
+            this.db.get(
+                'SELECT * FROM story_revisions WHERE story_id = ? AND revision_number = ?',
+                [storyId, revision],
+                (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row);
+                }
+            );
+        });
+        if (!row) return null;
+
+        row.chapters = await new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM revision_chapters WHERE revision_id = ? ORDER BY chapter_number', [row.id], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+        return row;
+    }
+
+    async diffStoryRevisions(storyId, from, to = 'current') {
+        const [older, newer] = await Promise.all([
+            this.getStoryRevision(storyId, from),
+            this.getStoryRevision(storyId, to)
+        ]);
+        if (!older || !newer) return null;
+
+        const diff = this.diffParagraphs(older.content, newer.content);
+        return {
+            storyId: Number(storyId),
+            from: older.revision_number,
+            to: newer.revision_number,
+            titleChanged: older.title !== newer.title,
+            ...diff
+        };
+    }
+
+    // Paragraph diff in linear space: the common start and end are matched directly, the rest with Myers' algorithm.
+    // Beyond MAX_DIFF_EDITS the changed middle is reported as removed and added wholesale (coarse: true).
+    diffParagraphs(oldText, newText) {
+        const split = (text) => (text || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+        const a = split(oldText);
+        const b = split(newText);
+
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const middle = this.diffSequences(a.slice(start, endA), b.slice(start, endB), MAX_DIFF_EDITS);
+        const coarse = middle === null;
+        const changes = [
+            ...a.slice(0, start).map(text => ({ type: 'unchanged', text })),
+            ...(coarse
+                ? [...a.slice(start, endA).map(text => ({ type: 'removed', text })), ...b.slice(start, endB).map(text => ({ type: 'added', text }))]
+                : middle),
+            ...a.slice(endA).map(text => ({ type: 'unchanged', text }))
+        ];
+
+        const count = (type) => changes.filter(change => change.type === type).length;
+        return {
+            summary: { added: count('added'), removed: count('removed'), unchanged: count('unchanged') },
+            coarse,
+            changes
+        };
+    }
+
+    // Myers' O((N+M)D) diff of two string lists as unchanged/removed/added changes, or null past maxEdits edits
+    diffSequences(a, b, maxEdits) {
+        // Paragraphs compared as numbers, so long identical paragraphs are not compared character by character
+        const ids = new Map();
+        const idOf = (text) => {
+            if (!ids.has(text)) ids.set(text, ids.size);
+            return ids.get(text);
+        };
+        const x0 = a.map(idOf);
+        const y0 = b.map(idOf);
+        const n = x0.length;
+        const m = y0.length;
+
+        // v[k + offset] is the furthest x reached on diagonal k; trace[d] keeps diagonals -d-1..d+1 before step d
+        const offset = maxEdits + 1;
+        const v = new Int32Array(2 * maxEdits + 3);
+        const trace = [];
+        let edits = -1;
+        for (let d = 0; d <= maxEdits && edits < 0; d++) {
+            trace.push(v.slice(offset - d - 1, offset + d + 2));
+            for (let k = -d; k <= d; k += 2) {
+                let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && x0[x] === y0[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                if (x >= n && y >= m) {
+                    edits = d;
+                    break;
+                }
+            }
+        }
+        if (edits < 0) return null;
+
+        // Walk the trace back from the end, collecting changes in reverse
+        const changes = [];
+        let x = n;
+        let y = m;
+        for (let d = edits; d >= 0; d--) {
+            const previous = (k) => trace[d][k + d + 1];
+            const k = x - y;
+            const prevK = k === -d || (k !== d && previous(k - 1) < previous(k + 1)) ? k + 1 : k - 1;
+            const prevX = previous(prevK);
+            const prevY = prevX - prevK;
+
+            while (x > prevX && y > prevY) {
+                changes.push({ type: 'unchanged', text: a[x - 1] });
+                x--;
+                y--;
+            }
+            if (d > 0) {
+                changes.push(x === prevX ? { type: 'added', text: b[y - 1] } : { type: 'removed', text: a[x - 1] });
+            }
+            x = prevX;
+            y = prevY;
+        }
+        return changes.reverse();
+    }
+
+    // ===== STORY ASSETS =====
+
+    // options.storedAssets (story_assets rows) are reused instead of downloading, for offline re-extraction
+    async localizeStoryImages(extracted, options = {}) {
+        const { storedAssets = null } = options;
+        const parts = [extracted, ...(extracted.chapters || [])];
+        const unescape = (value) => value.replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+        const sources = new Set();
+        for (const part of parts) {
+            for (const match of (part.contentHtml || '').matchAll(/<img src="([^"]*)"/g)) {
+                sources.add(unescape(match[1]));
+            }
+        }
+
+        const assets = [];
+        const localPaths = new Map();
+        const download = async (sourceUrl, role) => {
+            if (storedAssets) {
+                const stored = storedAssets.find(asset => asset.source_url === sourceUrl);
+                if (stored) {
+                    assets.push({ sourceUrl, localPath: stored.local_path, sha256: stored.sha256, mimeType: stored.mime_type, byteSize: stored.byte_size, role });
+                    localPaths.set(sourceUrl, stored.local_path);
+                }
+                return;
+            }
+
+            try {
+                const asset = await this.downloadAsset(sourceUrl);
+                assets.push({ ...asset, role });
+                localPaths.set(sourceUrl, asset.localPath);
+            } catch (error) {
+                console.log(`⚠️  Skipping image ${sourceUrl}: ${error.message}`);
+            }
+        };
+
+        for (const sourceUrl of sources) {
+            if (assets.length >= this.options.maxImagesPerStory) break;
+            await download(sourceUrl, 'inline');
+        }
+
+        const coverUrl = extracted.metadata && extracted.metadata.coverImageUrl;
+        if (coverUrl && !localPaths.has(coverUrl) && assets.length < this.options.maxImagesPerStory) {
+            await download(coverUrl, 'cover');
+        }
+
+        // Images that were not downloaded are dropped, so stored HTML never depends on the network
+        for (const part of parts) {
+            if (part.contentHtml) {
+                part.contentHtml = part.contentHtml
+                    .replace(/<img src="([^"]*)" alt="([^"]*)">/g, (tag, src, alt) => {
+                        const localPath = localPaths.get(unescape(src));
+                        return localPath ? `<img src="${localPath}" alt="${alt}">` : '';
+                    })
+                    .replace(/<p>\s*<\/p>\n?/g, '');
+            }
+        }
+
+        const found = sources.size + (coverUrl && !sources.has(coverUrl) ? 1 : 0);
+        if (found > 0) {
+            console.log(`🖼️  Stored ${assets.length} of ${found} images`);
+        }
+        return assets;
+    }
+
+    isPrivateAddress(address) {
+        // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address it carries
+        const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+        if (mapped) return PRIVATE_NETWORKS.check(mapped[1], 'ipv4');
+        return PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+    }
+
+    async assertPublicUrl(url) {
+        const { protocol, hostname } = new URL(url);
+        if (protocol !== 'http:' && protocol !== 'https:') {
+            throw new Error(`unsupported protocol ${protocol}`);
+        }
+
+        const host = hostname.replace(/^\[|\]$/g, '');
+        const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+        if (addresses.some(({ address }) => this.isPrivateAddress(address))) {
+            throw new Error(`${hostname} resolves to a private address`);
+        }
+    }
+
+    async downloadAsset(sourceUrl) {
+        const maxBytes = this.options.maxImageBytes;
+
+        // Redirects are followed by hand so every hop gets the same address, robots.txt and rate-limit checks
+        let url = sourceUrl;
+        let response;
+        for (let redirects = 0; ; redirects++) {
+            await this.assertPublicUrl(url);
+            await this.assertAllowedByRobots(url);
+            await this.waitForHostTurn(url);
+
+            response = await fetch(url, {
+                headers: { 'User-Agent': this.options.userAgent, 'Accept': 'image/*' },
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.options.httpTimeout)
+            });
+
+            const location = response.status >= 300 && response.status < 400 && response.headers.get('location');
+            if (!location) break;
+            if (redirects >= MAX_ASSET_REDIRECTS) {
+                throw new Error(`more than ${MAX_ASSET_REDIRECTS} redirects`);
+            }
+            url = new URL(location, url).href;
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+        const extension = IMAGE_EXTENSIONS[mimeType];
+        if (!extension) {
+            throw new Error(`not an image (${mimeType || 'no content type'})`);
+        }
+        if (parseInt(response.headers.get('content-length')) > maxBytes) {
+            throw new Error(`larger than ${maxBytes} bytes`);
+        }
+
+        // Read incrementally so a missing or lying Content-Length cannot exhaust memory
+        const chunks = [];
+        let byteSize = 0;
+        for await (const chunk of response.body) {
+            byteSize += chunk.length;
+            if (byteSize > maxBytes) {
+                throw new Error(`larger than ${maxBytes} bytes`);
+            }
+            chunks.push(chunk);
+        }
+
+        const buffer = Buffer.concat(chunks);
+        const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+        const filename = `${sha256}.${extension}`;
+        const filePath = path.join(this.options.assetDir, filename);
+
+        if (!fs.existsSync(filePath)) {
+            fs.mkdirSync(this.options.assetDir, { recursive: true });
+            fs.writeFileSync(filePath, buffer);
+        }
+
+        return { sourceUrl, localPath: `${ASSET_URL_PREFIX}/${filename}`, sha256, mimeType, byteSize };
+    }
+
+    async saveStoryAssets(storyId, assets) {
+        // Like chapters, a story's assets are always replaced as a whole
+        const previous = await this.getStoryAssets(storyId);
+        await new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM story_assets WHERE story_id = ?', [storyId], (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        for (const asset of assets) {
+            await new Promise((resolve, reject) => {
+                this.db.run(
+                    'INSERT OR IGNORE INTO story_assets (story_id, role, source_url, local_path, sha256, mime_type, byte_size) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                    [storyId, asset.role, asset.sourceUrl, asset.localPath, asset.sha256, asset.mimeType, asset.byteSize],
+                    (err) => {
+                        if (err) reject(err);
+                        else resolve();
+                    }
+                );
+            });
+        }
+
+        await this.removeUnreferencedAssetFiles(previous);
+    }
+
+    async getStoryAssets(storyId) {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM story_assets WHERE story_id = ? ORDER BY id', [storyId], (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    async deleteStoryAssets(storyId) {
+        const assets = await this.getStoryAssets(storyId);
+        await new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM story_assets WHERE story_id = ?', [storyId], (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+        await this.removeUnreferencedAssetFiles(assets);
+    }
+
+    // A file stays while any story's assets or any archived revision's HTML still points at it
+    async removeUnreferencedAssetFiles(assets) {
+        for (const sha256 of new Set(assets.map(asset => asset.sha256))) {
+            const row = await new Promise((resolve, reject) => {
+                this.db.get(
+                    `SELECT (SELECT COUNT(*) FROM story_assets WHERE sha256 = ?) +
+                            (SELECT COUNT(*) FROM story_revisions WHERE instr(content_html, ?) > 0) +
+                            (SELECT COUNT(*) FROM revision_chapters WHERE instr(content_html, ?) > 0) as count`,
+                    [sha256, `${ASSET_URL_PREFIX}/${sha256}.`, `${ASSET_URL_PREFIX}/${sha256}.`],
+                    (err, row) => {
+                        if (err) reject(err);
+                        else resolve(row);
+                    }
+                );
+            });
+            if (row.count > 0) continue;
+
+            for (const asset of assets.filter(asset => asset.sha256 === sha256)) {
+                fs.rmSync(path.join(this.options.assetDir, path.basename(asset.local_path)), { force: true });
+            }
+        }
+    }
+
+    // ===== SCRAPE FAILURES =====
+
+    createScrapeError(code, message, details = {}) {
+        const error = new Error(message);
+        error.code = code;
+        Object.assign(error, details);
+        return error;
+    }
+
+    // Failure types: network, timeout, http_status, blocked, login_required, empty_content, parse_error,
+    // unsupported_content, invalid_selector, invalid_pattern, invalid_job, invalid_cookies, invalid_expand, invalid_fetcher (or unknown)
+    classifyScrapeError(error) {
+        const message = error.message || '';
+        const causeCode = error.cause && error.cause.code;
+
+        switch (error.code) {
+            case 'ROBOTS_DISALLOWED':
+                return { type: 'blocked', retryable: false, status: null };
+            case 'HTTP_STATUS':
+                return { type: 'http_status', retryable: RETRYABLE_HTTP_STATUSES.has(error.status), status: error.status };
+            case 'LOGIN_REQUIRED':
+                return { type: 'login_required', retryable: false, status: null };
+            case 'EMPTY_CONTENT':
+                return { type: 'empty_content', retryable: false, status: null };
+            case 'PARSE_ERROR':
+                return { type: 'parse_error', retryable: false, status: null };
+            case 'UNSUPPORTED_CONTENT':
+                return { type: 'unsupported_content', retryable: false, status: null };
+            case 'TIMEOUT':
+                return { type: 'timeout', retryable: true, status: null };
+            case 'INVALID_SELECTOR':
+                return { type: 'invalid_selector', retryable: false, status: null };
+            case 'INVALID_PATTERN':
+                return { type: 'invalid_pattern', retryable: false, status: null };
+            case 'INVALID_JOB':
+                return { type: 'invalid_job', retryable: false, status: null };
+            case 'INVALID_COOKIES':
+                return { type: 'invalid_cookies', retryable: false, status: null };
+            case 'INVALID_EXPAND':
+                return { type: 'invalid_expand', retryable: false, status: null };
+            case 'INVALID_FETCHER':
+                return { type: 'invalid_fetcher', retryable: false, status: null };
+        }
+
+        if (error.name === 'TimeoutError' || /timed? ?out|timeout/i.test(message)) {
+            return { type: 'timeout', retryable: true, status: null };
+        }
+        if (/fetch failed|net::ERR_|socket hang up|ECONN|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|EPIPE/i.test(message + ' ' + (causeCode || '')) ||
+            this.isBrowserCrash(error)) {
+            return { type: 'network', retryable: true, status: null };
+        }
+
+        // Nothing says the failure is permanent, so it gets the same limited retries as a network error
+        return { type: 'unknown', retryable: true, status: null };
+    }
+
+    getRetryDelay(attempt, retryAfter = null) {
+        // Exponential backoff with jitter, never sooner than the server asked for
+        const backoff = this.options.retryBaseDelay * Math.pow(2, attempt);
+        const jittered = backoff / 2 + Math.random() * backoff / 2;
+        return Math.round(Math.min(Math.max(jittered, retryAfter || 0), this.options.retryMaxDelay));
+    }
+
+    async recordScrapeFailure(url, error, failure = this.classifyScrapeError(error)) {
+        return new Promise((resolve, reject) => {
+            this.db.run(`
+                INSERT INTO scrape_failures (url, original_url, error_type, status_code, message, retryable)
+                VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT(url) DO UPDATE SET
+                    original_url = excluded.original_url,
+                    error_type = excluded.error_type,
+                    status_code = excluded.status_code,
+                    message = excluded.message,
+                    retryable = excluded.retryable,
+                    attempts = attempts + 1,
+                    last_failed_at = CURRENT_TIMESTAMP
+            `, [this.canonicalizeUrl(url), url, failure.type, failure.status, error.message, failure.retryable ? 1 : 0], (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    async clearScrapeFailure(url) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM scrape_failures WHERE url = ?', [this.canonicalizeUrl(url)], function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+
+    async getScrapeFailure(url) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM scrape_failures WHERE url = ?', [this.canonicalizeUrl(url)], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    async getScrapeFailures(options = {}) {
+        const { retryableOnly = false, limit = 100 } = options;
+
+        let sql = 'SELECT * FROM scrape_failures';
+        const params = [];
+        if (retryableOnly) {
+            sql += ' WHERE retryable = 1 AND attempts < ?';
+            params.push(this.options.maxFailureAttempts);
+        }
+        sql += ' ORDER BY last_failed_at DESC LIMIT ?';
+        params.push(limit);
+
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    // A URL is worth another try if it never failed, or failed transiently fewer than maxFailureAttempts times
+    isWorthRetrying(failure) {
+        return !failure || (Boolean(failure.retryable) && failure.attempts < this.options.maxFailureAttempts);
+    }
+
+    async retryScrapeFailures(options = {}) {
+        const { limit = 20, ...batchOptions } = options;
+
+        const failures = await this.getScrapeFailures({ retryableOnly: true, limit });
+        const links = failures.map(failure => ({
+            url: failure.original_url || failure.url,
+            text: `${failure.error_type} x${failure.attempts}`
+        }));
+
+        return this.batchScrapeFromLinks(links, batchOptions);
+    }
+
+    async deleteScrapeFailure(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM scrape_failures WHERE id = ?', [id], function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+
+    // ===== LINK CLASSIFICATION =====
+
+    // Scores each unique link (0-100) as a likely story page and labels it story, index, navigation or asset.
+    // links: [{ url, canonicalUrl, text, domain, element }] from one page; the first occurrence of a URL is kept.
+    classifyLinks($, links, options = {}) {
+        const { pageUrl = null, minScore = LINK_MIN_SCORE } = options;
+
+        const byUrl = new Map();
+        for (const link of links) {
+            const existing = byUrl.get(link.canonicalUrl);
+            if (existing) {
+                existing.occurrences++;
+                if (!existing.text && link.text) existing.text = link.text;
+            } else {
+                byUrl.set(link.canonicalUrl, { ...link, occurrences: 1 });
+            }
+        }
+        const unique = Array.from(byUrl.values());
+
+        // Links sharing a place in the DOM and a URL template are one list: story listings repeat, one-off links don't
+        const groupKey = (link) => `${this.linkDomPath($, link.element)} ${this.linkUrlTemplate(link.url)}`;
+        const groupSizes = new Map();
+        for (const link of unique) {
+            const key = groupKey(link);
+            groupSizes.set(key, (groupSizes.get(key) || 0) + 1);
+        }
+
+        return unique.map(link => {
+            const { element, occurrences, ...rest } = link;
+            const { score, type, reasons } = this.scoreLink($, link, {
+                pageUrl,
+                minScore,
+                repeated: groupSizes.get(groupKey(link)),
+                occurrences
+            });
+            return { ...rest, score, type, reasons };
+        });
+    }
+
+    scoreLink($, link, context = {}) {
+        const { pageUrl = null, minScore = LINK_MIN_SCORE, repeated = 1, occurrences = 1 } = context;
+        const parsed = new URL(link.url);
+        const target = (parsed.pathname + parsed.search).toLowerCase();
+        const text = (link.text || '').replace(/\s+/g, ' ').trim();
+        const lowerText = text.toLowerCase();
+        const words = text ? text.split(' ').length : 0;
+
+        // Each signal adds points toward "story" (or takes them away) and weighs toward one kind of page
+        const signals = [];
+        const signal = (points, type, reason) => signals.push({ points, type, reason });
+
+        // URL shape
+        if (LINK_ASSET_PATH.test(target)) signal(-60, 'asset', 'URL is a file download or asset');
+        if (LINK_NAVIGATION_PATH.test(target)) signal(-35, 'navigation', 'URL is an account, search or site page');
+        if (LINK_INDEX_PATH.test(target)) signal(-25, 'index', 'URL looks like a tag, category, author or listing page');
+        if (LINK_STORY_PATH.test(target)) signal(20, 'story', 'URL looks like a story or chapter page');
+        const segments = parsed.pathname.split('/').filter(Boolean);
+        const slug = segments.length > 0 ? this.decodeUrlSegment(segments[segments.length - 1]).replace(/\.[a-z]+$/i, '') : '';
+        if (segments.length === 0) {
+            signal(-30, 'navigation', 'URL is the site root');
+        } else if (slug.split(/[-_]+/).filter(part => /[a-z]/i.test(part)).length >= 3) {
+            signal(10, 'story', 'URL ends in a descriptive slug');
+        }
+        if (pageUrl && this.canonicalizeUrl(pageUrl) === link.canonicalUrl) {
+            signal(-40, 'navigation', 'Link points back to this page');
+        }
+
+        // Anchor text
+        if (!text) {
+            signal(-15, 'navigation', 'Link has no text');
+        } else if (LINK_NAVIGATION_TEXT.test(lowerText)) {
+            signal(-35, 'navigation', `Link text "${text}" is site navigation`);
+        } else if (LINK_PAGINATION_TEXT.test(lowerText)) {
+            signal(-30, 'index', `Link text "${text}" is pagination`);
+        } else if (LINK_GENERIC_TEXT.test(lowerText)) {
+            signal(-5, 'navigation', `Link text "${text}" is generic`);
+        } else if (words >= 2 && words <= 15 && text.length <= 150) {
+            signal(15, 'story', 'Link text reads like a title');
+        } else if (text.length < 4) {
+            signal(-10, 'navigation', 'Link text is very short');
+        }
+        // Whole words only ("party" is not "part"); underscores in URLs separate words too
+        if (LINK_STORY_KEYWORDS.test(lowerText) || LINK_STORY_KEYWORDS.test(target.replace(/_/g, ' '))) {
+            signal(10, 'story', 'Mentions a story keyword');
+        }
+        if (/\b(chapter|part|episode|ch\.?)\s*\d+/i.test(text)) {
+            signal(10, 'story', 'Numbered chapter or part');
+        }
+
+        // Surrounding text and position in the page
+        let inNavigation = false;
+        if (link.element) {
+            const element = $(link.element);
+            const container = element.closest('li, p, article, section, tr, dd, dt, div');
+            const surrounding = container.length > 0
+                ? container.text().replace(text, '').replace(/\s+/g, ' ').trim()
+                : '';
+            if (/\b(by|author:?)\s+\S+/i.test(surrounding) || /\b\d[\d,.]*k?\s*words\b/i.test(surrounding)) {
+                signal(15, 'story', 'Nearby text has a byline or word count');
+            } else if (surrounding.length >= 60 && surrounding.length <= 1000) {
+                signal(5, 'story', 'Nearby text describes the link');
+            }
+
+            inNavigation = element.closest(LINK_NAVIGATION_CONTAINERS).length > 0;
+            if (inNavigation) {
+                signal(-25, 'navigation', 'Inside a header, footer, menu, sidebar or pager');
+            } else if (element.closest(LINK_CONTENT_CONTAINERS).length > 0) {
+                signal(5, 'story', 'Inside the main content area');
+            }
+            if (element.closest('h1, h2, h3, h4').length > 0) {
+                signal(10, 'story', 'Link is a heading');
+            }
+        }
+
+        // Repetition (menus are repeated lists too, so only outside them)
+        if (repeated >= 3 && !inNavigation) {
+            signal(15, 'story', `One of ${repeated} similar links in a repeated list`);
+        }
+        if (occurrences >= 2 && text) {
+            signal(5, 'story', `Linked ${occurrences} times on the page`);
+        }
+
+        const score = Math.max(0, Math.min(100, LINK_NEUTRAL_SCORE + signals.reduce((sum, item) => sum + item.points, 0)));
+        const weight = (kind) => signals.filter(item => item.type === kind).reduce((sum, item) => sum - item.points, 0);
+
+        let type;
+        if (signals.some(item => item.type === 'asset')) {
+            type = 'asset';
+        } else if (score >= minScore) {
+            type = 'story';
+        } else {
+            type = weight('index') > 0 && weight('index') >= weight('navigation') ? 'index' : 'navigation';
+        }
+
+        return {
+            score,
+            type,
+            reasons: signals.map(item => `${item.points > 0 ? '+' : ''}${item.points} ${item.reason}`)
+        };
+    }
+
+    // A malformed escape such as a bare "%" leaves the segment as it is
+    decodeUrlSegment(segment) {
+        try {
+            return decodeURIComponent(segment);
+        } catch (e) {
+            return segment;
+        }
+    }
+
+    // Tag and first-class path from the root, without positions, so items of one list share it
+    linkDomPath($, element) {
+        if (!element) return '';
+        return $(element).parents().toArray().reverse()
+            .map(parent => {
+                const className = (parent.attribs && parent.attribs.class || '').trim().split(/\s+/)[0];
+                return className ? `${parent.name}.${className}` : parent.name;
+            })
+            .join('>');
+    }
+
+    // /story/123/some-title and /story/456/other-title share "/story/:n/*"
+    linkUrlTemplate(url) {
+        const parsed = new URL(url);
+        const segments = parsed.pathname.split('/').filter(Boolean);
+        return parsed.hostname + '/' + segments.map((segment, i) => {
+            if (/^\d+$/.test(segment)) return ':n';
+            if (i === segments.length - 1) return '*';
+            return /\d/.test(segment) ? ':id' : segment.toLowerCase();
+        }).join('/');
+    }
+
+    // ===== TABLE OF CONTENTS =====
+
+    // A story's chapter index page: the dominant repeated list of chapter links, in reading order
+    async extractTableOfContents(tocUrl, options = {}) {
+        const {
+            fetcher = this.options.fetchMode,
+            selectorOverrides = null,
+            snapshots = null
+        } = options;
+
+        const expand = snapshots ? null : this.normalizeExpandOptions(options.expand);
+        const siteProfile = await this.getSiteProfileForHost(new URL(tocUrl).hostname);
+        const profile = this.applySelectorOverrides(siteProfile, selectorOverrides);
+        const fetched = await this.fetchPage(tocUrl, {
+            profile,
+            fetcher: expand ? 'puppeteer' : fetcher,
+            expand,
+            snapshots,
+            isSufficient: ($) => $('a[href]').length > 0
+        });
+        await this.assertNotLoginWall(tocUrl, fetched);
+
+        const pageUrl = fetched.finalUrl || tocUrl;
+        const toc = this.parsePage(tocUrl, () => {
+            const $ = cheerio.load(fetched.html);
+            const metadata = this.extractMetadata($, tocUrl);
+            return {
+                ...this.parseTableOfContents($, pageUrl),
+                canonicalUrl: this.extractCanonicalUrl($, pageUrl),
+                title: this.extractTitle($, profile),
+                author: this.extractAuthor($, profile, metadata)
+            };
+        });
+        if (toc.chapters.length === 0) {
+            throw this.createScrapeError('EMPTY_CONTENT', `No table of contents found at ${tocUrl}`, { url: tocUrl });
+        }
+
+        console.log(`📑 Table of contents: ${toc.chapters.length} chapters${toc.reversed ? ' (listed newest first, reversed)' : ''}`);
+        return {
+            url: this.canonicalizeUrl(tocUrl),
+            ...toc,
+            fetcher: fetched.fetcher,
+            snapshot: this.snapshotOf(tocUrl, fetched)
+        };
+    }
+
+    async extractTocStory(tocUrl, options = {}) {
+        const { expand, ...chapterOptions } = options;
+        const toc = await this.extractTableOfContents(tocUrl, options);
+        return this.extractChapteredStory(toc.chapters[0].url, { ...chapterOptions, toc });
+    }
+
+    parseTableOfContents($, pageUrl) {
+        const baseHost = this.normalizeHostname(new URL(pageUrl).hostname);
+        const pageCanonical = this.canonicalizeUrl(pageUrl);
+
+        // Same-site links grouped the way classifyLinks spots repeated lists: one place in the DOM, one URL template
+        const groups = new Map();
+        for (const element of $('a[href]').toArray()) {
+            let url;
+            try {
+                url = new URL($(element).attr('href'), pageUrl);
+            } catch (e) {
+                continue;
+            }
+            if (!/^https?:$/.test(url.protocol) || this.normalizeHostname(url.hostname) !== baseHost) continue;
+            url.hash = '';
+
+            const canonicalUrl = this.canonicalizeUrl(url.href);
+            if (canonicalUrl === pageCanonical) continue;
+
+            const key = `${this.linkDomPath($, element)} ${this.linkUrlTemplate(url.href)}`;
+            if (!groups.has(key)) groups.set(key, { key, links: [], seen: new Set() });
+            const group = groups.get(key);
+            if (group.seen.has(canonicalUrl)) continue;
+            group.seen.add(canonicalUrl);
+            group.links.push({
+                url: url.href,
+                canonicalUrl,
+                text: $(element).text().replace(/\s+/g, ' ').trim(),
+                inNavigation: $(element).closest(LINK_NAVIGATION_CONTAINERS).length > 0
+            });
+        }
+
+        // The dominant list is the biggest one, weighted toward links that read like chapters and away from menus
+        let best = null;
+        for (const group of groups.values()) {
+            if (group.links.length < 2) continue;
+            const labels = group.links.map(link => this.parseChapterLabel(link.text));
+            const chapterLike = labels.filter(label => label.number !== null).length / labels.length;
+            const navigation = group.links.filter(link => link.inNavigation).length / group.links.length;
+            const score = group.links.length * (1 + chapterLike) * (1 - navigation * 0.75);
+            if (!best || score > best.score) best = { ...group, labels, score };
+        }
+        if (!best) return { chapters: [], listPath: null, reversed: false };
+
+        let chapters = best.links.map((link, i) => ({
+            url: link.url,
+            canonicalUrl: link.canonicalUrl,
+            text: link.text,
+            number: best.labels[i].number,
+            title: best.labels[i].title || null
+        }));
+
+        // Sites that list the newest chapter first have numbers counting down; read them oldest first
+        const numbers = chapters.map(chapter => chapter.number).filter(number => number !== null);
+        const reversed = numbers.length >= 2 && numbers.length >= chapters.length / 2 &&
+            numbers.every((number, i) => i === 0 || number < numbers[i - 1]);
+        if (reversed) chapters = chapters.reverse();
+
+        return {
+            chapters: chapters.map((chapter, i) => ({ position: i + 1, ...chapter })),
+            listPath: best.key.split(' ')[0],
+            reversed
+        };
+    }
+
+    // "Chapter 12: The Storm", "Ch. XII - The Storm", "12. The Storm" → { number: 12, title: 'The Storm' }
+    parseChapterLabel(text) {
+        const label = (text || '').replace(/\s+/g, ' ').trim();
+        const match = label.match(/^(?:chapter|chap\.?|ch\.?|part|episode|ep\.?|book|volume|vol\.?)\s*(\d+|[ivxlcdm]+)\b\s*[:.\-–—)]?\s*(.*)$/i) ||
+            label.match(/^(\d+)\s*[:.\-–—)]\s*(.*)$/) ||
+            label.match(/^(\d+)$/);
+        if (!match) {
+            return { number: null, title: label };
+        }
+
+        const number = /^\d+$/.test(match[1]) ? parseInt(match[1], 10) : this.parseRomanNumeral(match[1]);
+        return { number, title: (match[2] || '').trim() || label };
+    }
+
+    parseRomanNumeral(value) {
+        const values = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+        const digits = value.toLowerCase().split('').map(digit => values[digit]);
+        return digits.reduce((sum, digit, i) => sum + (digit < (digits[i + 1] || 0) ? -digit : digit), 0);
+    }
+
+    // ===== STORY DISCOVERY =====
+
+    // Candidate story URLs for a whole site, from its sitemaps and/or a breadth-first crawl from startUrl.
+    // The returned linksToScrape can be passed straight to batchScrapeFromLinks.
+    async discoverStoryLinks(startUrl, options = {}) {
+        const {
+            sitemaps = true,
+            crawl = false,
+            maxDepth = 2,
+            maxPages = 50,
+            maxSitemaps = 20,
+            includePatterns = [],
+            excludePatterns = ['/css/', '/js/', '/images/', '.jpg', '.png', '.gif', '.pdf', '.zip', '.exe', 'mailto:', 'tel:'],
+            sameDomain = true,
+            maxLinks = 500,
+            fetcher = this.options.fetchMode
+        } = options;
+
+        // Fail on a bad pattern before fetching anything
+        [...includePatterns, ...excludePatterns].forEach(pattern => this.urlMatchesPattern(startUrl, pattern));
+        const expand = this.normalizeExpandOptions(options.expand);
+
+        console.log('🧭 Discovering story links on:', startUrl);
+        const baseHost = this.normalizeHostname(new URL(startUrl).hostname);
+        const profile = await this.getSiteProfileForHost(new URL(startUrl).hostname);
+        const candidates = new Map();
+        const report = { sitemaps: [], pagesCrawled: 0, disallowed: 0 };
+
+        const isExcluded = (url) => excludePatterns.some(pattern => this.urlMatchesPattern(url, pattern));
+        const isIncluded = (url) => includePatterns.some(pattern => this.urlMatchesPattern(url, pattern));
+        const addCandidate = async (url, fields) => {
+            if (sameDomain && this.normalizeHostname(new URL(url).hostname) !== baseHost) return;
+            if (isExcluded(url)) return;
+            if (includePatterns.length > 0 && !isIncluded(url)) return;
+
+            const canonicalUrl = this.canonicalizeUrl(url);
+            const existing = candidates.get(canonicalUrl);
+            if (existing) {
+                // Seen by both: the sitemap knows lastmod, the crawl knows the link text
+                existing.lastmod = existing.lastmod || fields.lastmod || null;
+                existing.text = existing.text || fields.text || '';
+                if (existing.source !== fields.source) existing.source = 'both';
+                return;
+            }
+
+            if (this.shouldRespectRobots(profile) && !this.isAllowedByRobots(await this.getRobotsRules(url), url)) {
+                report.disallowed++;
+                return;
+            }
+            candidates.set(canonicalUrl, {
+                url,
+                canonicalUrl,
+                text: fields.text || '',
+                domain: new URL(url).hostname,
+                lastmod: fields.lastmod || null,
+                source: fields.source
+            });
+        };
+
+        if (sitemaps) {
+            for (const entry of await this.readSitemaps(startUrl, { maxSitemaps, profile })) {
+                if (entry.error) {
+                    report.sitemaps.push({ url: entry.url, error: entry.error });
+                    continue;
+                }
+                report.sitemaps.push({ url: entry.url, urls: entry.urls.length, sitemaps: entry.sitemaps.length });
+                for (const item of entry.urls) {
+                    await addCandidate(item.url, { lastmod: item.lastmod, source: 'sitemap' });
+                }
+            }
+        }
+
+        if (crawl) {
+            // With includePatterns, matching URLs are stories and the rest are listing pages to follow;
+            // without them every same-site page is both a candidate and followed
+            const queue = [{ url: startUrl, depth: 0 }];
+            const seen = new Set([this.canonicalizeUrl(startUrl)]);
+
+            while (queue.length > 0 && report.pagesCrawled < maxPages) {
+                const { url, depth } = queue.shift();
+                let fetched;
+                try {
+                    fetched = await this.fetchPage(url, {
+                        profile,
+                        fetcher: expand ? 'puppeteer' : fetcher,
+                        expand,
+                        isSufficient: ($) => $('a[href]').length > 0
+                    });
+                } catch (error) {
+                    console.log(`⚠️  Could not crawl ${url}: ${error.message}`);
+                    continue;
+                }
+                report.pagesCrawled++;
+
+                const $ = cheerio.load(fetched.html);
+                for (const element of $('a[href]').toArray()) {
+                    let linkUrl;
+                    try {
+                        linkUrl = new URL($(element).attr('href'), fetched.finalUrl || url);
+                    } catch (e) {
+                        continue; // Skip invalid URLs
+                    }
+                    if (!/^https?:$/.test(linkUrl.protocol)) continue;
+                    linkUrl.hash = '';
+
+                    await addCandidate(linkUrl.href, { text: $(element).text().replace(/\s+/g, ' ').trim(), source: 'crawl' });
+
+                    const canonicalUrl = this.canonicalizeUrl(linkUrl.href);
+                    if (depth < maxDepth && !seen.has(canonicalUrl) && this.normalizeHostname(linkUrl.hostname) === baseHost
+                        && !isExcluded(linkUrl.href) && !(includePatterns.length > 0 && isIncluded(linkUrl.href))) {
+                        seen.add(canonicalUrl);
+                        queue.push({ url: linkUrl.href, depth: depth + 1 });
+                    }
+                }
+            }
+        }
+
+        // Most recently modified first; URLs without a lastmod keep their discovery order after them
+        const links = Array.from(candidates.values());
+        const linksToScrape = links
+            .map((link, i) => ({ link, i }))
+            .sort((a, b) => (b.link.lastmod || '').localeCompare(a.link.lastmod || '') || a.i - b.i)
+            .map(({ link }) => link)
+            .slice(0, maxLinks);
+
+        console.log(`📋 Discovered ${links.length} candidate links (${report.sitemaps.length} sitemaps, ${report.pagesCrawled} pages crawled), returning ${linksToScrape.length}`);
+
+        return {
+            startUrl,
+            ...report,
+            totalFound: links.length,
+            linksToScrape,
+            preview: linksToScrape.slice(0, 10)
+        };
+    }
+
+    // Patterns are substrings, or regular expressions written as "/pattern/flags"
+    urlMatchesPattern(url, pattern) {
+        if (pattern instanceof RegExp) return pattern.test(url);
+
+        const regex = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+        if (regex) {
+            try {
+                return new RegExp(regex[1], regex[2]).test(url);
+            } catch (e) {
+                throw this.createScrapeError('INVALID_PATTERN', `Invalid URL pattern ${pattern}: ${e.message}`, { pattern });
+            }
+        }
+        return url.includes(pattern);
+    }
+
+    // Sitemaps named in robots.txt (or /sitemap.xml), following sitemap indexes up to maxSitemaps documents
+    async readSitemaps(startUrl, options = {}) {
+        const { maxSitemaps = 20, profile = null } = options;
+        const origin = new URL(startUrl).origin;
+
+        let queue;
+        if (/\.xml(\.gz)?$/i.test(new URL(startUrl).pathname)) {
+            queue = [startUrl];
+        } else {
+            const robots = await this.getRobotsRules(startUrl);
+            queue = robots.sitemaps && robots.sitemaps.length > 0 ? [...robots.sitemaps] : [origin + '/sitemap.xml'];
+        }
+
+        const seen = new Set(queue);
+        const entries = [];
+        while (queue.length > 0 && entries.length < maxSitemaps) {
+            const url = queue.shift();
+            try {
+                const sitemap = await this.fetchSitemap(url, profile);
+                entries.push({ url, ...sitemap });
+                for (const child of sitemap.sitemaps) {
+                    if (!seen.has(child)) {
+                        seen.add(child);
+                        queue.push(child);
+                    }
+                }
+            } catch (error) {
+                console.log(`⚠️  Could not read sitemap ${url}: ${error.message}`);
+                entries.push({ url, error: error.message });
+            }
+        }
+
+        return entries;
+    }
+
+    async fetchSitemap(url, profile = null) {
+        // Sitemaps are published for machines, so only the per-host interval applies, not robots.txt
+        await this.waitForHostTurn(url, profile);
+        const response = await fetch(url, {
+            headers: { 'User-Agent': this.options.userAgent },
+            redirect: 'follow',
+            signal: AbortSignal.timeout(this.options.httpTimeout)
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        // Read incrementally, and bound decompression too: a small .xml.gz can expand into gigabytes
+        const maxBytes = this.options.maxSitemapBytes;
+        const chunks = [];
+        let byteSize = 0;
+        for await (const chunk of response.body) {
+            byteSize += chunk.length;
+            if (byteSize > maxBytes) {
+                throw new Error(`larger than ${maxBytes} bytes`);
+            }
+            chunks.push(chunk);
+        }
+
+        // .xml.gz sitemaps are served as gzip files, not with Content-Encoding
+        let body = Buffer.concat(chunks);
+        if (body[0] === 0x1f && body[1] === 0x8b) {
+            try {
+                body = zlib.gunzipSync(body, { maxOutputLength: maxBytes });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`larger than ${maxBytes} bytes uncompressed`);
+                throw error;
+            }
+        }
+        return this.parseSitemap(body.toString('utf8'), response.url || url);
+    }
+
+    parseSitemap(xml, sitemapUrl) {
+        const $ = cheerio.load(xml, { xmlMode: true });
+        const locOf = (element) => {
+            const loc = $(element).children('loc').first().text().trim();
+            if (!loc) return null;
+            try {
+                return new URL(loc, sitemapUrl).href;
+            } catch (e) {
+                return null;
+            }
+        };
+
+        const sitemaps = $('sitemapindex > sitemap').toArray().map(locOf).filter(Boolean);
+        const urls = $('urlset > url').toArray()
+            .map(element => ({
+                url: locOf(element),
+                lastmod: this.normalizeMetadataDate($(element).children('lastmod').first().text().trim() || undefined)
+            }))
+            .filter(item => item.url);
+
+        // Some sites publish a plain-text sitemap: one URL per line
+        if (sitemaps.length === 0 && urls.length === 0 && !/^\s*</.test(xml)) {
+            for (const line of xml.split(/\r?\n/)) {
+                if (/^https?:\/\/\S+$/i.test(line.trim())) urls.push({ url: line.trim(), lastmod: null });
+            }
+        }
+
+        return { sitemaps, urls };
+    }
+
+    // ===== URL CANONICALIZATION =====
+
+    // https, no www., no fragment, no tracking parameters, sorted query, no trailing slash
+    canonicalizeUrl(url, base = undefined) {
+        let parsed;
+        try {
+            parsed = new URL(url, base);
+        } catch (e) {
+            return url;
+        }
+
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return parsed.href;
+
+        parsed.protocol = 'https:';
+        parsed.hostname = this.normalizeHostname(parsed.hostname);
+        parsed.hash = '';
+
+        for (const key of Array.from(parsed.searchParams.keys())) {
+            if (TRACKING_QUERY_PARAMS.test(key)) parsed.searchParams.delete(key);
+        }
+        parsed.searchParams.sort();
+        if (!parsed.search) parsed.search = '';
+
+        if (parsed.pathname.length > 1) {
+            parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+        }
+
+        return parsed.href;
+    }
+
+    extractCanonicalUrl($, pageUrl) {
+        const pageCanonical = this.canonicalizeUrl(pageUrl);
+        const href = $('link[rel~="canonical"]').first().attr('href');
+        if (!href || !href.trim()) return pageCanonical;
+
+        const declared = this.canonicalizeUrl(href.trim(), pageUrl);
+        if (!/^https:\/\//.test(declared)) return pageCanonical;
+
+        // Some sites point every page's canonical at their home page; that would collapse all stories into one
+        const declaredUrl = new URL(declared);
+        if (declaredUrl.pathname === '/' && !declaredUrl.search && new URL(pageCanonical).pathname !== '/') {
+            return pageCanonical;
+        }
+
+        return declared;
+    }
+
+    async canonicalizeStoredUrls() {
+        const report = {
+            stories: await this.canonicalizeTableUrls('stories'),
+            rssItems: await this.canonicalizeTableUrls('rss_items')
+        };
+
+        const updated = report.stories.updated + report.rssItems.updated;
+        if (updated > 0) {
+            console.log(`🔗 Canonicalized ${report.stories.updated} story and ${report.rssItems.updated} RSS item URLs`);
+        }
+
+        for (const collision of report.stories.collisions) {
+            console.log(`⚠️  URL collision: stories ${[collision.keptId, ...collision.duplicateIds].join(', ')} all canonicalize to ${collision.canonicalUrl} (listed at /duplicates/url-collisions, merge them via /duplicates/merge)`);
+        }
+        if (report.rssItems.collisions.length > 0) {
+            console.log(`⚠️  ${report.rssItems.collisions.length} RSS item URLs collide after canonicalization and were left unchanged`);
+        }
+
+        return report;
+    }
+
+    async canonicalizeTableUrls(table) {
+        // Whatever was stored before is the original URL
+        await new Promise((resolve, reject) => {
+            this.db.run(`UPDATE ${table} SET original_url = url WHERE original_url IS NULL`, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+
+        let updated = 0;
+        for (const [canonicalUrl, group] of await this.groupByCanonicalUrl(table)) {
+            // A row already holding the canonical URL keeps it; otherwise the oldest row does
+            const kept = group.find(row => row.url === canonicalUrl) || group[0];
+            if (kept.url === canonicalUrl) continue;
+
+            await new Promise((resolve, reject) => {
+                this.db.run(`UPDATE ${table} SET url = ? WHERE id = ?`, [canonicalUrl, kept.id], (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+            });
+            updated++;
+        }
+
+        return { updated, collisions: await this.getUrlCollisions(table) };
+    }
+
+    async groupByCanonicalUrl(table) {
+        const rows = await new Promise((resolve, reject) => {
+            this.db.all(`SELECT id, url FROM ${table} WHERE url IS NOT NULL ORDER BY id`, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+
+        const groups = new Map();
+        for (const row of rows) {
+            const canonicalUrl = this.canonicalizeUrl(row.url);
+            if (!groups.has(canonicalUrl)) groups.set(canonicalUrl, []);
+            groups.get(canonicalUrl).push(row);
+        }
+        return groups;
+    }
+
+    // url is UNIQUE, so rows whose canonical URL another row already holds keep their old URL until they are merged or deleted
+    async getUrlCollisions(table = 'stories') {
+        const collisions = [];
+        for (const [canonicalUrl, group] of await this.groupByCanonicalUrl(table)) {
+            if (group.length < 2) continue;
+
+            const kept = group.find(row => row.url === canonicalUrl) || group[0];
+            collisions.push({
+                canonicalUrl,
+                keptId: kept.id,
+                duplicateIds: group.filter(row => row !== kept).map(row => row.id)
+            });
+        }
+        return collisions;
+    }
+
+    // ===== DUPLICATE DETECTION =====
+
+    // 64-bit simhash over 3-word shingles, stored as 16 hex characters
+    computeContentFingerprint(text) {
+        if (!this.hasContent(text)) return null;
+        const words = text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+        if (words.length < MIN_FINGERPRINT_WORDS) return null;
+
+        const size = Math.min(3, words.length);
+        const weights = new Array(64).fill(0);
+
+        for (let i = 0; i + size <= words.length; i++) {
+            const hash = crypto.createHash('md5').update(words.slice(i, i + size).join(' ')).digest();
+            const high = hash.readUInt32BE(0);
+            const low = hash.readUInt32BE(4);
+            for (let bit = 0; bit < 32; bit++) {
+                weights[bit] += (high >>> bit) & 1 ? 1 : -1;
+                weights[bit + 32] += (low >>> bit) & 1 ? 1 : -1;
+            }
+        }
+
+        let high = 0;
+        let low = 0;
+        for (let bit = 0; bit < 32; bit++) {
+            if (weights[bit] > 0) high = (high | (1 << bit)) >>> 0;
+            if (weights[bit + 32] > 0) low = (low | (1 << bit)) >>> 0;
+        }
+
+        return high.toString(16).padStart(8, '0') + low.toString(16).padStart(8, '0');
     }
 
-    async getStoryByUrl(url) {
+    fingerprintSimilarity(a, b) {
+        const popcount = (n) => {
+            n = n - ((n >>> 1) & 0x55555555);
+            n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+            return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+        };
+
+        const distance = popcount((parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) >>> 0) +
+            popcount((parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16)) >>> 0);
+        return 1 - distance / 64;
+    }
+
+    async getFingerprintedStories() {
         return new Promise((resolve, reject) => {
-            this.db.get('SELECT * FROM stories WHERE url = ?', [url], (err, row) => {
+            this.db.all(
+                // Fingerprints stored for near-empty stories before they were skipped are ignored too
+                `SELECT id, title, url, domain, word_count, scraped_at, content_fingerprint FROM stories
+                 WHERE content_fingerprint IS NOT NULL AND COALESCE(word_count, 0) >= ?`,
+                [MIN_FINGERPRINT_WORDS],
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows);
+                }
+            );
+        });
+    }
+
+    async findNearDuplicates(fingerprint, options = {}) {
+        const { threshold = this.options.duplicateThreshold, excludeId = null, limit = 5 } = options;
+        if (!fingerprint) return [];
+
+        const stories = await this.getFingerprintedStories();
+        return stories
+            .filter(story => story.id !== excludeId)
+            .map(story => ({
+                id: story.id,
+                title: story.title,
+                url: story.url,
+                similarity: this.fingerprintSimilarity(fingerprint, story.content_fingerprint)
+            }))
+            .filter(match => match.similarity >= threshold)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, limit);
+    }
+
+    async getDuplicateClusters(options = {}) {
+        const { threshold = this.options.duplicateThreshold } = options;
+        const stories = await this.getFingerprintedStories();
+
+        // Bucket by each 8-bit band so only stories sharing a band are compared.
+        // Two fingerprints within 7 bits of each other always share at least one of the 8 bands;
+        // a looser threshold could miss pairs that way, so every pair is compared instead.
+        const buckets = new Map();
+        if (threshold >= 1 - 7 / 64) {
+            stories.forEach((story, index) => {
+                for (let band = 0; band < 8; band++) {
+                    const key = `${band}:${story.content_fingerprint.slice(band * 2, band * 2 + 2)}`;
+                    if (!buckets.has(key)) buckets.set(key, []);
+                    buckets.get(key).push(index);
+                }
+            });
+        } else {
+            buckets.set('all', stories.map((story, index) => index));
+        }
+
+        const parent = stories.map((story, index) => index);
+        const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+        const pairs = new Map();
+        for (const members of buckets.values()) {
+            for (let i = 0; i < members.length; i++) {
+                for (let j = i + 1; j < members.length; j++) {
+                    const a = members[i];
+                    const b = members[j];
+                    const key = `${a}:${b}`;
+                    if (pairs.has(key)) continue;
+
+                    const similarity = this.fingerprintSimilarity(stories[a].content_fingerprint, stories[b].content_fingerprint);
+                    pairs.set(key, similarity);
+                    if (similarity >= threshold) {
+                        parent[find(a)] = find(b);
+                    }
+                }
+            }
+        }
+
+        const clusters = new Map();
+        stories.forEach((story, index) => {
+            const root = find(index);
+            if (!clusters.has(root)) clusters.set(root, []);
+            clusters.get(root).push(index);
+        });
+
+        return [...clusters.values()]
+            .filter(members => members.length > 1)
+            .map(members => {
+                const matches = [];
+                for (let i = 0; i < members.length; i++) {
+                    for (let j = i + 1; j < members.length; j++) {
+                        const [a, b] = [members[i], members[j]].sort((x, y) => x - y);
+                        const similarity = pairs.has(`${a}:${b}`)
+                            ? pairs.get(`${a}:${b}`)
+                            : this.fingerprintSimilarity(stories[a].content_fingerprint, stories[b].content_fingerprint);
+                        matches.push({ storyId: stories[a].id, otherId: stories[b].id, similarity });
+                    }
+                }
+
+                return {
+                    stories: members.map(index => {
+                        const { content_fingerprint, ...story } = stories[index];
+                        return story;
+                    }),
+                    maxSimilarity: Math.max(...matches.map(match => match.similarity)),
+                    matches: matches.sort((x, y) => y.similarity - x.similarity)
+                };
+            })
+            .sort((a, b) => b.stories.length - a.stories.length || b.maxSimilarity - a.maxSimilarity);
+    }
+
+    async mergeStories(keepId, duplicateIds) {
+        const keep = await this.getStoryById(keepId);
+        if (!keep) return null;
+
+        const merged = [];
+        for (const duplicateId of duplicateIds.map(Number).filter(id => id !== Number(keepId))) {
+            // Carry collection memberships and RSS links over before deleting the duplicate
+            const statements = [
+                ['INSERT OR IGNORE INTO story_collections (story_id, collection_id) SELECT ?, collection_id FROM story_collections WHERE story_id = ?', [keepId, duplicateId]],
+                ['DELETE FROM story_collections WHERE story_id = ?', [duplicateId]],
+                ['UPDATE rss_items SET story_id = ? WHERE story_id = ?', [keepId, duplicateId]],
+                ['UPDATE stories SET read_count = read_count + COALESCE((SELECT read_count FROM stories WHERE id = ?), 0) WHERE id = ?', [duplicateId, keepId]]
+            ];
+
+            for (const [sql, params] of statements) {
+                await new Promise((resolve, reject) => {
+                    this.db.run(sql, params, (err) => {
+                        if (err) reject(err);
+                        else resolve();
+                    });
+                });
+            }
+
+            if (await this.deleteStory(duplicateId)) {
+                merged.push(duplicateId);
+            }
+        }
+
+        return { keptId: Number(keepId), merged };
+    }
+
+    async backfillContentFingerprints() {
+        const rows = await new Promise((resolve, reject) => {
+            this.db.all('SELECT id, content FROM stories WHERE content_fingerprint IS NULL AND content IS NOT NULL', (err, rows) => {
                 if (err) reject(err);
-                else resolve(row);
+                else resolve(rows);
             });
         });
+
+        if (rows.length === 0) return;
+
+        console.log(`Fingerprinting ${rows.length} existing stories...`);
+        for (const row of rows) {
+            await this.updateStory(row.id, { content_fingerprint: this.computeContentFingerprint(row.content) });
+        }
     }
 
-    extractTitle($) {
-        // Try multiple selectors for title
-        const selectors = [
-            'h1',
-            '.title',
-            '.story-title',
-            '.post-title',
-            '.entry-title',
-            'title',
-            '.headline',
-            '.article-title'
-        ];
-        
-        for (const selector of selectors) {
-            const element = $(selector).first();
-            if (element.length && element.text().trim()) {
-                return this.cleanTitle(element.text().trim());
+    // ===== SELECTOR OVERRIDES =====
+
+    // One-off titleSelector/authorSelector/contentSelector/removeSelectors (or *XPath) options, checked before anything is fetched
+    parseSelectorOverrides(options = {}) {
+        const fields = {
+            title: ['titleSelector', 'titleXPath'],
+            author: ['authorSelector', 'authorXPath'],
+            content: ['contentSelector', 'contentXPath'],
+            remove: ['removeSelectors', 'removeXPath']
+        };
+
+        const overrides = {};
+        for (const [field, [selectorOption, xpathOption]] of Object.entries(fields)) {
+            const selector = options[selectorOption] || null;
+            const xpath = options[xpathOption] || null;
+            if (!selector && !xpath) continue;
+            if (selector && xpath) {
+                throw this.createScrapeError('INVALID_SELECTOR', `Pass either ${selectorOption} or ${xpathOption}, not both`, { field });
             }
+
+            const css = selector
+                ? [].concat(selector).join(', ')
+                : [].concat(xpath).map(expression => this.xpathToSelector(expression)).join(', ');
+            this.assertValidSelector(css, selector || xpath);
+            overrides[field] = { selector, xpath, css };
         }
-        
-        // Fallback to page title
-        const pageTitle = $('title').text().trim();
-        return pageTitle ? this.cleanTitle(pageTitle) : 'Untitled';
+
+        return Object.keys(overrides).length > 0 ? overrides : null;
     }
 
-    extractContent($) {
-        // Remove unwanted elements
-        $('script, style, nav, header, footer, .sidebar, .menu, .navigation, .ads, .advertisement').remove();
-        
-        // Try multiple content selectors with scoring
-        const contentSelectors = [
-            '.story-content',
-            '.post-content',
-            '.entry-content',
-            '.article-content',
-            '.content',
-            'article',
-            '.main-content',
-            '#content',
-            '.text',
-            'main'
+    assertValidSelector(css, original) {
+        try {
+            cheerio.load('')(css);
+        } catch (error) {
+            throw this.createScrapeError('INVALID_SELECTOR', `Invalid selector "${original}": ${error.message}`, { selector: original });
+        }
+    }
+
+    // The site profile with the overrides laid over it; the stored profile is not changed
+    applySelectorOverrides(profile, overrides) {
+        if (!overrides) return profile;
+
+        const merged = { ...(profile || {}) };
+        if (overrides.title) merged.title_selector = overrides.title.css;
+        if (overrides.author) merged.author_selector = overrides.author.css;
+        if (overrides.content) merged.content_selector = overrides.content.css;
+        if (overrides.remove) {
+            merged.remove_selectors = [merged.remove_selectors, overrides.remove.css].filter(Boolean).join(', ');
+        }
+        return merged;
+    }
+
+    // Counted on the untouched page, before anything is removed
+    matchSelectorOverrides($, overrides) {
+        if (!overrides) return null;
+
+        const matches = {};
+        for (const [field, { selector, xpath, css }] of Object.entries(overrides)) {
+            const nodeCount = $(css).length;
+            matches[field] = { selector, xpath, matched: nodeCount > 0, nodeCount };
+            console.log(`🎯 ${field} override ${nodeCount > 0 ? `matched ${nodeCount} node${nodeCount === 1 ? '' : 's'}` : 'matched nothing'}: ${selector || xpath}`);
+        }
+        return matches;
+    }
+
+    // Translates the XPath people copy from browser devtools (//div[@id="x"]/p[2], /html/body/main, contains(@class, ...))
+    // into a CSS selector; anything beyond that subset is rejected rather than guessed at
+    xpathToSelector(xpath) {
+        const unsupported = (reason) => this.createScrapeError('INVALID_SELECTOR', `Unsupported XPath "${xpath}": ${reason}`, { xpath });
+
+        // Split on a separator outside brackets, parentheses and quotes
+        const splitTopLevel = (text, separator) => {
+            const parts = [];
+            let depth = 0;
+            let quote = null;
+            let start = 0;
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+                if (quote) {
+                    if (char === quote) quote = null;
+                } else if (char === '"' || char === "'") {
+                    quote = char;
+                } else if (char === '[' || char === '(') {
+                    depth++;
+                } else if (char === ']' || char === ')') {
+                    depth--;
+                } else if (depth === 0 && text.startsWith(separator, i)) {
+                    parts.push(text.slice(start, i));
+                    start = i + separator.length;
+                    i = start - 1;
+                }
+            }
+            parts.push(text.slice(start));
+            return parts;
+        };
+
+        // "[@id='a'][2]" becomes ["@id='a'", "2"]
+        const bracketGroups = (text) => {
+            const groups = [];
+            let depth = 0;
+            let quote = null;
+            let start = 0;
+            for (let i = 0; i < text.length; i++) {
+                const char = text[i];
+                if (quote) {
+                    if (char === quote) quote = null;
+                } else if (char === '"' || char === "'") {
+                    quote = char;
+                } else if (char === '[') {
+                    if (depth++ === 0) start = i + 1;
+                } else if (char === ']') {
+                    if (--depth === 0) groups.push(text.slice(start, i).trim());
+                }
+            }
+            return groups;
+        };
+
+        const cssString = (quoted) => JSON.stringify(quoted.slice(1, -1));
+        const VALUE = `('[^']*'|"[^"]*")`;
+        const conditions = [
+            [new RegExp(`^@([\\w:-]+)\\s*=\\s*${VALUE}$`), (m) => `[${m[1]}=${cssString(m[2])}]`],
+            [/^@([\w:-]+)$/, (m) => `[${m[1]}]`],
+            [new RegExp(`^contains\\(\\s*@([\\w:-]+)\\s*,\\s*${VALUE}\\s*\\)$`), (m) => `[${m[1]}*=${cssString(m[2])}]`],
+            [new RegExp(`^starts-with\\(\\s*@([\\w:-]+)\\s*,\\s*${VALUE}\\s*\\)$`), (m) => `[${m[1]}^=${cssString(m[2])}]`],
+            [new RegExp(`^contains\\(\\s*(?:text\\(\\)|\\.)\\s*,\\s*${VALUE}\\s*\\)$`), (m) => `:contains(${cssString(m[1])})`]
         ];
-        
-        let bestContent = '';
-        let bestScore = 0;
-        
-        for (const selector of contentSelectors) {
-            const element = $(selector).first();
-            if (element.length) {
-                const text = element.text().trim();
-                const score = this.scoreContent(text);
-                
-                if (score > bestScore) {
-                    bestScore = score;
-                    bestContent = text;
+
+        const translatePredicate = (predicate, tag) => {
+            if (/^\d+$/.test(predicate)) {
+                return tag === '*' ? `:nth-child(${predicate})` : `:nth-of-type(${predicate})`;
+            }
+            if (predicate === 'last()') {
+                return tag === '*' ? ':last-child' : ':last-of-type';
+            }
+
+            return splitTopLevel(predicate, ' and ').map(condition => {
+                for (const [pattern, build] of conditions) {
+                    const match = condition.trim().match(pattern);
+                    if (match) return build(match);
+                }
+                throw unsupported(`cannot translate [${condition.trim()}]`);
+            }).join('');
+        };
+
+        const translatePath = (path) => {
+            let expression = path.trim().replace(/^\.(?=\/)/, '');
+            if (!expression.startsWith('/')) expression = `//${expression}`;
+            const absolute = !expression.startsWith('//');
+
+            const parts = [];
+            let descendant = false;
+            for (const step of splitTopLevel(expression, '/').slice(1)) {
+                if (step === '') {
+                    descendant = true;
+                    continue;
+                }
+
+                const match = step.trim().match(/^([a-zA-Z][\w-]*|\*)((?:\[.*\])?)$/);
+                if (!match) throw unsupported(`cannot translate step "${step}"`);
+
+                const tag = match[1].toLowerCase();
+                const predicates = bracketGroups(match[2]);
+                let selector = tag === '*' && predicates.length > 0 ? '' : tag;
+                selector += predicates.map(predicate => translatePredicate(predicate, tag)).join('');
+                if (absolute && parts.length === 0) selector += ':root';
+
+                parts.push(parts.length === 0 ? selector : `${descendant ? ' ' : ' > '}${selector}`);
+                descendant = false;
+            }
+
+            if (parts.length === 0) throw unsupported('no element steps');
+            return parts.join('');
+        };
+
+        return splitTopLevel(String(xpath).trim(), '|').map(translatePath).join(', ');
+    }
+
+    // ===== SITE PROFILES =====
+
+    normalizeHostname(hostname) {
+        return String(hostname || '').trim().toLowerCase().replace(/^www\./, '');
+    }
+
+    // Each field from its camelCase option or its column name; a field sent as null (or '') is cleared
+    siteProfileFields(profile) {
+        const pick = (option, column) => profile[option] !== undefined ? profile[option] : profile[column];
+        const selector = (option, column) => {
+            const value = pick(option, column);
+            const css = Array.isArray(value) ? value.filter(Boolean).join(', ') : (value || null);
+            if (css) this.assertValidSelector(css, css);
+            return css;
+        };
+        const minRequestInterval = pick('minRequestInterval', 'min_request_interval');
+
+        return {
+            name: pick('name', 'name') || null,
+            title_selector: selector('titleSelector', 'title_selector'),
+            author_selector: selector('authorSelector', 'author_selector'),
+            content_selector: selector('contentSelector', 'content_selector'),
+            remove_selectors: selector('removeSelectors', 'remove_selectors'),
+            next_link_selector: selector('nextLinkSelector', 'next_link_selector'),
+            requires_js: pick('requiresJs', 'requires_js') ? 1 : 0,
+            min_request_interval: minRequestInterval === undefined || minRequestInterval === null || minRequestInterval === ''
+                ? null
+                : Math.max(0, parseInt(minRequestInterval) || 0),
+            ignore_robots: pick('ignoreRobots', 'ignore_robots') ? 1 : 0
+        };
+    }
+
+    describeSiteProfile(profile) {
+        return profile ? { id: profile.id, hostname: profile.hostname, name: profile.name } : null;
+    }
+
+    async createSiteProfile(profile) {
+        const hostname = this.normalizeHostname(profile.hostname);
+        const fields = this.siteProfileFields(profile);
+
+        const columns = ['hostname', ...Object.keys(fields)];
+
+        return new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO site_profiles (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                [hostname, ...Object.values(fields)],
+                function(err) {
+                    if (err) reject(err);
+                    else resolve({ id: this.lastID, hostname, ...fields });
+                }
+            );
+        });
+    }
+
+    async getAllSiteProfiles() {
+        return new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM site_profiles ORDER BY hostname', (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    async getSiteProfile(id) {
+        return new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM site_profiles WHERE id = ?', [id], (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    async getSiteProfileForHost(hostname) {
+        // Try the full hostname first, then each parent domain (a.b.example.com -> b.example.com -> example.com)
+        const labels = this.normalizeHostname(hostname).split('.');
+        const candidates = [];
+        for (let i = 0; i < labels.length - 1; i++) {
+            candidates.push(labels.slice(i).join('.'));
+        }
+
+        if (candidates.length === 0) return null;
+
+        const rows = await new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM site_profiles WHERE hostname IN (${candidates.map(() => '?').join(', ')})`,
+                candidates,
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows);
+                }
+            );
+        });
+
+        // Most specific match wins
+        rows.sort((a, b) => b.hostname.length - a.hostname.length);
+        return rows[0] || null;
+    }
+
+    async updateSiteProfile(id, updates) {
+        const existing = await this.getSiteProfile(id);
+        if (!existing) return null;
+
+        const hostname = updates.hostname ? this.normalizeHostname(updates.hostname) : existing.hostname;
+        // Fields left out of the update keep their stored values
+        const fields = this.siteProfileFields({ ...existing, ...updates });
+
+        const assignments = ['hostname', ...Object.keys(fields)].map(column => `${column} = ?`);
+
+        await new Promise((resolve, reject) => {
+            this.db.run(
+                `UPDATE site_profiles SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [hostname, ...Object.values(fields), id],
+                (err) => {
+                    if (err) reject(err);
+                    else resolve();
                 }
+            );
+        });
+
+        return this.getSiteProfile(id);
+    }
+
+    async deleteSiteProfile(id) {
+        return new Promise((resolve, reject) => {
+            this.db.run('DELETE FROM site_profiles WHERE id = ?', [id], function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+
+    // ===== SESSION PROFILES =====
+
+    // Cookies from a browser export: Netscape cookies.txt, or JSON (an array, or { cookies: [...] })
+    parseCookieExport(content) {
+        if (Array.isArray(content)) {
+            return content.map(cookie => this.normalizeCookie(cookie)).filter(Boolean);
+        }
+
+        const text = String(content || '').trim();
+        if (text.startsWith('[') || text.startsWith('{')) {
+            let parsed;
+            try {
+                parsed = JSON.parse(text);
+            } catch (error) {
+                throw this.createScrapeError('INVALID_COOKIES', `Malformed JSON cookie export: ${error.message}`);
             }
+            const list = Array.isArray(parsed) ? parsed : (parsed.cookies || []);
+            return list.map(cookie => this.normalizeCookie(cookie)).filter(Boolean);
         }
-        
-        // If no good content found, try paragraphs
-        if (!bestContent || bestScore < 100) {
-            const paragraphs = $('p').map((i, el) => $(el).text().trim()).get();
-            const combinedText = paragraphs.join('\n\n');
-            
-            if (this.scoreContent(combinedText) > bestScore) {
-                bestContent = combinedText;
+
+        const cookies = [];
+        for (let line of text.split(/\r?\n/)) {
+            // curl and browser extensions mark HttpOnly cookies with a comment-like prefix
+            let httpOnly = false;
+            if (line.startsWith('#HttpOnly_')) {
+                httpOnly = true;
+                line = line.slice('#HttpOnly_'.length);
             }
+            if (!line.trim() || line.startsWith('#')) continue;
+
+            // domain, include-subdomains flag, path, secure, expiry, name, value
+            const fields = line.split('\t');
+            if (fields.length < 7) continue;
+
+            const [domain, , cookiePath, secure, expires, name, ...value] = fields;
+            cookies.push(this.normalizeCookie({
+                domain,
+                path: cookiePath,
+                secure: secure.toUpperCase() === 'TRUE',
+                expires: parseInt(expires),
+                name,
+                value: value.join('\t'),
+                httpOnly
+            }));
         }
-        
-        return bestContent || 'No content found';
+
+        if (cookies.length === 0 && text) {
+            throw this.createScrapeError('INVALID_COOKIES', 'Unrecognized cookie export: expected Netscape cookies.txt or JSON');
+        }
+        return cookies.filter(Boolean);
     }
 
-    scoreContent(text) {
-        if (!text) return 0;
-        
-        const wordCount = text.split(/\s+/).length;
-        const sentenceCount = text.split(/[.!?]+/).length;
-        const avgWordsPerSentence = wordCount / Math.max(sentenceCount, 1);
-        
-        // Score based on length and structure
-        let score = wordCount;
-        
-        // Bonus for reasonable sentence length
-        if (avgWordsPerSentence > 5 && avgWordsPerSentence < 30) {
-            score += 50;
+    normalizeCookie(cookie) {
+        if (!cookie || !cookie.name) return null;
+
+        // Browser extensions export expirationDate, Puppeteer exports expires (both in seconds)
+        const expires = cookie.expires !== undefined ? cookie.expires : cookie.expirationDate;
+        return {
+            name: String(cookie.name),
+            value: cookie.value === undefined || cookie.value === null ? '' : String(cookie.value),
+            domain: String(cookie.domain || '').trim().toLowerCase(),
+            path: cookie.path || '/',
+            expires: expires > 0 ? Math.floor(expires) : null,
+            secure: Boolean(cookie.secure),
+            httpOnly: Boolean(cookie.httpOnly)
+        };
+    }
+
+    sessionCookiesForUrl(session, url) {
+        if (!session) return [];
+
+        const parsed = new URL(url);
+        const hostname = parsed.hostname.toLowerCase();
+        const now = Date.now() / 1000;
+
+        return session.cookies.filter(cookie => {
+            const domain = cookie.domain.replace(/^\./, '');
+            if (domain && hostname !== domain && !hostname.endsWith('.' + domain)) return false;
+            if (!parsed.pathname.startsWith(cookie.path)) return false;
+            if (cookie.secure && parsed.protocol !== 'https:') return false;
+            return !cookie.expires || cookie.expires > now;
+        });
+    }
+
+    // Sessions belong to their profile's host and its subdomains; nothing is sent anywhere else
+    sessionAppliesTo(session, url) {
+        let hostname;
+        try {
+            hostname = this.normalizeHostname(new URL(url).hostname);
+        } catch (e) {
+            return false;
         }
-        
-        // Penalty for very short content
-        if (wordCount < 50) {
-            score -= 100;
+        const host = this.normalizeHostname(session.hostname);
+        return hostname === host || hostname.endsWith('.' + host);
+    }
+
+    sessionRequestHeaders(session, url) {
+        if (!session || !this.sessionAppliesTo(session, url)) return {};
+
+        const headers = { ...session.headers };
+        const cookies = this.sessionCookiesForUrl(session, url);
+        if (cookies.length > 0) {
+            headers['Cookie'] = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
         }
-        
-        return score;
+        return headers;
+    }
+
+    // Returns why the page looks like a login wall, or null when it looks like content
+    detectLoginWall(html, requestedUrl, finalUrl = null) {
+        const loginPath = /\/(log-?in|sign-?in|signin|auth|sessions?\/new|users\/sign_in|account\/login)(\/|\.\w+)?$/i;
+        if (finalUrl && finalUrl !== requestedUrl &&
+            loginPath.test(new URL(finalUrl).pathname) && !loginPath.test(new URL(requestedUrl).pathname)) {
+            return 'redirected_to_login';
+        }
+
+        const $ = cheerio.load(html || '');
+        const hasPasswordField = $('input[type="password"]').length > 0;
+        const hasLoginPrompt = /\b(log ?in|sign ?in|register|subscribe) to (continue|read|view|access)|\bmembers only\b|\bmust be (logged|signed) in\b|\byou need to (log|sign) ?in\b/i
+            .test($('body').text().replace(/\s+/g, ' '));
+        if (!hasPasswordField && !hasLoginPrompt) return null;
+
+        // A login form next to a full story is just site chrome
+        if (this.hasEnoughStaticContent($)) return null;
+        return hasPasswordField ? 'login_form' : 'login_prompt';
+    }
+
+    async assertNotLoginWall(url, fetched) {
+        const reason = this.detectLoginWall(fetched.html, url, fetched.finalUrl);
+        if (!reason) return;
+
+        await this.markSessionLoginWall(fetched.session);
+        const hint = fetched.session
+            ? ` - session profile "${fetched.session.name}" may have expired`
+            : ' - add a session profile for this site';
+        throw this.createScrapeError('LOGIN_REQUIRED', `Login required for ${url} (${reason})${hint}`, { url, reason });
+    }
+
+    async markSessionLoginWall(session) {
+        if (!session) return;
+
+        await new Promise((resolve, reject) => {
+            this.db.run('UPDATE session_profiles SET login_wall_at = CURRENT_TIMESTAMP WHERE id = ?', [session.id], (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    sessionProfileFields(profile) {
+        const fields = {};
+        if (profile.name !== undefined) fields.name = String(profile.name).trim();
+        if (profile.hostname !== undefined) fields.hostname = this.normalizeHostname(profile.hostname);
+        if (profile.cookieExport !== undefined || profile.cookies !== undefined) {
+            fields.cookies = JSON.stringify(this.parseCookieExport(profile.cookieExport !== undefined ? profile.cookieExport : profile.cookies));
+        }
+        if (profile.headers !== undefined) {
+            fields.headers = JSON.stringify(profile.headers || {});
+        }
+        return fields;
+    }
+
+    parseSessionProfile(row) {
+        if (!row) return null;
+        return { ...row, cookies: JSON.parse(row.cookies || '[]'), headers: JSON.parse(row.headers || '{}') };
+    }
+
+    // Cookie values and header values are credentials, so listings only show what is stored
+    describeSessionProfile(profile) {
+        if (!profile) return null;
+
+        const now = Date.now() / 1000;
+        return {
+            id: profile.id,
+            name: profile.name,
+            hostname: profile.hostname,
+            cookieCount: profile.cookies.length,
+            expiredCookieCount: profile.cookies.filter(cookie => cookie.expires && cookie.expires <= now).length,
+            cookieNames: profile.cookies.map(cookie => cookie.name),
+            headerNames: Object.keys(profile.headers),
+            loginWallAt: profile.login_wall_at,
+            createdAt: profile.created_at,
+            updatedAt: profile.updated_at
+        };
     }
 
-    extractAuthor($) {
-        const authorSelectors = [
-            '.author',
-            '.by-author',
-            '.story-author',
-            '.post-author',
-            '.byline',
-            '[rel="author"]',
-            '.writer',
-            '.created-by'
-        ];
-        
-        for (const selector of authorSelectors) {
-            const element = $(selector).first();
-            if (element.length && element.text().trim()) {
-                return element.text().trim().replace(/^by\s+/i, '');
-            }
-        }
-        
-        return null;
+    async createSessionProfile(profile) {
+        const fields = { cookies: '[]', headers: '{}', ...this.sessionProfileFields(profile) };
+        const columns = Object.keys(fields);
+
+        const id = await new Promise((resolve, reject) => {
+            this.db.run(
+                `INSERT INTO session_profiles (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                Object.values(fields),
+                function(err) {
+                    if (err) reject(err);
+                    else resolve(this.lastID);
+                }
+            );
+        });
+
+        return this.getSessionProfile(id);
     }
 
-    async getAllStories() {
-        return new Promise((resolve, reject) => {
-            this.db.all('SELECT * FROM stories ORDER BY scraped_at DESC', (err, rows) => {
+    async getAllSessionProfiles() {
+        const rows = await new Promise((resolve, reject) => {
+            this.db.all('SELECT * FROM session_profiles ORDER BY hostname, name', (err, rows) => {
                 if (err) reject(err);
                 else resolve(rows);
             });
         });
+        return rows.map(row => this.parseSessionProfile(row));
     }
 
-    async getStoryById(id) {
-        return new Promise((resolve, reject) => {
-            this.db.get('SELECT * FROM stories WHERE id = ?', [id], (err, row) => {
+    async getSessionProfile(id) {
+        const row = await new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM session_profiles WHERE id = ?', [id], (err, row) => {
                 if (err) reject(err);
                 else resolve(row);
             });
         });
+        return this.parseSessionProfile(row);
     }
 
-    async deleteStory(id) {
+    async getSessionProfileForHost(hostname) {
+        // Same parent-domain lookup as site profiles; the most specific, then most recently updated, wins
+        const labels = this.normalizeHostname(hostname).split('.');
+        const candidates = [];
+        for (let i = 0; i < labels.length - 1; i++) {
+            candidates.push(labels.slice(i).join('.'));
+        }
+
+        if (candidates.length === 0) return null;
+
+        const rows = await new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT * FROM session_profiles WHERE hostname IN (${candidates.map(() => '?').join(', ')}) ORDER BY updated_at DESC, id DESC`,
+                candidates,
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows);
+                }
+            );
+        });
+
+        rows.sort((a, b) => b.hostname.length - a.hostname.length);
+        return this.parseSessionProfile(rows[0]);
+    }
+
+    async updateSessionProfile(id, updates) {
+        const existing = await this.getSessionProfile(id);
+        if (!existing) return null;
+
+        const fields = this.sessionProfileFields(updates);
+        // Fresh cookies mean a fresh login
+        if (fields.cookies !== undefined) fields.login_wall_at = null;
+
+        const columns = Object.keys(fields);
+        if (columns.length > 0) {
+            await new Promise((resolve, reject) => {
+                this.db.run(
+                    `UPDATE session_profiles SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                    [...Object.values(fields), id],
+                    (err) => {
+                        if (err) reject(err);
+                        else resolve();
+                    }
+                );
+            });
+        }
+
+        return this.getSessionProfile(id);
+    }
+
+    async deleteSessionProfile(id) {
         return new Promise((resolve, reject) => {
-            this.db.run('DELETE FROM stories WHERE id = ?', [id], function(err) {
+            this.db.run('DELETE FROM session_profiles WHERE id = ?', [id], function(err) {
                 if (err) reject(err);
                 else resolve(this.changes);
             });
         });
     }
 
-    async exportStories(format = 'json', filename = null) {
-        const stories = await this.getAllStories();
-        
-        if (!filename) {
-            filename = `stories.${format}`;
+    // ===== FILE IMPORT =====
+
+    // files: [{ filename, data (Buffer or string), path? }], data read from path when missing; each is imported on its own so one bad file does not stop the rest
+    async importFiles(files) {
+        const results = { imported: [], duplicates: [], failed: [] };
+
+        for (const file of files) {
+            try {
+                const result = await this.importFile(file);
+                if (result.duplicateOf) results.duplicates.push(result);
+                else results.imported.push(result);
+            } catch (error) {
+                console.error(`Error importing ${file.filename}:`, error.message);
+                results.failed.push({ filename: file.filename, error: error.message });
+            }
         }
 
-        switch (format.toLowerCase()) {
-            case 'json':
-                return this.exportJSON(stories, filename);
-            case 'csv':
-                return this.exportCSV(stories, filename);
-            case 'txt':
-                return this.exportTXT(stories, filename);
+        console.log(`📥 Imported ${results.imported.length} files (${results.duplicates.length} duplicates, ${results.failed.length} failed)`);
+        return results;
+    }
+
+    async importDirectory(directory, options = {}) {
+        const { recursive = true } = options;
+
+        // Only paths are collected here; importFile reads each file when its turn comes
+        const files = [];
+        const walk = async (dir) => {
+            for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    if (recursive) await walk(fullPath);
+                } else if (IMPORT_FILE_TYPES[path.extname(entry.name).toLowerCase()]) {
+                    files.push({ filename: entry.name, path: fullPath });
+                }
+            }
+        };
+        await walk(path.resolve(directory));
+
+        return this.importFiles(files.sort((a, b) => a.path.localeCompare(b.path)));
+    }
+
+    async importFile(file) {
+        const type = IMPORT_FILE_TYPES[path.extname(file.filename || '').toLowerCase()];
+        if (!type) {
+            throw new Error(`Unsupported file type: ${file.filename} (expected ${Object.keys(IMPORT_FILE_TYPES).join(', ')})`);
+        }
+
+        let data;
+        if (file.data === undefined && file.path) {
+            data = await fs.promises.readFile(file.path);
+        } else {
+            data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data || '', 'utf8');
+        }
+        const source = {
+            filename: file.filename,
+            // Files read from disk keep their path; uploads are told apart by a hash of their bytes
+            url: file.path
+                ? require('url').pathToFileURL(path.resolve(file.path)).href
+                : `import://upload/${crypto.createHash('sha256').update(data).digest('hex').slice(0, 16)}/${encodeURIComponent(file.filename)}`
+        };
+        console.log(`📥 Importing ${type}: ${file.filename}`);
+
+        switch (type) {
             case 'html':
-                return this.exportHTML(stories, filename);
+                return this.importHtml(data.toString('utf8'), source);
             case 'epub':
-                return this.exportEPUB(stories, filename);
-            case 'markdown':
-            case 'md':
-                return this.exportMarkdown(stories, filename);
+                return this.importEpub(data, source);
             default:
-                throw new Error('Unsupported format: ' + format);
+                return this.importText(data.toString('utf8'), source, type === 'markdown');
         }
     }
 
-    exportJSON(stories, filename) {
-        const data = JSON.stringify(stories, null, 2);
-        fs.writeFileSync(filename, data);
-        return { filename, count: stories.length, format: 'JSON' };
+    // Saved web pages go through the normal extraction, served from a snapshot instead of the network
+    async importHtml(html, source) {
+        const $ = cheerio.load(html);
+        const declared = $('link[rel~="canonical"]').attr('href') || $('meta[property="og:url"]').attr('content');
+        const url = declared && /^https?:\/\//i.test(declared.trim()) ? this.canonicalizeUrl(declared.trim()) : source.url;
+
+        const snapshots = this.snapshotMap([{ url, html: zlib.gzipSync(Buffer.from(html, 'utf8')) }]);
+        const extracted = await this.extractStory(url, { snapshots, followPages: false });
+        extracted.snapshots = extracted.snapshots.map(snapshot => ({ ...snapshot, fetcher: 'import' }));
+
+        return this.saveImportedStory(extracted, url, source);
     }
 
-    exportCSV(stories, filename) {
-        if (stories.length === 0) {
-            fs.writeFileSync(filename, '');
-            return { filename, count: 0, format: 'CSV' };
+    async importText(text, source, markdown) {
+        const { fields, body } = this.parseFrontMatter(text.replace(/^﻿/, ''));
+        const blocks = body.replace(/\r\n?/g, '\n').split(/\n\s*\n/).map(block => block.trim()).filter(Boolean);
+
+        // Front matter first, then a leading heading ("# Title", or a short line standing alone in plain text)
+        let title = fields.title || null;
+        const heading = blocks.length > 1 && (markdown
+            ? blocks[0].match(/^#{1,6}\s+(.+?)\s*#*$/)
+            : (!blocks[0].includes('\n') && blocks[0].length <= 100 && !/[.,;:]$/.test(blocks[0]) ? [blocks[0], blocks[0]] : null));
+        if (heading) {
+            title = title || heading[1].replace(/[*_]/g, '').trim();
+            blocks.shift();
         }
 
-        const headers = ['id', 'title', 'author', 'domain', 'word_count', 'scraped_at', 'url'];
-        const csvContent = [
-            headers.join(','),
-            ...stories.map(story => 
-                headers.map(header => {
-                    const value = story[header] || '';
-                    return `"${String(value).replace(/"/g, '""')}"`;
-                }).join(',')
-            )
-        ].join('\n');
+        let author = fields.author || null;
+        const byline = blocks.length > 1 && blocks[0].match(/^(?:#{1,6}\s+)?[*_]*by\s+([^\n]{1,80}?)[*_]*$/i);
+        if (byline) {
+            author = author || byline[1].trim();
+            blocks.shift();
+        }
 
-        fs.writeFileSync(filename, csvContent);
-        return { filename, count: stories.length, format: 'CSV' };
-    }
+        const contentHtml = markdown
+            ? this.markdownToContentHtml(blocks.join('\n\n'))
+            : blocks.map(block => /^(\*\s*){3,}$|^#$/.test(block)
+                ? '<hr>'
+                : `<p>${this.escapeHtml(block).replace(/\s*\n\s*/g, ' ')}</p>`).join('\n');
+        const content = this.contentHtmlToText(contentHtml);
 
-    exportTXT(stories, filename) {
-        const content = stories.map(story => {
-            return [
-                '=' .repeat(60),
-                `Title: ${story.title}`,
-                `Author: ${story.author || 'Unknown'}`,
-                `Domain: ${story.domain}`,
-                `Word Count: ${story.word_count}`,
-                `Scraped: ${story.scraped_at}`,
-                `URL: ${story.url}`,
-                '=' .repeat(60),
-                '',
-                story.content,
-                '',
-                ''
-            ].join('\n');
-        }).join('\n');
+        title = title || source.filename.replace(/\.[^.]+$/, '');
+        const tags = fields.tags || fields.keywords;
+        const metadata = {
+            author,
+            publishedDate: this.normalizeMetadataDate(fields.date || fields.published),
+            updatedDate: this.normalizeMetadataDate(fields.updated),
+            summary: fields.summary || fields.description || null,
+            language: fields.language || fields.lang || null,
+            coverImageUrl: null,
+            siteName: null,
+            sourceTags: tags ? tags.replace(/^\[|\]$/g, '').split(',').map(tag => tag.trim().replace(/^(['"])(.*)\1$/, '$2')).filter(Boolean) : []
+        };
 
-        fs.writeFileSync(filename, content);
-        return { filename, count: stories.length, format: 'TXT' };
+        const extracted = {
+            domain: null,
+            title,
+            author,
+            content,
+            contentHtml,
+            wordCount: content.split(/\s+/).length,
+            metadata,
+            similarityKeywords: await this.generateSimilarityKeywords(content, title, author)
+        };
+        return this.saveImportedStory(extracted, source.url, source);
     }
 
-    exportHTML(stories, filename) {
-        const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Scraped Stories Collection</title>
-    <style>
-        body { font-family: Georgia, serif; max-width: 800px; margin: 0 auto; padding: 20px; }
-        .story { margin-bottom: 40px; border-bottom: 2px solid #eee; padding-bottom: 20px; }
-        .story-title { color: #333; font-size: 24px; margin-bottom: 10px; }
-        .story-meta { color: #666; font-size: 14px; margin-bottom: 20px; }
-        .story-content { line-height: 1.6; text-align: justify; }
-        .toc { background: #f5f5f5; padding: 20px; margin-bottom: 30px; }
-        .toc h2 { margin-top: 0; }
-        .toc a { text-decoration: none; color: #333; }
-        .toc a:hover { color: #007bff; }
-    </style>
-</head>
-<body>
-    <h1>Scraped Stories Collection</h1>
-    <div class="toc">
-        <h2>Table of Contents</h2>
-        <ol>
-            ${stories.map((story, index) => 
-                `<li><a href="#story-${index + 1}">${story.title}</a> - ${story.author || 'Unknown'}</li>`
-            ).join('')}
-        </ol>
-    </div>
-    
-    ${stories.map((story, index) => `
-        <div class="story" id="story-${index + 1}">
-            <h2 class="story-title">${story.title}</h2>
-            <div class="story-meta">
-                <strong>Author:</strong> ${story.author || 'Unknown'} | 
-                <strong>Source:</strong> ${story.domain} | 
-                <strong>Words:</strong> ${story.word_count} | 
-                <strong>Scraped:</strong> ${story.scraped_at}
-            </div>
-            <div class="story-content">
-                ${story.content.split('\n').map(p => p.trim() ? `<p>${p}</p>` : '').join('')}
-            </div>
-        </div>
-    `).join('')}
-</body>
-</html>`;
+    // Spine documents become chapters; navigation, cover and other text-less documents are skipped
+    async importEpub(data, source) {
+        const zip = this.readZipEntries(data);
+        const read = (name) => {
+            const entry = zip.get(name);
+            if (!entry) throw new Error(`EPUB is missing ${name}`);
+            return entry().toString('utf8');
+        };
+        const localName = (element) => element.name.replace(/^[\w-]+:/, '').toLowerCase();
 
-        fs.writeFileSync(filename, html);
-        return { filename, count: stories.length, format: 'HTML' };
+        const opfPath = cheerio.load(read('META-INF/container.xml'), { xmlMode: true })('rootfile').first().attr('full-path');
+        if (!opfPath) throw new Error('EPUB container.xml names no package document');
+        const opf = cheerio.load(read(opfPath), { xmlMode: true });
+        const opfDir = path.posix.dirname(opfPath);
+
+        // Dublin Core elements, under whichever prefix the package binds to the DC namespace (usually dc:)
+        const dcNamespaces = ['http://purl.org/dc/elements/1.1/', 'http://purl.org/dc/terms/'];
+        const dcPrefixes = new Set(['dc']);
+        opf('*').each((i, element) => {
+            for (const [attribute, value] of Object.entries(element.attribs)) {
+                if (attribute.startsWith('xmlns:') && dcNamespaces.includes(value)) dcPrefixes.add(attribute.slice(6));
+            }
+        });
+        const isDublinCore = (element) => {
+            const separator = element.name.indexOf(':');
+            return separator === -1
+                ? dcNamespaces.includes(element.attribs.xmlns)
+                : dcPrefixes.has(element.name.slice(0, separator));
+        };
+        const dc = (name) => opf('*').filter((i, element) => localName(element) === name && isDublinCore(element))
+            .map((i, element) => opf(element).text().trim()).get().filter(Boolean);
+        const manifest = new Map(opf('*').filter((i, element) => localName(element) === 'item').toArray()
+            .map(element => [element.attribs.id, element.attribs]));
+        const spine = opf('*').filter((i, element) => localName(element) === 'itemref').toArray()
+            .filter(element => element.attribs.linear !== 'no')
+            .map(element => manifest.get(element.attribs.idref))
+            .filter(item => item && !/\bnav\b/.test(item.properties || '') && /html/.test(item['media-type'] || ''));
+
+        const title = dc('title')[0] || source.filename.replace(/\.[^.]+$/, '');
+        const author = dc('creator')[0] || null;
+        const sourceUrl = dc('source').find(value => /^https?:\/\//i.test(value));
+        const url = sourceUrl ? this.canonicalizeUrl(sourceUrl) : source.url;
+        const metadata = {
+            author,
+            publishedDate: this.normalizeMetadataDate(dc('date')[0]),
+            updatedDate: null,
+            summary: dc('description').map(text => cheerio.load(text).text().trim())[0] || null,
+            language: dc('language')[0] || null,
+            coverImageUrl: null,
+            siteName: dc('publisher')[0] || null,
+            sourceTags: dc('subject')
+        };
+
+        const chapters = [];
+        for (const item of spine) {
+            const href = this.decodeUrlSegment(path.posix.join(opfDir, item.href.split('#')[0]));
+            const $ = cheerio.load(read(href));
+            const contentHtml = this.sanitizeContentHtml($('body'));
+            const content = contentHtml ? this.contentHtmlToText(contentHtml) : '';
+            if (!this.hasContent(content)) continue;
+
+            const chapterNumber = chapters.length + 1;
+            chapters.push({
+                chapterNumber,
+                url: `${url}#${encodeURIComponent(item.href)}`,
+                canonicalUrl: null,
+                title: $('h1, h2, h3').first().text().replace(/\s+/g, ' ').trim() || $('title').text().trim() || `Chapter ${chapterNumber}`,
+                author,
+                metadata,
+                fetcher: 'import',
+                content,
+                contentHtml,
+                wordCount: content.split(/\s+/).length,
+                pageCount: 1,
+                snapshots: []
+            });
+        }
+        if (chapters.length === 0) throw new Error('EPUB has no readable chapters');
+
+        const extracted = await this.assembleChapters(chapters, { domain: null, profile: null, stoppedReason: null });
+        extracted.title = title;
+        extracted.author = author;
+        extracted.similarityKeywords = await this.generateSimilarityKeywords(extracted.content, title, author);
+        return this.saveImportedStory(extracted, url, source);
     }
 
-    exportMarkdown(stories, filename) {
-        const content = stories.map((story, index) => {
-            return [
-                `# ${story.title}`,
-                '',
-                `**Author:** ${story.author || 'Unknown'}  `,
-                `**Source:** ${story.domain}  `,
-                `**Words:** ${story.word_count}  `,
-                `**Scraped:** ${story.scraped_at}  `,
-                `**URL:** ${story.url}`,
-                '',
-                '---',
-                '',
-                story.content.split('\n').map(p => p.trim()).filter(p => p).join('\n\n'),
-                '',
-                '---',
-                ''
-            ].join('\n');
-        }).join('\n');
+    async saveImportedStory(extracted, url, source) {
+        const webUrl = /^https?:\/\//i.test(url);
+        const existing = webUrl ? await this.getStoryByUrl(url) : null;
+        const columns = { ...this.storyColumns(extracted), domain: webUrl ? new URL(url).hostname : null, fetcher: 'import' };
+        const duplicates = existing
+            ? [{ id: existing.id, title: existing.title, url: existing.url, similarity: null }]
+            : await this.findNearDuplicates(columns.content_fingerprint, { limit: 1 });
 
-        fs.writeFileSync(filename, content);
-        return { filename, count: stories.length, format: 'Markdown' };
+        if (duplicates.length > 0) {
+            console.log(`⚠️  ${source.filename} is already in the library as #${duplicates[0].id} "${duplicates[0].title}"`);
+            return { filename: source.filename, duplicateOf: duplicates[0] };
+        }
+
+        // Imported web pages keep their real address so they can be refreshed later
+        const storyId = await this.insertStory({ url, original_url: webUrl ? url : source.url, ...columns });
+        if (extracted.chapters) {
+            await this.saveChapters(storyId, extracted.chapters);
+        }
+        if (this.options.storeSnapshots && extracted.snapshots) {
+            await this.saveStorySnapshots(storyId, extracted.snapshots);
+        }
+
+        console.log(`✅ Imported story: ${extracted.title}${extracted.chapters ? ` (${extracted.chapters.length} chapters)` : ''}`);
+        return {
+            filename: source.filename,
+            id: storyId,
+            title: extracted.title,
+            author: extracted.author,
+            url,
+            wordCount: extracted.wordCount,
+            chapterCount: extracted.chapters ? extracted.chapters.length : 0
+        };
     }
 
-    exportEPUB(stories, filename) {
-        // Basic EPUB structure - in production, use a proper EPUB library
-        const content = stories.map(story => ({
-            title: story.title,
-            author: story.author || 'Unknown',
-            content: story.content
-        }));
-        
-        // For now, export as JSON with EPUB extension
-        const data = JSON.stringify(content, null, 2);
-        fs.writeFileSync(filename, data);
-        return { filename, count: stories.length, format: 'EPUB (JSON)' };
+    // YAML-style "---" block of "key: value" lines at the top of a text or Markdown file
+    parseFrontMatter(text) {
+        const match = text.match(/^---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+        if (!match) return { fields: {}, body: text };
+
+        const fields = {};
+        for (const line of match[1].split(/\r?\n/)) {
+            const field = line.match(/^([A-Za-z][\w-]*)\s*:\s*(.*)$/);
+            if (field && field[2].trim()) {
+                fields[field[1].toLowerCase()] = field[2].trim().replace(/^(['"])(.*)\1$/, '$2');
+            }
+        }
+        return { fields, body: text.slice(match[0].length) };
     }
 
-    async debugScrape(url) {
-        console.log('\n🔍 DEBUG SCRAPING:', url);
-        console.log('='.repeat(50));
-        
-        const page = await this.browser.newPage();
-        await page.goto(url, { waitUntil: 'networkidle2' });
-        
-        const html = await page.content();
-        const $ = cheerio.load(html);
-        
-        console.log('\n🎯 TITLE EXTRACTION:');
-        const titleSelectors = ['h1', '.title', '.story-title', '.post-title', '.entry-title', 'title'];
-        titleSelectors.forEach(selector => {
-            const element = $(selector).first();
-            if (element.length) {
-                console.log(`  ${selector}: "${element.text().trim()}"`);
+    // Block-level Markdown (headings, quotes, lists, rules, emphasis) to the same tags sanitizeContentHtml produces
+    markdownToContentHtml(markdown) {
+        const inline = (text) => this.escapeHtml(text)
+            .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+            .replace(/ {2,}\n/g, '<br>')
+            .replace(/\s*\n\s*/g, ' ')
+            .trim();
+
+        return markdown.replace(/\r\n?/g, '\n').split(/\n\s*\n/).map(block => block.trim()).filter(Boolean).map(block => {
+            const lines = block.split('\n');
+            const heading = block.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+            if (heading && lines.length === 1) {
+                return `<h${heading[1].length}>${inline(heading[2])}</h${heading[1].length}>`;
             }
-        });
-        
-        console.log('\n👤 AUTHOR EXTRACTION:');
-        const authorSelectors = ['.author', '.by-author', '.story-author', '.post-author', '.byline'];
-        authorSelectors.forEach(selector => {
-            const element = $(selector).first();
-            if (element.length) {
-                console.log(`  ${selector}: "${element.text().trim()}"`);
+            if (/^([-*_])(\s*\1){2,}$/.test(block)) {
+                return '<hr>';
             }
-        });
-        
-        console.log('\n📝 CONTENT EXTRACTION:');
-        const contentSelectors = ['.story-content', '.post-content', '.entry-content', '.article-content', '.content', 'article'];
-        contentSelectors.forEach(selector => {
-            const element = $(selector).first();
-            if (element.length) {
-                const text = element.text().trim();
-                const score = this.scoreContent(text);
-                console.log(`  ${selector}: ${text.length} chars, score: ${score}`);
-                console.log(`    Preview: "${text.substring(0, 100)}..."`);
+            if (lines.every(line => /^>/.test(line))) {
+                return `<blockquote>${this.markdownToContentHtml(lines.map(line => line.replace(/^>\s?/, '')).join('\n')).replace(/\n/g, '')}</blockquote>`;
+            }
+            if (lines.every(line => /^\s*[-*+]\s+/.test(line))) {
+                return `<ul>${lines.map(line => `<li>${inline(line.replace(/^\s*[-*+]\s+/, ''))}</li>`).join('')}</ul>`;
+            }
+            if (lines.every(line => /^\s*\d+[.)]\s+/.test(line))) {
+                return `<ol>${lines.map(line => `<li>${inline(line.replace(/^\s*\d+[.)]\s+/, ''))}</li>`).join('')}</ol>`;
+            }
+            return `<p>${inline(block)}</p>`;
+        }).join('\n');
+    }
+
+    // Minimal ZIP reader for EPUBs: entries by name, each read (stored or deflated) on demand
+    readZipEntries(buffer) {
+        let end = -1;
+        for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+            if (buffer.readUInt32LE(i) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) throw new Error('Not a ZIP archive');
+
+        const entries = new Map();
+        const count = buffer.readUInt16LE(end + 10);
+        let offset = buffer.readUInt32LE(end + 16);
+        let totalSize = 0;
+        for (let i = 0; i < count; i++) {
+            if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt ZIP central directory');
+
+            const method = buffer.readUInt16LE(offset + 10);
+            const compressedSize = buffer.readUInt32LE(offset + 20);
+            const uncompressedSize = buffer.readUInt32LE(offset + 24);
+            const nameLength = buffer.readUInt16LE(offset + 28);
+            const extraLength = buffer.readUInt16LE(offset + 30);
+            const commentLength = buffer.readUInt16LE(offset + 32);
+            const localOffset = buffer.readUInt32LE(offset + 42);
+            const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+            // Declared sizes are checked up front; inflating is then held to them, so a crafted entry cannot expand past them
+            totalSize += uncompressedSize;
+            if (totalSize > this.options.maxImportBytes) {
+                throw new Error(`ZIP archive expands to more than ${this.options.maxImportBytes} bytes`);
             }
-        });
-        
-        await page.close();
-        
-        console.log('\n🎯 ACTUAL EXTRACTION RESULTS:');
-        console.log('='.repeat(50));
-        const result = await this.scrape(url);
-        console.log(`Title: "${result.title}"`);
-        console.log(`Author: "${result.author || 'None'}"`);
-        console.log(`Content: ${result.content.length} chars`);
-        console.log(`Word count: ${result.wordCount}`);
-        console.log(`Content preview: "${result.content.substring(0, 200)}..."`);
-        
-        return result;
+
+            entries.set(name, () => {
+                const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+                const data = buffer.subarray(dataStart, dataStart + compressedSize);
+                if (method === 0) return data;
+                if (method === 8) {
+                    try {
+                        return zlib.inflateRawSync(data, { maxOutputLength: Math.max(uncompressedSize, 1) });
+                    } catch (error) {
+                        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`ZIP entry ${name} is larger than its declared ${uncompressedSize} bytes`);
+                        throw error;
+                    }
+                }
+                throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+            });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
     }
 
-    cleanTitle(title) {
-        if (!title) return '';
-        
-        // Remove common site suffixes
-        title = title.replace(/\s*[-|–—]\s*.+$/, ''); // Remove everything after dash/pipe
-        title = title.replace(/\s*\|\s*.+$/, ''); // Remove everything after pipe
-        
-        // Remove common prefixes/suffixes
-        const patterns = [
-            /^(story|chapter|part)\s*:?\s*/i,
-            /\s*-\s*(read online|free|story)$/i,
-            /\s*\(.*\)$/,  // Remove parenthetical content at end
-        ];
-        
-        patterns.forEach(pattern => {
-            title = title.replace(pattern, '');
-        });
-        
-        return title.trim();
+    // ===== PAGE SNAPSHOTS =====
+
+    snapshotOf(url, fetched) {
+        return { url, finalUrl: fetched.finalUrl || url, fetcher: fetched.fetcher, html: fetched.html };
     }
 
-    // ===== NEW FEATURES =====
+    numberSnapshots(snapshots, chapterNumber = null) {
+        return snapshots.map((snapshot, i) => ({ ...snapshot, chapterNumber, pageNumber: i + 1 }));
+    }
 
-    async createAdditionalTables() {
-        // Collections table
+    // A story's current snapshots move to the revision that archived its text, or are replaced when nothing changed
+    async saveStorySnapshots(storyId, snapshots = [], revisionId = null) {
         await new Promise((resolve, reject) => {
-            this.db.run(`
-                CREATE TABLE IF NOT EXISTS collections (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT UNIQUE NOT NULL,
-                    description TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    color TEXT DEFAULT '#4a6fa5'
-                )
-            `, (err) => {
+            const [sql, params] = revisionId
+                ? ['UPDATE page_snapshots SET revision_id = ? WHERE story_id = ? AND revision_id IS NULL', [revisionId, storyId]]
+                : ['DELETE FROM page_snapshots WHERE story_id = ? AND revision_id IS NULL', [storyId]];
+            this.db.run(sql, params, (err) => {
                 if (err) reject(err);
                 else resolve();
             });
         });
 
-        // Story-Collection relationship table
-        await new Promise((resolve, reject) => {
-            this.db.run(`
-                CREATE TABLE IF NOT EXISTS story_collections (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    story_id INTEGER,
-                    collection_id INTEGER,
-                    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (story_id) REFERENCES stories (id) ON DELETE CASCADE,
-                    FOREIGN KEY (collection_id) REFERENCES collections (id) ON DELETE CASCADE,
-                    UNIQUE(story_id, collection_id)
-                )
-            `, (err) => {
-                if (err) reject(err);
-                else resolve();
+        for (const snapshot of snapshots) {
+            const html = Buffer.from(snapshot.html || '', 'utf8');
+            const compressed = zlib.gzipSync(html);
+            await new Promise((resolve, reject) => {
+                this.db.run(
+                    `INSERT INTO page_snapshots (story_id, chapter_number, page_number, url, final_url, fetcher, html, byte_size, compressed_size)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [storyId, snapshot.chapterNumber, snapshot.pageNumber, snapshot.url, snapshot.finalUrl, snapshot.fetcher, compressed, html.length, compressed.length],
+                    (err) => {
+                        if (err) reject(err);
+                        else resolve();
+                    }
+                );
             });
-        });
+        }
+    }
 
-        // RSS Feeds table
-        await new Promise((resolve, reject) => {
-            this.db.run(`
-                CREATE TABLE IF NOT EXISTS rss_feeds (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    url TEXT UNIQUE NOT NULL,
-                    title TEXT,
-                    description TEXT,
-                    last_checked DATETIME,
-                    last_updated DATETIME,
-                    active BOOLEAN DEFAULT 1,
-                    check_interval INTEGER DEFAULT 3600,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `, (err) => {
-                if (err) reject(err);
-                else resolve();
-            });
+    // Metadata only; options.withHtml includes the compressed pages, options.revisionId a revision's instead of the current ones
+    async getStorySnapshots(storyId, options = {}) {
+        const { withHtml = false, revisionId = null, all = false } = options;
+        const columns = 'id, story_id, revision_id, chapter_number, page_number, url, final_url, fetcher, byte_size, compressed_size, fetched_at';
+        const [filter, params] = all
+            ? ['', [storyId]]
+            : revisionId ? [' AND revision_id = ?', [storyId, revisionId]] : [' AND revision_id IS NULL', [storyId]];
+
+        return new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT ${columns}${withHtml ? ', html' : ''} FROM page_snapshots WHERE story_id = ?${filter}
+                 ORDER BY revision_id IS NOT NULL, revision_id DESC, COALESCE(chapter_number, 0), page_number`,
+                params,
+                (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows);
+                }
+            );
         });
+    }
 
-        // RSS Feed Items table
-        await new Promise((resolve, reject) => {
-            this.db.run(`
-                CREATE TABLE IF NOT EXISTS rss_items (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    feed_id INTEGER,
-                    title TEXT,
-                    url TEXT UNIQUE,
-                    description TEXT,
-                    pub_date DATETIME,
-                    scraped BOOLEAN DEFAULT 0,
-                    story_id INTEGER,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (feed_id) REFERENCES rss_feeds (id) ON DELETE CASCADE,
-                    FOREIGN KEY (story_id) REFERENCES stories (id) ON DELETE SET NULL
-                )
-            `, (err) => {
+    async getSnapshotHtml(storyId, snapshotId) {
+        const row = await new Promise((resolve, reject) => {
+            this.db.get('SELECT html FROM page_snapshots WHERE id = ? AND story_id = ?', [snapshotId, storyId], (err, row) => {
                 if (err) reject(err);
-                else resolve();
+                else resolve(row);
             });
         });
+        return row && row.html ? zlib.gunzipSync(row.html).toString('utf8') : null;
+    }
 
-        console.log('Additional tables created successfully');
+    // Stored pages keyed by both the requested and the final (post-redirect) URL
+    snapshotMap(rows) {
+        const snapshots = new Map();
+        for (const row of rows) {
+            snapshots.set(this.canonicalizeUrl(row.url), row);
+            if (row.final_url) snapshots.set(this.canonicalizeUrl(row.final_url), row);
+        }
+        return snapshots;
     }
 
-    async createIndexes() {
-        const indexes = [
-            'CREATE INDEX IF NOT EXISTS idx_stories_title ON stories(title)',
-            'CREATE INDEX IF NOT EXISTS idx_stories_author ON stories(author)',
-            'CREATE INDEX IF NOT EXISTS idx_stories_domain ON stories(domain)',
-            'CREATE INDEX IF NOT EXISTS idx_stories_scraped_at ON stories(scraped_at)',
-            'CREATE INDEX IF NOT EXISTS idx_stories_word_count ON stories(word_count)',
-            'CREATE INDEX IF NOT EXISTS idx_stories_read_count ON stories(read_count)',
-            'CREATE INDEX IF NOT EXISTS idx_story_collections_story ON story_collections(story_id)',
-            'CREATE INDEX IF NOT EXISTS idx_story_collections_collection ON story_collections(collection_id)',
-            'CREATE INDEX IF NOT EXISTS idx_rss_items_feed ON rss_items(feed_id)',
-            'CREATE INDEX IF NOT EXISTS idx_rss_items_url ON rss_items(url)',
-            'CREATE INDEX IF NOT EXISTS idx_rss_items_scraped ON rss_items(scraped)'
-        ];
+    hasSnapshot(url, snapshots) {
+        return snapshots.has(this.canonicalizeUrl(url));
+    }
 
-        for (const indexSql of indexes) {
-            await new Promise((resolve, reject) => {
-                this.db.run(indexSql, (err) => {
+    fetchSnapshot(url, snapshots) {
+        const snapshot = snapshots.get(this.canonicalizeUrl(url));
+        if (!snapshot) {
+            throw this.createScrapeError('SNAPSHOT_MISSING', `No stored snapshot of ${url}`, { url });
+        }
+        return {
+            html: zlib.gunzipSync(snapshot.html).toString('utf8'),
+            finalUrl: snapshot.final_url || snapshot.url,
+            fetcher: 'snapshot',
+            status: 200,
+            session: null
+        };
+    }
+
+    // Runs extraction again over the story's stored pages, without network access
+    async reextractStory(storyId, options = {}) {
+        const { dryRun = false } = options;
+
+        const existing = await this.getStoryById(storyId);
+        if (!existing) return null;
+
+        const rows = await this.getStorySnapshots(storyId, { withHtml: true });
+        if (rows.length === 0) {
+            return { id: existing.id, title: existing.title, skipped: true, reason: 'no_snapshot' };
+        }
+
+        const snapshots = this.snapshotMap(rows);
+        const chapterCount = new Set(rows.map(row => row.chapter_number).filter(number => number !== null)).size;
+        let extracted;
+        if (existing.toc_url) {
+            extracted = await this.extractTocStory(existing.toc_url, { snapshots, maxChapters: chapterCount, chapterDelay: 0, images: existing.assets.length > 0, followPages: true });
+        } else if (existing.chapters.length > 0) {
+            extracted = await this.extractChapteredStory(rows[0].url, { snapshots, maxChapters: chapterCount, chapterDelay: 0, images: existing.assets.length > 0, followPages: true });
+        } else {
+            extracted = await this.extractStory(rows[0].url, { snapshots, images: existing.assets.length > 0, followPages: true });
+        }
+        if (existing.assets.length > 0) {
+            await this.localizeStoryImages(extracted, { storedAssets: existing.assets });
+        }
+
+        const changed = extracted.title !== existing.title ||
+            extracted.content !== existing.content ||
+            extracted.author !== existing.author ||
+            extracted.contentHtml !== existing.content_html;
+
+        let revision = null;
+        if (changed && !dryRun) {
+            // The text being replaced is kept as a revision, as a refresh would keep it
+            revision = await this.archiveStoryRevision(existing);
+
+            // The page was not fetched again, so the recorded fetcher and snapshots stay as they were
+            const { fetcher, ...columns } = this.storyColumns(extracted);
+            await this.updateStory(storyId, columns);
+            if (extracted.chapters) {
+                await this.saveChapters(storyId, extracted.chapters);
+            }
+        }
+
+        const result = { id: existing.id, title: extracted.title, changed, skipped: false, revision };
+        if (changed) {
+            if (existing.title !== extracted.title) result.previousTitle = existing.title;
+            result.wordCount = { before: existing.word_count, after: extracted.wordCount };
+            result.diff = this.diffParagraphs(existing.content || '', extracted.content).summary;
+        }
+        return result;
+    }
+
+    // Re-extracts every story with snapshots, or those of one host; failures are reported per story
+    async reextractStories(options = {}) {
+        const { hostname = null, dryRun = false } = options;
+
+        const storyIds = await new Promise((resolve, reject) => {
+            const host = hostname ? this.normalizeHostname(hostname) : null;
+            this.db.all(
+                `SELECT DISTINCT s.id FROM stories s JOIN page_snapshots ps ON ps.story_id = s.id AND ps.revision_id IS NULL
+                 ${host ? 'WHERE s.domain IN (?, ?)' : ''} ORDER BY s.id`,
+                host ? [host, `www.${host}`] : [],
+                (err, rows) => {
                     if (err) reject(err);
-                    else resolve();
-                });
-            });
+                    else resolve(rows.map(row => row.id));
+                }
+            );
+        });
+
+        const results = { processed: 0, changed: [], unchanged: 0, failed: [], dryRun };
+        for (const storyId of storyIds) {
+            try {
+                const result = await this.reextractStory(storyId, { dryRun });
+                results.processed++;
+                if (result.changed) results.changed.push(result);
+                else results.unchanged++;
+            } catch (error) {
+                console.error(`Error re-extracting story ${storyId}:`, error.message);
+                results.failed.push({ id: storyId, error: error.message });
+            }
         }
 
-        console.log('Database indexes created successfully');
+        console.log(`♻️  Re-extracted ${results.processed} stories: ${results.changed.length} changed${dryRun ? ' (dry run)' : ''}, ${results.failed.length} failed`);
+        return results;
     }
 
-    // ===== COLLECTIONS FEATURE =====
+    // ===== BOILERPLATE =====
 
-    async createCollection(name, description = '', color = '#4a6fa5') {
-        return new Promise((resolve, reject) => {
-            this.db.run(
-                'INSERT INTO collections (name, description, color) VALUES (?, ?, ?)',
-                [name, description, color],
-                function(err) {
+    // Top-level blocks of sanitized content HTML with their text
+    contentBlocks(contentHtml) {
+        const $ = cheerio.load(contentHtml || '', null, false);
+        return $.root().contents().toArray()
+            .filter(node => node.type === 'tag')
+            .map(node => ({ node, text: $(node).text().replace(/\s+/g, ' ').trim() }));
+    }
+
+    // Null for blocks too short or too story-like to judge (scene breaks, "The End", chapter headings)
+    boilerplateFingerprint(block) {
+        if (block.node.name === 'hr' || HEADING_CONTENT_TAGS.has(block.node.name)) return null;
+
+        const normalized = block.text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+        if (normalized.length < 8 || /^(chapter|part|book|prologue|epilogue)\b/.test(normalized)) return null;
+
+        return crypto.createHash('sha1').update(normalized).digest('hex');
+    }
+
+    removeBoilerplateBlocks(contentHtml, fingerprints) {
+        const blocks = this.contentBlocks(contentHtml);
+        const kept = blocks.filter(block => !fingerprints.has(this.boilerplateFingerprint(block)));
+
+        // A page made of nothing but known boilerplate is more likely a false positive than an empty story
+        if (kept.length === blocks.length || kept.length === 0) {
+            return { html: contentHtml, removed: 0 };
+        }
+
+        const $ = cheerio.load('', null, false);
+        return { html: kept.map(block => $.html(block.node)).join('\n'), removed: blocks.length - kept.length };
+    }
+
+    async getBoilerplateFingerprints(hostname) {
+        const rows = await new Promise((resolve, reject) => {
+            this.db.all(
+                'SELECT fingerprint FROM boilerplate_blocks WHERE hostname = ? AND ignored = 0',
+                [this.normalizeHostname(hostname)],
+                (err, rows) => {
                     if (err) reject(err);
-                    else resolve({ id: this.lastID, name, description, color });
+                    else resolve(rows);
                 }
             );
         });
+        return new Set(rows.map(row => row.fingerprint));
     }
 
-    async getAllCollections() {
+    async getBoilerplateBlocks(hostname = null) {
         return new Promise((resolve, reject) => {
-            this.db.all(`
-                SELECT c.*, COUNT(sc.story_id) as story_count 
-                FROM collections c 
-                LEFT JOIN story_collections sc ON c.id = sc.collection_id 
-                GROUP BY c.id 
-                ORDER BY c.name
-            `, (err, rows) => {
+            const sql = hostname
+                ? 'SELECT * FROM boilerplate_blocks WHERE hostname = ? ORDER BY story_count DESC, id'
+                : 'SELECT * FROM boilerplate_blocks ORDER BY hostname, story_count DESC, id';
+            this.db.all(sql, hostname ? [this.normalizeHostname(hostname)] : [], (err, rows) => {
                 if (err) reject(err);
                 else resolve(rows);
             });
         });
     }
 
-    async addStoryToCollection(storyId, collectionId) {
-        return new Promise((resolve, reject) => {
-            this.db.run(
-                'INSERT OR IGNORE INTO story_collections (story_id, collection_id) VALUES (?, ?)',
-                [storyId, collectionId],
-                function(err) {
-                    if (err) reject(err);
-                    else resolve(this.changes > 0);
-                }
-            );
+    async getStoryHostnames() {
+        const rows = await new Promise((resolve, reject) => {
+            this.db.all('SELECT DISTINCT domain FROM stories WHERE domain IS NOT NULL', (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
         });
+        return [...new Set(rows.map(row => this.normalizeHostname(row.domain)))];
     }
 
-    async removeStoryFromCollection(storyId, collectionId) {
+    // Stories on the host and its www. form, newest first
+    async getHostStories(hostname, columns, limit = -1) {
+        const host = this.normalizeHostname(hostname);
         return new Promise((resolve, reject) => {
-            this.db.run(
-                'DELETE FROM story_collections WHERE story_id = ? AND collection_id = ?',
-                [storyId, collectionId],
-                function(err) {
+            this.db.all(
+                `SELECT ${columns} FROM stories WHERE domain IN (?, ?) AND content_html IS NOT NULL ORDER BY scraped_at DESC, id DESC LIMIT ?`,
+                [host, `www.${host}`, limit],
+                (err, rows) => {
                     if (err) reject(err);
-                    else resolve(this.changes > 0);
+                    else resolve(rows);
                 }
             );
         });
     }
 
-    async getStoriesInCollection(collectionId) {
-        return new Promise((resolve, reject) => {
-            this.db.all(`
-                SELECT s.*, sc.added_at as added_to_collection
-                FROM stories s
-                JOIN story_collections sc ON s.id = sc.story_id
-                WHERE sc.collection_id = ?
-                ORDER BY sc.added_at DESC
-            `, [collectionId], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
+    // Learned blocks are kept once found: stories saved afterwards no longer contain them, so a recount would forget them
+    async learnBoilerplate(hostname = null) {
+        if (!hostname) {
+            const results = [];
+            for (const host of await this.getStoryHostnames()) {
+                results.push(await this.learnBoilerplate(host));
+            }
+            return results;
+        }
+
+        const host = this.normalizeHostname(hostname);
+        const stories = await this.getHostStories(host, 'id, content_html, content_fingerprint', this.options.boilerplateSampleSize);
+
+        // Stories are counted by their text, so mirrored copies of one story do not make its paragraphs boilerplate
+        const sightings = new Map();
+        for (const story of stories) {
+            const storyKey = story.content_fingerprint || `story:${story.id}`;
+            for (const block of this.contentBlocks(story.content_html)) {
+                const fingerprint = this.boilerplateFingerprint(block);
+                if (!fingerprint) continue;
+                if (!sightings.has(fingerprint)) {
+                    sightings.set(fingerprint, { text: block.text, stories: new Set() });
+                }
+                sightings.get(fingerprint).stories.add(storyKey);
+            }
+        }
+
+        const repeated = [...sightings.entries()]
+            .filter(([, sighting]) => sighting.stories.size >= this.options.boilerplateMinStories);
+
+        for (const [fingerprint, sighting] of repeated) {
+            await new Promise((resolve, reject) => {
+                this.db.run(`
+                    INSERT INTO boilerplate_blocks (hostname, fingerprint, sample_text, story_count)
+                    VALUES (?, ?, ?, ?)
+                    ON CONFLICT(hostname, fingerprint) DO UPDATE SET
+                        story_count = MAX(story_count, excluded.story_count),
+                        last_seen_at = CURRENT_TIMESTAMP
+                `, [host, fingerprint, sighting.text.substring(0, 500), sighting.stories.size], (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
             });
-        });
+        }
+
+        if (repeated.length > 0) {
+            console.log(`🧹 ${repeated.length} boilerplate block${repeated.length === 1 ? '' : 's'} repeated across ${host} stories`);
+        }
+        return { hostname: host, storiesSampled: stories.length, blocks: repeated.length };
+    }
+
+    // Maintenance pass: removes learned boilerplate from stories (and their chapters) already in the library
+    async stripBoilerplate(options = {}) {
+        const { hostname = null, dryRun = false } = options;
+        const hosts = hostname ? [this.normalizeHostname(hostname)] : await this.getStoryHostnames();
+
+        const results = { storiesUpdated: 0, blocksRemoved: 0, dryRun, stories: [] };
+        for (const host of hosts) {
+            const fingerprints = await this.getBoilerplateFingerprints(host);
+            if (fingerprints.size === 0) continue;
+
+            for (const story of await this.getHostStories(host, 'id, title, author, content_html')) {
+                const stripped = this.removeBoilerplateBlocks(story.content_html, fingerprints);
+                const chapters = await this.getStoryChapters(story.id);
+                const strippedChapters = chapters
+                    .filter(chapter => chapter.content_html)
+                    .map(chapter => ({ chapter, ...this.removeBoilerplateBlocks(chapter.content_html, fingerprints) }))
+                    .filter(result => result.removed > 0);
+
+                if (stripped.removed === 0 && strippedChapters.length === 0) continue;
+
+                const blocksRemoved = stripped.removed + strippedChapters.reduce((sum, result) => sum + result.removed, 0);
+                results.storiesUpdated++;
+                results.blocksRemoved += blocksRemoved;
+                results.stories.push({ id: story.id, title: story.title, blocksRemoved });
+                if (dryRun) continue;
+
+                if (stripped.removed > 0) {
+                    const content = this.contentHtmlToText(stripped.html);
+                    await this.updateStory(story.id, {
+                        content,
+                        content_html: stripped.html,
+                        word_count: content.split(/\s+/).length,
+                        similarity_keywords: await this.generateSimilarityKeywords(content, story.title, story.author),
+                        content_fingerprint: this.computeContentFingerprint(content)
+                    });
+                }
+                for (const { chapter, html } of strippedChapters) {
+                    const content = this.contentHtmlToText(html);
+                    await new Promise((resolve, reject) => {
+                        this.db.run(
+                            'UPDATE chapters SET content = ?, content_html = ?, word_count = ? WHERE id = ?',
+                            [content, html, content.split(/\s+/).length, chapter.id],
+                            (err) => {
+                                if (err) reject(err);
+                                else resolve();
+                            }
+                        );
+                    });
+                }
+            }
+        }
+
+        console.log(`🧹 ${dryRun ? 'Would remove' : 'Removed'} ${results.blocksRemoved} boilerplate blocks from ${results.storiesUpdated} stories`);
+        return results;
     }
 
-    async deleteCollection(collectionId) {
+    // The row is kept so the block is not simply learned again from the stories that still contain it
+    async ignoreBoilerplateBlock(id) {
         return new Promise((resolve, reject) => {
-            this.db.run('DELETE FROM collections WHERE id = ?', [collectionId], function(err) {
+            this.db.run('UPDATE boilerplate_blocks SET ignored = 1 WHERE id = ?', [id], function(err) {
                 if (err) reject(err);
                 else resolve(this.changes);
             });
         });
     }
 
-    // ===== STORY RECOMMENDATIONS =====
+    // ===== JOB QUEUE =====
 
-    async generateSimilarityKeywords(content, title, author) {
-        // Extract keywords from content for similarity matching
-        const text = `${title} ${author} ${content}`.toLowerCase();
-        
-        // Remove common words and extract meaningful terms
-        const stopWords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'was', 'are', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'it', 'we', 'they', 'me', 'him', 'her', 'us', 'them']);
-        
-        const words = text.match(/\b\w{3,}\b/g) || [];
-        const wordFreq = {};
-        
-        words.forEach(word => {
-            if (!stopWords.has(word)) {
-                wordFreq[word] = (wordFreq[word] || 0) + 1;
-            }
-        });
-        
-        // Get top keywords by frequency
-        const keywords = Object.entries(wordFreq)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 20)
-            .map(([word]) => word);
-        
-        return keywords.join(',');
-    }
+    // payload by type: scrape { url, ...scrape options }, batch { links or urls, ...batch options },
+    // rss { feedId?, limit, retryOnly }, refresh { storyId, ...refresh options }
+    async enqueueJob(type, payload = {}) {
+        const normalized = this.validateJobPayload(type, payload);
 
-    async updateStorySimilarityKeywords(storyId) {
-        const story = await this.getStoryById(storyId);
-        if (!story) return;
-        
-        const keywords = await this.generateSimilarityKeywords(story.content, story.title, story.author || '');
-        
-        return new Promise((resolve, reject) => {
+        const jobId = await new Promise((resolve, reject) => {
             this.db.run(
-                'UPDATE stories SET similarity_keywords = ? WHERE id = ?',
-                [keywords, storyId],
+                'INSERT INTO jobs (type, payload) VALUES (?, ?)',
+                [type, JSON.stringify(normalized)],
                 function(err) {
                     if (err) reject(err);
-                    else resolve();
+                    else resolve(this.lastID);
                 }
             );
         });
+
+        console.log(`📥 Queued ${type} job #${jobId}`);
+        if (this.jobWorker && this.jobWorker.wake) this.jobWorker.wake();
+        return this.getJob(jobId);
     }
 
-    async getSimilarStories(storyId, limit = 5) {
-        const story = await this.getStoryById(storyId);
-        if (!story || !story.similarity_keywords) {
-            return [];
+    // Returns the payload with its options coerced the way the matching HTTP routes coerce them
+    validateJobPayload(type, payload) {
+        const invalid = (message) => this.createScrapeError('INVALID_JOB', message, { type });
+        const int = (value) => parseInt(value) || undefined;
+        const bool = (value) => value === undefined ? undefined : Boolean(value);
+
+        if (!JOB_TYPES.includes(type)) {
+            throw invalid(`Unknown job type "${type}" (expected ${JOB_TYPES.join(', ')})`);
         }
-        
-        const keywords = story.similarity_keywords.split(',');
-        
-        return new Promise((resolve, reject) => {
-            this.db.all(`
-                SELECT s.*, 
-                       (LENGTH(s.similarity_keywords) - LENGTH(REPLACE(s.similarity_keywords, ?, ''))) / LENGTH(?) as similarity_score
-                FROM stories s
-                WHERE s.id != ? 
-                  AND s.similarity_keywords IS NOT NULL
-                  AND (${keywords.map(() => 's.similarity_keywords LIKE ?').join(' OR ')})
-                ORDER BY similarity_score DESC, s.read_count DESC
-                LIMIT ?
-            `, [keywords.join(','), keywords.join(','), storyId, ...keywords.map(k => `%${k}%`), limit], (err, rows) => {
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            throw invalid('Job payload must be an object');
+        }
+        if (payload.fetcher !== undefined && !this.hasFetcher(payload.fetcher)) {
+            throw invalid(`Unknown fetcher "${payload.fetcher}"`);
+        }
+
+        const fetchOptions = {
+            maxChapters: int(payload.maxChapters),
+            fetcher: payload.fetcher,
+            downloadImages: bool(payload.downloadImages),
+            followPages: bool(payload.followPages),
+            maxPages: int(payload.maxPages)
+        };
+
+        switch (type) {
+            case 'scrape': {
+                if (!payload.url || typeof payload.url !== 'string') {
+                    throw invalid('A scrape job needs a url');
+                }
+                const selectors = {};
+                for (const key of ['titleSelector', 'authorSelector', 'contentSelector', 'removeSelectors', 'titleXPath', 'authorXPath', 'contentXPath', 'removeXPath']) {
+                    if (payload[key] !== undefined) selectors[key] = payload[key];
+                }
+                // Bad selectors fail the request now rather than the job later
+                this.parseSelectorOverrides(selectors);
+                return {
+                    url: payload.url,
+                    followChapters: Boolean(payload.followChapters),
+                    toc: Boolean(payload.toc),
+                    ...fetchOptions,
+                    ...selectors
+                };
+            }
+            case 'batch': {
+                // Links may be given as { url, text } objects or as plain URL strings
+                const links = (Array.isArray(payload.links) ? payload.links : Array.isArray(payload.urls) ? payload.urls : [])
+                    .map(link => typeof link === 'string' ? { url: link } : link)
+                    .filter(link => link && typeof link.url === 'string' && link.url)
+                    .map(link => ({ url: link.url, text: typeof link.text === 'string' ? link.text : undefined }));
+                if (links.length === 0) {
+                    throw invalid('A batch job needs a non-empty links or urls array');
+                }
+                const delay = parseInt(payload.delay);
+                return {
+                    links,
+                    delay: delay >= 0 ? delay : undefined,
+                    skipExisting: bool(payload.skipExisting),
+                    skipFailed: bool(payload.skipFailed),
+                    minWordCount: int(payload.minWordCount),
+                    concurrency: int(payload.concurrency)
+                };
+            }
+            case 'rss':
+                return {
+                    feedId: int(payload.feedId) || null,
+                    limit: int(payload.limit) || 5,
+                    retryOnly: Boolean(payload.retryOnly)
+                };
+            case 'refresh': {
+                const storyId = int(payload.storyId);
+                if (!storyId) {
+                    throw invalid('A refresh job needs a storyId');
+                }
+                return { storyId, ...fetchOptions };
+            }
+        }
+    }
+
+    async getJob(jobId) {
+        const row = await new Promise((resolve, reject) => {
+            this.db.get('SELECT * FROM jobs WHERE id = ?', [jobId], (err, row) => {
                 if (err) reject(err);
-                else resolve(rows);
+                else resolve(row);
             });
         });
+        return row ? this.describeJob(row) : null;
     }
 
-    async markStoryAsRead(storyId) {
-        return new Promise((resolve, reject) => {
-            this.db.run(
-                'UPDATE stories SET read_count = read_count + 1, last_read = CURRENT_TIMESTAMP WHERE id = ?',
-                [storyId],
-                function(err) {
+    // Newest first, without results (fetch a single job for those)
+    async getJobs(options = {}) {
+        const { status = null, type = null, limit = 50 } = options;
+        const filters = [];
+        const params = [];
+        if (status) {
+            filters.push('status = ?');
+            params.push(status);
+        }
+        if (type) {
+            filters.push('type = ?');
+            params.push(type);
+        }
+
+        const rows = await new Promise((resolve, reject) => {
+            this.db.all(
+                `SELECT id, type, payload, status, error, error_type, attempts, created_at, started_at, finished_at
+                 FROM jobs ${filters.length > 0 ? 'WHERE ' + filters.join(' AND ') : ''}
+                 ORDER BY id DESC LIMIT ?`,
+                [...params, limit],
+                (err, rows) => {
                     if (err) reject(err);
-                    else resolve();
+                    else resolve(rows);
                 }
             );
         });
+        return rows.map(row => this.describeJob(row));
     }
 
-    // ===== RSS FEED MONITORING =====
+    describeJob(row) {
+        return {
+            ...row,
+            payload: row.payload ? JSON.parse(row.payload) : {},
+            result: row.result ? JSON.parse(row.result) : null
+        };
+    }
 
-    async addRSSFeed(url, title = '', description = '') {
+    // Only queued jobs can be cancelled; returns the number of jobs changed
+    async cancelJob(jobId) {
         return new Promise((resolve, reject) => {
             this.db.run(
-                'INSERT INTO rss_feeds (url, title, description) VALUES (?, ?, ?)',
-                [url, title, description],
+                "UPDATE jobs SET status = 'cancelled', finished_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'queued'",
+                [jobId],
                 function(err) {
                     if (err) reject(err);
-                    else resolve({ id: this.lastID, url, title, description });
+                    else resolve(this.changes);
                 }
             );
         });
     }
 
-    async getAllRSSFeeds() {
-        return new Promise((resolve, reject) => {
-            this.db.all(`
-                SELECT rf.*, COUNT(ri.id) as item_count, 
-                       COUNT(CASE WHEN ri.scraped = 1 THEN 1 END) as scraped_count
-                FROM rss_feeds rf
-                LEFT JOIN rss_items ri ON rf.id = ri.feed_id
-                GROUP BY rf.id
-                ORDER BY rf.created_at DESC
-            `, (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
-    }
-
-    async checkRSSFeed(feedId) {
-        const feed = await new Promise((resolve, reject) => {
-            this.db.get('SELECT * FROM rss_feeds WHERE id = ?', [feedId], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
+    async claimNextJob() {
+        // Claimed with a conditional update, so two workers can never take the same job
+        for (;;) {
+            const next = await new Promise((resolve, reject) => {
+                this.db.get("SELECT id FROM jobs WHERE status = 'queued' ORDER BY id LIMIT 1", (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row);
+                });
             });
-        });
-
-        if (!feed) throw new Error('Feed not found');
-
-        try {
-            // Use fetch to get RSS content
-            const response = await fetch(feed.url);
-            const xmlText = await response.text();
-            
-            // Parse RSS/XML (basic parsing)
-            const items = this.parseRSSItems(xmlText);
-            
-            let newItems = 0;
-            for (const item of items) {
-                const added = await this.addRSSItem(feedId, item);
-                if (added) newItems++;
-            }
+            if (!next) return null;
 
-            // Update feed last_checked
-            await new Promise((resolve, reject) => {
+            const claimed = await new Promise((resolve, reject) => {
                 this.db.run(
-                    'UPDATE rss_feeds SET last_checked = CURRENT_TIMESTAMP WHERE id = ?',
-                    [feedId],
-                    (err) => {
+                    "UPDATE jobs SET status = 'running', started_at = CURRENT_TIMESTAMP, attempts = attempts + 1 WHERE id = ? AND status = 'queued'",
+                    [next.id],
+                    function(err) {
                         if (err) reject(err);
-                        else resolve();
+                        else resolve(this.changes);
                     }
                 );
             });
-
-            return { newItems, totalItems: items.length };
-        } catch (error) {
-            console.error(`Error checking RSS feed ${feed.url}:`, error);
-            throw error;
+            if (claimed) return this.getJob(next.id);
         }
     }
 
-    parseRSSItems(xmlText) {
-        // Basic RSS parsing - in production, use a proper XML parser like 'xml2js'
-        const items = [];
-        const itemRegex = /<item[^>]*>([\s\S]*?)<\/item>/gi;
-        let match;
+    async runJob(job) {
+        console.log(`⚙️  Running ${job.type} job #${job.id}`);
+        const timeout = this.options.jobTimeout;
+        let timer = null;
 
-        while ((match = itemRegex.exec(xmlText)) !== null) {
-            const itemXml = match[1];
-            
-            const title = this.extractXMLTag(itemXml, 'title');
-            const link = this.extractXMLTag(itemXml, 'link');
-            const description = this.extractXMLTag(itemXml, 'description');
-            const pubDate = this.extractXMLTag(itemXml, 'pubDate');
+        let outcome;
+        try {
+            // A timed-out job cannot be cancelled: the worker moves on while its last steps finish in the background
+            const execution = this.executeJob(job.type, job.payload);
+            const result = await (timeout > 0
+                ? Promise.race([execution, new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(this.createScrapeError('TIMEOUT', `Job did not finish within ${timeout}ms`)), timeout);
+                })])
+                : execution);
+            outcome = { status: 'completed', result };
+        } catch (error) {
+            const { type } = this.classifyScrapeError(error);
+            outcome = { status: 'failed', error: error.message, errorType: type };
+        } finally {
+            clearTimeout(timer);
+        }
 
-            if (title && link) {
-                items.push({
-                    title: this.cleanXMLContent(title),
-                    url: this.cleanXMLContent(link),
-                    description: this.cleanXMLContent(description),
-                    pubDate: pubDate ? new Date(pubDate) : new Date()
-                });
-            }
+        try {
+            await this.finishJob(job.id, outcome);
+        } catch (error) {
+            // A result that cannot be stored still has to take the job out of "running"
+            if (outcome.status !== 'completed') throw error;
+            outcome = { status: 'failed', error: `Could not store the job result: ${error.message}`, errorType: 'unknown' };
+            await this.finishJob(job.id, outcome);
         }
 
-        return items;
+        if (outcome.status === 'completed') {
+            console.log(`✅ Job #${job.id} completed`);
+        } else {
+            console.log(`❌ Job #${job.id} failed (${outcome.errorType}): ${outcome.error}`);
+        }
     }
 
-    extractXMLTag(xml, tagName) {
-        const regex = new RegExp(`<${tagName}[^>]*>([\\s\\S]*?)<\\/${tagName}>`, 'i');
-        const match = xml.match(regex);
-        return match ? match[1] : '';
-    }
+    async executeJob(type, rawPayload) {
+        // Jobs queued before payloads were normalized are normalized when they run
+        const payload = this.validateJobPayload(type, rawPayload);
 
-    cleanXMLContent(content) {
-        return content
-            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
-            .replace(/<[^>]+>/g, '')
-            .trim();
+        switch (type) {
+            case 'scrape': {
+                const { url, ...options } = payload;
+                return this.scrape(url, options);
+            }
+            case 'batch': {
+                const { links, ...options } = payload;
+                return this.batchScrapeFromLinks(links, options);
+            }
+            case 'rss': {
+                const { feedId = null, limit = 5, retryOnly = false } = payload;
+                const checked = feedId ? await this.checkRSSFeed(feedId) : null;
+                const items = await this.scrapeRSSItems(limit, { retryOnly });
+                return { checked, items };
+            }
+            case 'refresh': {
+                const { storyId, ...options } = payload;
+                const result = await this.refreshStory(storyId, options);
+                if (!result) throw new Error('Story not found');
+                return result;
+            }
+        }
+        throw this.createScrapeError('INVALID_JOB', `Unknown job type "${type}"`, { type });
     }
 
-    async addRSSItem(feedId, item) {
+    async finishJob(jobId, { status, result = null, error = null, errorType = null }) {
+        // Story text is already in the library, so results keep only what a client polls for
+        const stored = result === null ? null : JSON.stringify(result, (key, value) =>
+            key === 'content' || key === 'contentHtml' ? undefined : value);
+
         return new Promise((resolve, reject) => {
             this.db.run(
-                'INSERT OR IGNORE INTO rss_items (feed_id, title, url, description, pub_date) VALUES (?, ?, ?, ?, ?)',
-                [feedId, item.title, item.url, item.description, item.pubDate],
-                function(err) {
+                'UPDATE jobs SET status = ?, result = ?, error = ?, error_type = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?',
+                [status, stored, error, errorType, jobId],
+                (err) => {
                     if (err) reject(err);
-                    else resolve(this.changes > 0);
+                    else resolve();
                 }
             );
         });
     }
 
-    async getUnscrapedRSSItems(limit = 10) {
-        return new Promise((resolve, reject) => {
-            this.db.all(`
-                SELECT ri.*, rf.title as feed_title
-                FROM rss_items ri
-                JOIN rss_feeds rf ON ri.feed_id = rf.id
-                WHERE ri.scraped = 0
-                ORDER BY ri.pub_date DESC
-                LIMIT ?
-            `, [limit], (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
-        });
-    }
+    // Runs queued jobs one at a time until stopJobWorker; jobs left running by a previous process are queued again,
+    // unless they have already been started maxJobAttempts times (a job that takes the process down with it)
+    async startJobWorker(options = {}) {
+        if (this.jobWorker) return;
+        const { pollInterval = this.options.jobPollInterval } = options;
+        const maxAttempts = this.options.maxJobAttempts;
 
-    async markRSSItemAsScraped(itemId, storyId = null) {
-        return new Promise((resolve, reject) => {
+        const abandoned = await new Promise((resolve, reject) => {
             this.db.run(
-                'UPDATE rss_items SET scraped = 1, story_id = ? WHERE id = ?',
-                [storyId, itemId],
+                `UPDATE jobs SET status = 'failed', error = ?, error_type = 'interrupted', finished_at = CURRENT_TIMESTAMP
+                 WHERE status = 'running' AND attempts >= ?`,
+                [`Interrupted ${maxAttempts} times`, maxAttempts],
                 function(err) {
                     if (err) reject(err);
-                    else resolve();
+                    else resolve(this.changes);
                 }
             );
         });
-    }
-
-    async scrapeRSSItems(limit = 5) {
-        const items = await this.getUnscrapedRSSItems(limit);
-        const results = [];
-
-        for (const item of items) {
-            try {
-                console.log(`Scraping RSS item: ${item.title}`);
-                const story = await this.scrape(item.url);
-                
-                // Update similarity keywords
-                const storyId = await this.getStoryIdByUrl(item.url);
-                if (storyId) {
-                    await this.updateStorySimilarityKeywords(storyId);
-                }
-                
-                // Mark as scraped
-                await this.markRSSItemAsScraped(item.id, storyId);
-                
-                results.push({ success: true, item, story });
-            } catch (error) {
-                console.error(`Failed to scrape RSS item ${item.title}:`, error);
-                results.push({ success: false, item, error: error.message });
-            }
+        if (abandoned > 0) {
+            console.log(`❌ Failed ${abandoned} jobs that were interrupted ${maxAttempts} times`);
         }
 
-        return results;
-    }
-
-    async getStoryIdByUrl(url) {
-        return new Promise((resolve, reject) => {
-            this.db.get('SELECT id FROM stories WHERE url = ?', [url], (err, row) => {
+        const requeued = await new Promise((resolve, reject) => {
+            this.db.run("UPDATE jobs SET status = 'queued', started_at = NULL WHERE status = 'running'", function(err) {
                 if (err) reject(err);
-                else resolve(row ? row.id : null);
+                else resolve(this.changes);
             });
         });
+        if (requeued > 0) {
+            console.log(`🔁 Re-queued ${requeued} interrupted jobs`);
+        }
+
+        const worker = { stopped: false, timer: null, wake: null, loop: null };
+        this.jobWorker = worker;
+        worker.loop = (async () => {
+            while (!worker.stopped) {
+                // Nobody awaits the loop while it runs, so an error here would be an unhandled rejection
+                try {
+                    const job = await this.claimNextJob();
+                    if (job) {
+                        await this.runJob(job);
+                        continue;
+                    }
+                } catch (error) {
+                    console.error('Error running job worker:', error);
+                }
+
+                // Idle until the poll interval passes or enqueueJob wakes the worker
+                await new Promise(resolve => {
+                    worker.wake = resolve;
+                    worker.timer = setTimeout(resolve, pollInterval);
+                });
+                clearTimeout(worker.timer);
+                worker.wake = null;
+            }
+        })();
+        console.log('⚙️  Job worker started');
     }
 
-    async deleteRSSFeed(feedId) {
-        return new Promise((resolve, reject) => {
-            this.db.run('DELETE FROM rss_feeds WHERE id = ?', [feedId], function(err) {
-                if (err) reject(err);
-                else resolve(this.changes);
-            });
-        });
+    // Waits for the running job (if any) to finish
+    async stopJobWorker() {
+        const worker = this.jobWorker;
+        if (!worker) return;
+
+        worker.stopped = true;
+        if (worker.wake) worker.wake();
+        await worker.loop;
+        this.jobWorker = null;
+        console.log('Job worker stopped');
     }
 
     // ===== ENHANCED SEARCH =====
@@ -1284,6 +6926,7 @@ class EnhancedStoryScraper {
     }
 
     async close() {
+        await this.stopJobWorker();
         if (this.browser) await this.browser.close();
         if (this.db) this.db.close();
         console.log('Enhanced scraper closed');
@@ -5,6 +5,8 @@ const fs = require('fs');
 const EnhancedStoryScraper = require('./enhanced-scraper-v3');
 
 const app = express();
+// File imports send whole files as base64 JSON, so they get the same allowance as raw uploads (see /import/upload)
+app.use('/import', express.json({ limit: '50mb' }));
 app.use(express.json());
 
 // Serve static files with explicit content types
@@ -18,12 +20,44 @@ app.use(express.static(path.join(__dirname, 'public'), {
     }
 }));
 
+// Downloaded story images, referenced from content_html as story-assets/<hash>.<ext>, served from the scraper's assetDir
+let serveAssets;
+app.use('/story-assets', (req, res, next) => {
+    if (!scraper) return next();
+    serveAssets = serveAssets || express.static(path.resolve(scraper.options.assetDir));
+    serveAssets(req, res, next);
+});
+
 let scraper;
 
+// Classified scrape failures are reported as such rather than as a server fault
+const SCRAPE_ERROR_STATUS = {
+    blocked: 403,
+    login_required: 401,
+    http_status: 502,
+    network: 502,
+    timeout: 504,
+    empty_content: 422,
+    parse_error: 422,
+    unsupported_content: 422,
+    invalid_selector: 400,
+    invalid_pattern: 400,
+    invalid_job: 400,
+    invalid_cookies: 400,
+    invalid_expand: 400,
+    invalid_fetcher: 400
+};
+
+function sendScrapeError(res, err) {
+    const { type, retryable } = scraper.classifyScrapeError(err);
+    res.status(SCRAPE_ERROR_STATUS[type] || 500).json({ error: err.message, code: err.code, type, retryable });
+}
+
 (async () => {
     try {
         scraper = new EnhancedStoryScraper();
         await scraper.init();
+        await scraper.startJobWorker();
         console.log('✅ Enhanced Story Scraper initialized and ready');
     } catch (error) {
         console.error('❌ Failed to initialize scraper:', error);
@@ -33,34 +67,57 @@ let scraper;
 
 // Single URL scraping
 app.post('/scrape', async (req, res) => {
-    const { url } = req.body;
+    const { url, followChapters, toc, maxChapters, fetcher, downloadImages, followPages, maxPages } = req.body;
+    const { titleSelector, authorSelector, contentSelector, removeSelectors, titleXPath, authorXPath, contentXPath, removeXPath } = req.body;
     if (!url) {
         return res.status(400).json({ error: 'Missing url in request body.' });
     }
+    if (fetcher !== undefined && !scraper.hasFetcher(fetcher)) {
+        return res.status(400).json({ error: `Unknown fetcher: ${fetcher}` });
+    }
     try {
         console.log(`Scraping URL: ${url}`);
-        const result = await scraper.scrape(url);
+        const result = await scraper.scrape(url, {
+            followChapters: Boolean(followChapters),
+            toc: Boolean(toc),
+            maxChapters: parseInt(maxChapters) || undefined,
+            fetcher,
+            downloadImages: downloadImages === undefined ? undefined : Boolean(downloadImages),
+            followPages: followPages === undefined ? undefined : Boolean(followPages),
+            maxPages: parseInt(maxPages) || undefined,
+            titleSelector,
+            authorSelector,
+            contentSelector,
+            removeSelectors,
+            titleXPath,
+            authorXPath,
+            contentXPath,
+            removeXPath
+        });
         console.log(`Successfully scraped: ${result.title}`);
         res.json(result);
     } catch (err) {
         console.error(`Error scraping ${url}:`, err);
-        res.status(500).json({ error: err.message });
+        sendScrapeError(res, err);
     }
 });
 
 // Debug scraping with detailed extraction info
 app.post('/debug-scrape', async (req, res) => {
-    const { url } = req.body;
+    const { url, save, fetcher } = req.body;
     if (!url) {
         return res.status(400).json({ error: 'Missing url in request body.' });
     }
+    if (fetcher !== undefined && !scraper.hasFetcher(fetcher)) {
+        return res.status(400).json({ error: `Unknown fetcher: ${fetcher}` });
+    }
     try {
         console.log(`Debug scraping URL: ${url}`);
-        const result = await scraper.debugScrape(url);
+        const result = await scraper.debugScrape(url, { save: Boolean(save), fetcher });
         res.json(result);
     } catch (err) {
         console.error(`Error debug scraping ${url}:`, err);
-        res.status(500).json({ error: err.message });
+        sendScrapeError(res, err);
     }
 });
 
@@ -76,7 +133,37 @@ app.post('/scrape-links', async (req, res) => {
         res.json(result);
     } catch (err) {
         console.error(`Error finding links on ${url}:`, err);
-        res.status(500).json({ error: err.message });
+        sendScrapeError(res, err);
+    }
+});
+
+// Ordered chapter list of a story's index page, without scraping the chapters (scrape with toc: true for that)
+app.post('/toc', async (req, res) => {
+    const { url, options } = req.body || {};
+    if (!url) {
+        return res.status(400).json({ error: 'Missing url in request body.' });
+    }
+    try {
+        const { snapshot, ...toc } = await scraper.extractTableOfContents(url, options);
+        res.json(toc);
+    } catch (err) {
+        console.error(`Error reading table of contents at ${url}:`, err);
+        sendScrapeError(res, err);
+    }
+});
+
+// Site-wide discovery from sitemaps and/or a crawl; options as for discoverStoryLinks
+app.post('/discover-links', async (req, res) => {
+    const { url, options } = req.body || {};
+    if (!url) {
+        return res.status(400).json({ error: 'Missing url in request body.' });
+    }
+    try {
+        const result = await scraper.discoverStoryLinks(url, options);
+        res.json(result);
+    } catch (err) {
+        console.error(`Error discovering links on ${url}:`, err);
+        sendScrapeError(res, err);
     }
 });
 
@@ -105,6 +192,136 @@ app.get('/story/:id', async (req, res) => {
     }
 });
 
+// Re-scrape a story, keeping the previous version as a revision
+app.post('/story/:id/refresh', async (req, res) => {
+    const { maxChapters, fetcher, downloadImages, followPages, maxPages } = req.body || {};
+    if (fetcher !== undefined && !scraper.hasFetcher(fetcher)) {
+        return res.status(400).json({ error: `Unknown fetcher: ${fetcher}` });
+    }
+    try {
+        const result = await scraper.refreshStory(req.params.id, {
+            maxChapters: parseInt(maxChapters) || undefined,
+            fetcher,
+            downloadImages: downloadImages === undefined ? undefined : Boolean(downloadImages),
+            followPages: followPages === undefined ? undefined : Boolean(followPages),
+            maxPages: parseInt(maxPages) || undefined
+        });
+        if (!result) {
+            return res.status(404).json({ error: 'Story not found' });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(`Error refreshing story ${req.params.id}:`, err);
+        sendScrapeError(res, err);
+    }
+});
+
+// Re-run extraction on a story's stored pages, without fetching them again
+app.post('/story/:id/reextract', async (req, res) => {
+    try {
+        const { dryRun } = req.body || {};
+        const result = await scraper.reextractStory(req.params.id, { dryRun: Boolean(dryRun) });
+        if (!result) {
+            return res.status(404).json({ error: 'Story not found' });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error(`Error re-extracting story ${req.params.id}:`, err);
+        sendScrapeError(res, err);
+    }
+});
+
+// Re-extract every story with stored pages, or one host's (hostname)
+app.post('/reextract', async (req, res) => {
+    try {
+        const { hostname, dryRun } = req.body || {};
+        const results = await scraper.reextractStories({ hostname: hostname || null, dryRun: Boolean(dryRun) });
+        res.json(results);
+    } catch (err) {
+        console.error('Error re-extracting stories:', err);
+        sendScrapeError(res, err);
+    }
+});
+
+// List the stored pages of a story and its revisions (without the HTML)
+app.get('/story/:id/snapshots', async (req, res) => {
+    try {
+        const snapshots = await scraper.getStorySnapshots(req.params.id, { all: true });
+        res.json(snapshots);
+    } catch (err) {
+        console.error('Error fetching story snapshots:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Raw HTML of one stored page, served as plain text so its scripts never run here
+app.get('/story/:id/snapshots/:snapshotId', async (req, res) => {
+    try {
+        const html = await scraper.getSnapshotHtml(req.params.id, req.params.snapshotId);
+        if (html === null) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+        res.type('text/plain').send(html);
+    } catch (err) {
+        console.error('Error fetching snapshot:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// List a story's downloaded images
+app.get('/story/:id/assets', async (req, res) => {
+    try {
+        const assets = await scraper.getStoryAssets(req.params.id);
+        res.json(assets);
+    } catch (err) {
+        console.error('Error fetching story assets:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// List a story's previous versions
+app.get('/story/:id/revisions', async (req, res) => {
+    try {
+        const revisions = await scraper.getStoryRevisions(req.params.id);
+        res.json(revisions);
+    } catch (err) {
+        console.error(`Error fetching revisions for story ${req.params.id}:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Paragraph-level diff between two revisions (?from=1&to=current)
+app.get('/story/:id/diff', async (req, res) => {
+    const { from, to } = req.query;
+    if (!from) {
+        return res.status(400).json({ error: 'Missing from revision' });
+    }
+    try {
+        const diff = await scraper.diffStoryRevisions(req.params.id, from, to || 'current');
+        if (!diff) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        res.json(diff);
+    } catch (err) {
+        console.error(`Error diffing story ${req.params.id}:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Get a single revision ("current" for the live version)
+app.get('/story/:id/revisions/:revision', async (req, res) => {
+    try {
+        const revision = await scraper.getStoryRevision(req.params.id, req.params.revision);
+        if (!revision) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        res.json(revision);
+    } catch (err) {
+        console.error(`Error fetching revision for story ${req.params.id}:`, err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Delete a story
 app.delete('/story/:id', async (req, res) => {
     try {
@@ -288,7 +505,7 @@ app.get('/rss-items/unscraped', async (req, res) => {
 app.post('/rss-items/scrape', async (req, res) => {
     try {
         const limit = parseInt(req.body.limit) || 5;
-        const results = await scraper.scrapeRSSItems(limit);
+        const results = await scraper.scrapeRSSItems(limit, { retryOnly: Boolean(req.body.retryOnly) });
         res.json(results);
     } catch (err) {
         console.error('Error scraping RSS items:', err);
@@ -309,6 +526,374 @@ app.delete('/rss-feeds/:id', async (req, res) => {
     }
 });
 
+// Near-duplicate detection
+app.get('/duplicates', async (req, res) => {
+    try {
+        const threshold = parseFloat(req.query.threshold) || undefined;
+        const clusters = await scraper.getDuplicateClusters({ threshold });
+        res.json(clusters);
+    } catch (err) {
+        console.error('Error finding duplicates:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Stories left on an old URL because another story already holds its canonical form
+app.get('/duplicates/url-collisions', async (req, res) => {
+    try {
+        res.json({
+            stories: await scraper.getUrlCollisions('stories'),
+            rssItems: await scraper.getUrlCollisions('rss_items')
+        });
+    } catch (err) {
+        console.error('Error finding URL collisions:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/duplicates/merge', async (req, res) => {
+    const { keepId, duplicateIds } = req.body;
+    if (!keepId || !Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+        return res.status(400).json({ error: 'keepId and duplicateIds are required' });
+    }
+    try {
+        const result = await scraper.mergeStories(keepId, duplicateIds);
+        if (!result) {
+            return res.status(404).json({ error: 'Story not found' });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error('Error merging duplicate stories:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Scrape failure endpoints
+app.get('/scrape-failures', async (req, res) => {
+    try {
+        const failures = await scraper.getScrapeFailures({
+            retryableOnly: req.query.retryable === 'true',
+            limit: parseInt(req.query.limit) || undefined
+        });
+        res.json(failures);
+    } catch (err) {
+        console.error('Error fetching scrape failures:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/scrape-failures/retry', async (req, res) => {
+    try {
+        const { limit, concurrency } = req.body || {};
+        const results = await scraper.retryScrapeFailures({
+            limit: parseInt(limit) || undefined,
+            concurrency: parseInt(concurrency) || undefined
+        });
+        res.json(results);
+    } catch (err) {
+        console.error('Error retrying scrape failures:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/scrape-failures/:id', async (req, res) => {
+    try {
+        const result = await scraper.deleteScrapeFailure(req.params.id);
+        if (result === 0) {
+            return res.status(404).json({ error: 'Scrape failure not found' });
+        }
+        res.json({ success: true, message: 'Scrape failure deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting scrape failure:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Site profile endpoints
+app.get('/site-profiles', async (req, res) => {
+    try {
+        const profiles = await scraper.getAllSiteProfiles();
+        res.json(profiles);
+    } catch (err) {
+        console.error('Error fetching site profiles:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/site-profiles', async (req, res) => {
+    if (!req.body.hostname) {
+        return res.status(400).json({ error: 'Site profile hostname is required' });
+    }
+    try {
+        const profile = await scraper.createSiteProfile(req.body);
+        res.json(profile);
+    } catch (err) {
+        console.error('Error creating site profile:', err);
+        sendScrapeError(res, err);
+    }
+});
+
+app.get('/site-profiles/:id', async (req, res) => {
+    try {
+        const profile = await scraper.getSiteProfile(req.params.id);
+        if (!profile) {
+            return res.status(404).json({ error: 'Site profile not found' });
+        }
+        res.json(profile);
+    } catch (err) {
+        console.error('Error fetching site profile:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/site-profiles/:id', async (req, res) => {
+    try {
+        const profile = await scraper.updateSiteProfile(req.params.id, req.body);
+        if (!profile) {
+            return res.status(404).json({ error: 'Site profile not found' });
+        }
+        res.json(profile);
+    } catch (err) {
+        console.error('Error updating site profile:', err);
+        sendScrapeError(res, err);
+    }
+});
+
+app.delete('/site-profiles/:id', async (req, res) => {
+    try {
+        const result = await scraper.deleteSiteProfile(req.params.id);
+        if (result === 0) {
+            return res.status(404).json({ error: 'Site profile not found' });
+        }
+        res.json({ success: true, message: 'Site profile deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting site profile:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Session profile endpoints (cookie and header values are never returned)
+app.get('/session-profiles', async (req, res) => {
+    try {
+        const profiles = await scraper.getAllSessionProfiles();
+        res.json(profiles.map(profile => scraper.describeSessionProfile(profile)));
+    } catch (err) {
+        console.error('Error fetching session profiles:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/session-profiles', async (req, res) => {
+    if (!req.body.name || !req.body.hostname) {
+        return res.status(400).json({ error: 'Session profile name and hostname are required' });
+    }
+    try {
+        const profile = await scraper.createSessionProfile(req.body);
+        res.json(scraper.describeSessionProfile(profile));
+    } catch (err) {
+        console.error('Error creating session profile:', err);
+        sendScrapeError(res, err);
+    }
+});
+
+app.get('/session-profiles/:id', async (req, res) => {
+    try {
+        const profile = await scraper.getSessionProfile(req.params.id);
+        if (!profile) {
+            return res.status(404).json({ error: 'Session profile not found' });
+        }
+        res.json(scraper.describeSessionProfile(profile));
+    } catch (err) {
+        console.error('Error fetching session profile:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/session-profiles/:id', async (req, res) => {
+    try {
+        const profile = await scraper.updateSessionProfile(req.params.id, req.body);
+        if (!profile) {
+            return res.status(404).json({ error: 'Session profile not found' });
+        }
+        res.json(scraper.describeSessionProfile(profile));
+    } catch (err) {
+        console.error('Error updating session profile:', err);
+        sendScrapeError(res, err);
+    }
+});
+
+// Replace a profile's cookies from a browser export (Netscape cookies.txt or JSON)
+app.post('/session-profiles/:id/cookies', express.text({ type: ['text/*'] }), async (req, res) => {
+    const body = req.body || {};
+    const cookieExport = typeof body === 'string' ? body : (body.cookieExport || body.cookies);
+    if (!cookieExport) {
+        return res.status(400).json({ error: 'Missing cookie export in request body.' });
+    }
+    try {
+        const profile = await scraper.updateSessionProfile(req.params.id, { cookieExport });
+        if (!profile) {
+            return res.status(404).json({ error: 'Session profile not found' });
+        }
+        res.json(scraper.describeSessionProfile(profile));
+    } catch (err) {
+        console.error('Error importing session cookies:', err);
+        sendScrapeError(res, err);
+    }
+});
+
+app.delete('/session-profiles/:id', async (req, res) => {
+    try {
+        const result = await scraper.deleteSessionProfile(req.params.id);
+        if (result === 0) {
+            return res.status(404).json({ error: 'Session profile not found' });
+        }
+        res.json({ success: true, message: 'Session profile deleted successfully' });
+    } catch (err) {
+        console.error('Error deleting session profile:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Learned boilerplate endpoints
+app.get('/boilerplate', async (req, res) => {
+    try {
+        const blocks = await scraper.getBoilerplateBlocks(req.query.hostname || null);
+        res.json(blocks);
+    } catch (err) {
+        console.error('Error fetching boilerplate blocks:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/boilerplate/learn', async (req, res) => {
+    try {
+        const { hostname } = req.body || {};
+        const results = await scraper.learnBoilerplate(hostname || null);
+        res.json(results);
+    } catch (err) {
+        console.error('Error learning boilerplate:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Maintenance pass over stories already in the library
+app.post('/boilerplate/strip', async (req, res) => {
+    try {
+        const { hostname, dryRun } = req.body || {};
+        const results = await scraper.stripBoilerplate({ hostname: hostname || null, dryRun: Boolean(dryRun) });
+        res.json(results);
+    } catch (err) {
+        console.error('Error stripping boilerplate:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Ignored blocks are kept (and listed) so they are not learned again
+app.delete('/boilerplate/:id', async (req, res) => {
+    try {
+        const result = await scraper.ignoreBoilerplateBlock(req.params.id);
+        if (result === 0) {
+            return res.status(404).json({ error: 'Boilerplate block not found' });
+        }
+        res.json({ success: true, message: 'Boilerplate block ignored successfully' });
+    } catch (err) {
+        console.error('Error ignoring boilerplate block:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// File import: { directory, recursive } on this server's disk, or { files: [{ filename, content, encoding }] }
+app.post('/import', async (req, res) => {
+    const { directory, recursive, files } = req.body || {};
+    if (!directory && !Array.isArray(files)) {
+        return res.status(400).json({ error: 'Provide a directory path or a files array.' });
+    }
+    try {
+        const results = directory
+            ? await scraper.importDirectory(directory, { recursive: recursive !== false })
+            : await scraper.importFiles(files.map(file => ({
+                filename: file.filename,
+                data: Buffer.from(file.content || '', file.encoding === 'base64' ? 'base64' : 'utf8')
+            })));
+        res.json(results);
+    } catch (err) {
+        console.error('Error importing files:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Single raw upload (e.g. an EPUB), named by ?filename=
+app.post('/import/upload', express.raw({ type: () => true, limit: '50mb' }), async (req, res) => {
+    const { filename } = req.query;
+    if (!filename || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Provide a filename query parameter and the file as the request body.' });
+    }
+    try {
+        const results = await scraper.importFiles([{ filename, data: req.body }]);
+        res.json(results);
+    } catch (err) {
+        console.error('Error importing upload:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Background jobs: submit work and poll for it instead of holding the request open
+app.post('/jobs', async (req, res) => {
+    const { type, ...payload } = req.body || {};
+    try {
+        const job = await scraper.enqueueJob(type, payload);
+        res.status(202).json(job);
+    } catch (err) {
+        console.error('Error queueing job:', err);
+        sendScrapeError(res, err);
+    }
+});
+
+app.get('/jobs', async (req, res) => {
+    try {
+        const jobs = await scraper.getJobs({
+            status: req.query.status || null,
+            type: req.query.type || null,
+            limit: parseInt(req.query.limit) || undefined
+        });
+        res.json(jobs);
+    } catch (err) {
+        console.error('Error fetching jobs:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/jobs/:id', async (req, res) => {
+    try {
+        const job = await scraper.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json(job);
+    } catch (err) {
+        console.error('Error fetching job:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Cancels a job that has not started yet
+app.delete('/jobs/:id', async (req, res) => {
+    try {
+        const job = await scraper.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        const result = await scraper.cancelJob(req.params.id);
+        if (result === 0) {
+            return res.status(409).json({ error: `Job is already ${job.status}` });
+        }
+        res.json({ success: true, message: 'Job cancelled successfully' });
+    } catch (err) {
+        console.error('Error cancelling job:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Enhanced search
 app.post('/search', async (req, res) => {
     try {
@@ -348,6 +933,10 @@ app.use((req, res) => {
 
 // Error handler
 app.use((err, req, res, next) => {
+    // Body parser rejections (too large, malformed JSON) keep their 4xx status
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return res.status(err.status).json({ error: err.message });
+    }
     console.error('Server error:', err);
     res.status(500).json({ error: 'Server error' });
 });
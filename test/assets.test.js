@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+const { createTestScraper, words } = require('./helpers');
+
+const scraper = new EnhancedStoryScraper();
+
+test('isPrivateAddress flags loopback, private, link-local and mapped addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+        assert.strictEqual(scraper.isPrivateAddress(address), true, address);
+    }
+    for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8']) {
+        assert.strictEqual(scraper.isPrivateAddress(address), false, address);
+    }
+});
+
+test('assertPublicUrl refuses private hosts and non-HTTP protocols', async () => {
+    await assert.rejects(scraper.assertPublicUrl('http://127.0.0.1/a.png'), /private address/);
+    await assert.rejects(scraper.assertPublicUrl('http://[::1]:8080/a.png'), /private address/);
+    await assert.rejects(scraper.assertPublicUrl('http://localhost/a.png'), /private address/);
+    await assert.rejects(scraper.assertPublicUrl('file:///etc/passwd'), /unsupported protocol/);
+    await scraper.assertPublicUrl('https://93.184.216.34/a.png');
+});
+
+test('downloadAsset checks every redirect hop', async (t) => {
+    const downloader = new EnhancedStoryScraper({ respectRobots: false, minHostInterval: 0 });
+    const fetched = [];
+    t.mock.method(global, 'fetch', async (url) => {
+        fetched.push(url);
+        return new Response(null, { status: 302, headers: { location: 'http://127.0.0.1/admin.png' } });
+    });
+
+    await assert.rejects(downloader.downloadAsset('https://93.184.216.34/cover.png'), /private address/);
+    assert.deepStrictEqual(fetched, ['https://93.184.216.34/cover.png']);
+});
+
+test('asset files stay while an archived revision still references them', async (t) => {
+    const assetDir = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-test-'));
+    t.after(() => fs.rmSync(assetDir, { recursive: true, force: true }));
+    const db = await createTestScraper({ assetDir });
+
+    const sha256 = 'a'.repeat(64);
+    const file = path.join(assetDir, `${sha256}.png`);
+    fs.writeFileSync(file, 'png');
+    const asset = { role: 'inline', sourceUrl: 'https://x.com/a.png', localPath: `story-assets/${sha256}.png`, sha256, mimeType: 'image/png', byteSize: 3 };
+
+    const storyId = await db.insertStory({ url: 'https://x.com/s/1', title: 'Story', content: words(50), content_html: `<img src="story-assets/${sha256}.png" alt="">` });
+    await db.saveStoryAssets(storyId, [asset]);
+    await db.archiveStoryRevision(await db.getStoryById(storyId));
+
+    // A refresh that no longer has the image keeps the file for the revision
+    await db.saveStoryAssets(storyId, []);
+    assert.ok(fs.existsSync(file));
+
+    // Deleting the story removes its revisions and then the file
+    await db.saveStoryAssets(storyId, [asset]);
+    await db.deleteStory(storyId);
+    assert.ok(!fs.existsSync(file));
+});
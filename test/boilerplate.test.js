@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestScraper, words } = require('./helpers');
+
+const footer = '<p>Support this site on our donation page today</p>';
+
+async function hostStory(db, slug, text, fingerprint = null) {
+    const url = `https://x.com/story/${slug}`;
+    return db.insertStory({
+        url, original_url: url, title: slug, content: text, word_count: 40, domain: 'x.com',
+        content_html: `<p>${text}</p>\n${footer}`,
+        content_fingerprint: fingerprint ?? db.computeContentFingerprint(text)
+    });
+}
+
+test('learnBoilerplate counts mirrored copies of one story once', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const db = await createTestScraper();
+    for (const slug of ['a', 'a-mirror', 'a-copy']) {
+        await hostStory(db, slug, words(40, 'same'));
+    }
+
+    assert.strictEqual((await db.learnBoilerplate('x.com')).blocks, 0);
+
+    await hostStory(db, 'b', words(40, 'other'));
+    await hostStory(db, 'c', words(40, 'third'));
+    assert.strictEqual((await db.learnBoilerplate('x.com')).blocks, 1);
+});
+
+test('stripBoilerplate counts blocks removed from chapters', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const db = await createTestScraper();
+    const storyIds = [];
+    for (const seed of ['a', 'b', 'c']) {
+        storyIds.push(await hostStory(db, seed, words(40, seed)));
+    }
+    await db.saveChapters(storyIds[0], [1, 2].map(chapterNumber => ({
+        chapterNumber, title: `Chapter ${chapterNumber}`, url: null, content: words(40, 'ch'),
+        contentHtml: `<p>${words(40, `ch${chapterNumber}`)}</p>\n${footer}`, wordCount: 40
+    })));
+    await db.learnBoilerplate('x.com');
+
+    const result = await db.stripBoilerplate({ hostname: 'x.com', dryRun: true });
+    assert.strictEqual(result.blocksRemoved, 5);
+    assert.strictEqual(result.stories.find(story => story.id === storyIds[0]).blocksRemoved, 3);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestScraper, words } = require('./helpers');
+
+const start = 'https://x.com/s/tale/chapter-1';
+
+// Four chapters linked by "Next Chapter"; the last one links back to the first
+async function chapteredScraper(t) {
+    t.mock.method(console, 'log', () => {});
+    const db = await createTestScraper();
+    t.mock.method(db, 'fetchPage', async (url) => {
+        const number = Number(url.match(/chapter-(\d+)/)[1]);
+        const next = number < 4 ? `/s/tale/chapter-${number + 1}` : '/s/tale/chapter-1';
+        return {
+            html: `<html><head><title>Tale</title></head><body><h1>The Tale</h1><article><p>${words(80, `c${number}-`)}</p></article><a href="${next}">Next Chapter</a></body></html>`,
+            finalUrl: url,
+            fetcher: 'http'
+        };
+    });
+    return db;
+}
+
+test('extractChapteredStory stops at maxChapters', async (t) => {
+    const db = await chapteredScraper(t);
+
+    const extracted = await db.extractChapteredStory(start, { chapterDelay: 0, maxChapters: 2 });
+    assert.strictEqual(extracted.stoppedReason, 'max_chapters');
+    assert.deepStrictEqual(extracted.chapters.map(chapter => chapter.url), [start, 'https://x.com/s/tale/chapter-2']);
+    assert.strictEqual(db.fetchPage.mock.callCount(), 2);
+});
+
+test('extractChapteredStory follows next links until they loop back', async (t) => {
+    const db = await chapteredScraper(t);
+
+    const extracted = await db.extractChapteredStory(start, { chapterDelay: 0 });
+    assert.strictEqual(extracted.stoppedReason, 'loop_detected');
+    assert.deepStrictEqual(extracted.chapters.map(chapter => chapter.chapterNumber), [1, 2, 3, 4]);
+    assert.match(extracted.content, /c1-0[\s\S]*c4-0/);
+    assert.strictEqual(extracted.wordCount, 320);
+});
+
+test('scrape with followChapters saves every chapter with the story', async (t) => {
+    const db = await chapteredScraper(t);
+
+    const result = await db.scrape(start, { followChapters: true, chapterDelay: 0, maxChapters: 3 });
+    assert.strictEqual(result.chapterCount, 3);
+
+    const story = await db.getStoryById(result.story.id);
+    assert.deepStrictEqual(story.chapters.map(chapter => [chapter.chapter_number, chapter.url]), [
+        [1, start],
+        [2, 'https://x.com/s/tale/chapter-2'],
+        [3, 'https://x.com/s/tale/chapter-3']
+    ]);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+const { words } = require('./helpers');
+
+const scraper = new EnhancedStoryScraper();
+const paragraphs = (seed, count) => Array.from({ length: count }, (_, i) => `<p>${words(40, `${seed}${i}-`)}, with a comma, and another.</p>`).join('');
+
+test('findMainContentNode picks the densest text block whatever its class', () => {
+    const $ = cheerio.load(`<html><body>
+        <div id="menu">${Array.from({ length: 12 }, (_, i) => `<p><a href="/c/${i}">Category link number ${i} here</a></p>`).join('')}</div>
+        <div class="x9f">${paragraphs('story', 8)}</div>
+        <div class="sidebar">${paragraphs('side', 2)}</div>
+        <div class="comments">${paragraphs('comment', 3)}</div>
+    </body></html>`);
+
+    const best = scraper.findMainContentNode($);
+    assert.strictEqual(best.node, 'div.x9f');
+    assert.strictEqual(best.paragraphCount, 8);
+    assert.ok(!best.candidates.some(candidate => /menu|sidebar|comments/.test(candidate.node)));
+});
+
+test('findMainContentNode discounts link lists by their link density', () => {
+    const $ = cheerio.load(`<html><body>
+        <div class="list">${Array.from({ length: 15 }, (_, i) => `<p><a href="/s/${i}">Another story you might like, number ${i}, by someone</a></p>`).join('')}</div>
+        <div class="body-text">${paragraphs('story', 4)}</div>
+    </body></html>`);
+
+    const best = scraper.findMainContentNode($);
+    assert.strictEqual(best.node, 'div.body-text');
+    assert.strictEqual(best.linkDensity, 0);
+});
+
+test('extractContentParts keeps the story and leaves sidebars and comments out', () => {
+    const $ = cheerio.load(`<html><body><div class="x9f">${paragraphs('story', 6)}</div><div class="comments">${paragraphs('comment', 3)}</div></body></html>`);
+
+    const { content, contentHtml } = scraper.extractContentParts($);
+    assert.match(content, /^story0-0/);
+    assert.doesNotMatch(content, /comment/);
+    assert.strictEqual(contentHtml.match(/<p>/g).length, 6);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestScraper, words } = require('./helpers');
+
+const url = 'https://x.com/s/tale';
+
+async function debugScraper(t) {
+    t.mock.method(console, 'log', () => {});
+    const db = await createTestScraper();
+    t.mock.method(db, 'fetchPage', async (pageUrl) => ({
+        html: `<html><head><title>Tale</title><meta name="author" content="Ann"></head><body><h1>The Tale</h1>` +
+            `<article><p>${words(120, 'tale')}</p></article><nav>${words(30, 'nav')}</nav></body></html>`,
+        finalUrl: pageUrl,
+        fetcher: 'http'
+    }));
+    return db;
+}
+
+test('debugScrape reports the extraction without saving the story', async (t) => {
+    const db = await debugScraper(t);
+
+    const result = await db.debugScrape(url);
+    assert.strictEqual(result.title, 'The Tale');
+    assert.strictEqual(result.author, 'Ann');
+    assert.strictEqual(result.wordCount, 120);
+    assert.strictEqual(result.saved, false);
+    assert.strictEqual(result.scrape, undefined);
+    assert.strictEqual(result.existingStory, null);
+    assert.deepStrictEqual(await db.getAllStories(), []);
+});
+
+test('debugScrape saves through scrape only when asked to', async (t) => {
+    const db = await debugScraper(t);
+
+    const result = await db.debugScrape(url, { save: true });
+    assert.strictEqual(result.saved, true);
+    const stories = await db.getAllStories();
+    assert.strictEqual(stories.length, 1);
+    assert.strictEqual(stories[0].title, 'The Tale');
+
+    const again = await db.debugScrape(url);
+    assert.deepStrictEqual(again.existingStory, { id: stories[0].id, title: 'The Tale', url });
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+const { createTestScraper, words } = require('./helpers');
+
+const scraper = new EnhancedStoryScraper();
+
+test('computeContentFingerprint is a stable 64-bit hex simhash', () => {
+    const text = words(200, 'alpha');
+    const fingerprint = scraper.computeContentFingerprint(text);
+    assert.match(fingerprint, /^[0-9a-f]{16}$/);
+    assert.strictEqual(scraper.computeContentFingerprint(text.toUpperCase()), fingerprint);
+});
+
+test('computeContentFingerprint skips empty and near-empty content', () => {
+    assert.strictEqual(scraper.computeContentFingerprint(''), null);
+    assert.strictEqual(scraper.computeContentFingerprint(null), null);
+    assert.strictEqual(scraper.computeContentFingerprint('No content found'), null);
+    assert.strictEqual(scraper.computeContentFingerprint('just a few words here'), null);
+});
+
+test('fingerprintSimilarity counts matching bits', () => {
+    assert.strictEqual(scraper.fingerprintSimilarity('0000000000000000', '0000000000000000'), 1);
+    assert.strictEqual(scraper.fingerprintSimilarity('0000000000000000', 'ffffffffffffffff'), 0);
+    assert.strictEqual(scraper.fingerprintSimilarity('0000000000000000', '000000000000000f'), 1 - 4 / 64);
+});
+
+test('getDuplicateClusters finds pairs below the banding bound', async () => {
+    const db = await createTestScraper();
+    // 12 differing bits, spread so that every 8-bit band differs
+    const stories = [
+        ['https://a.com/1', '0000000000000000'],
+        ['https://a.com/2', '1111111111110000'],
+        ['https://a.com/3', 'ffffffffffffffff']
+    ];
+    for (const [url, fingerprint] of stories) {
+        await db.insertStory({ url, title: url, content: words(50), word_count: 50, content_fingerprint: fingerprint });
+    }
+
+    assert.strictEqual((await db.getDuplicateClusters({ threshold: 0.9 })).length, 0);
+    const clusters = await db.getDuplicateClusters({ threshold: 0.8 });
+    assert.strictEqual(clusters.length, 1);
+    assert.deepStrictEqual(clusters[0].stories.map(story => story.url), ['https://a.com/1', 'https://a.com/2']);
+    assert.strictEqual(clusters[0].maxSimilarity, 1 - 12 / 64);
+});
+
+test('getDuplicateClusters ignores near-empty stories', async () => {
+    const db = await createTestScraper();
+    await db.insertStory({ url: 'https://a.com/1', title: 'a', content: 'No content found', word_count: 3, content_fingerprint: 'abcdabcdabcdabcd' });
+    await db.insertStory({ url: 'https://a.com/2', title: 'b', content: 'No content found', word_count: 3, content_fingerprint: 'abcdabcdabcdabcd' });
+    assert.deepStrictEqual(await db.getDuplicateClusters(), []);
+});
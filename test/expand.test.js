@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+
+const scraper = new EnhancedStoryScraper();
+
+// evaluate() answers link counts from `counts` in turn and runs `act` for each scroll/click round
+function fakePage({ counts, act = async () => true }) {
+    let countCalls = 0;
+    return {
+        location: 'https://x.com/archive',
+        url() { return this.location; },
+        evaluate: async (fn, ...args) => (args.length === 1 ? counts[Math.min(countCalls++, counts.length - 1)] : act()),
+        waitForNetworkIdle: async () => {}
+    };
+}
+
+const expand = (overrides) => ({ ...scraper.normalizeExpandOptions('scroll'), wait: 0, ...overrides });
+
+test('normalizeExpandOptions rejects an unknown mode as invalid_expand', () => {
+    assert.throws(() => scraper.normalizeExpandOptions({ mode: 'hover' }), (error) => {
+        assert.strictEqual(error.code, 'INVALID_EXPAND');
+        assert.strictEqual(scraper.classifyScrapeError(error).type, 'invalid_expand');
+        return true;
+    });
+});
+
+test('expandPage stops when a round adds no links', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const result = await scraper.expandPage(fakePage({ counts: [10, 20, 20] }), expand());
+
+    assert.deepStrictEqual({ ...result, elapsed: undefined }, {
+        mode: 'scroll', rounds: 2, linksBefore: 10, linksAfter: 20, stoppedReason: 'no_new_links', elapsed: undefined
+    });
+});
+
+test('expandPage keeps what it has when a step outlasts the budget', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    let rounds = 0;
+    const act = () => (++rounds === 2 ? new Promise(() => {}) : Promise.resolve(true));
+    const result = await scraper.expandPage(fakePage({ counts: [10, 15], act }), expand({ maxTime: 100 }));
+
+    assert.strictEqual(result.stoppedReason, 'time_budget');
+    assert.strictEqual(result.linksAfter, 15);
+    assert.ok(result.elapsed < 1000);
+});
+
+test('expandPage stops with navigated when a click leaves the page', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const destroyed = fakePage({ counts: [10], act: async () => { throw new Error('Execution context was destroyed, most likely because of a navigation.'); } });
+    assert.strictEqual((await scraper.expandPage(destroyed, expand({ mode: 'click' }))).stoppedReason, 'navigated');
+
+    const moved = fakePage({ counts: [10, 30], act: async () => { moved.location = 'https://x.com/archive?page=2'; return true; } });
+    const result = await scraper.expandPage(moved, expand({ mode: 'click' }));
+    assert.strictEqual(result.stoppedReason, 'navigated');
+    assert.strictEqual(result.linksAfter, 10);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+
+const scraper = new EnhancedStoryScraper();
+
+function exportedHtml(t, stories) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'export-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const filename = path.join(directory, 'stories.html');
+    scraper.exportHTML(stories, filename);
+    return fs.readFileSync(filename, 'utf8');
+}
+
+test('exportHTML escapes scraped chapter titles', (t) => {
+    const html = exportedHtml(t, [{
+        title: 'Tale', author: 'Ann', domain: 'x.com', word_count: 2, scraped_at: '2026-01-01',
+        chapters: [
+            { chapter_number: 1, title: '<script>alert(1)</script>', content_html: '<p>One</p>' },
+            { chapter_number: 2, title: 'Fish & Chips', content_html: '<p>Two</p>' }
+        ]
+    }]);
+
+    assert.ok(!html.includes('<script>alert(1)</script>'));
+    assert.match(html, /Chapter 1: &lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+    assert.match(html, /Chapter 2: Fish &amp; Chips/);
+});
+
+test('exportHTML escapes story titles, authors and plain-text content', (t) => {
+    const html = exportedHtml(t, [{
+        title: '<img src=x onerror=alert(1)>', author: 'A & <b>B</b>', domain: 'x.com', word_count: 2, scraped_at: '2026-01-01',
+        content: 'Plain <script>alert(2)</script> text'
+    }]);
+
+    assert.ok(!html.includes('<img src=x'));
+    assert.ok(!html.includes('<script>alert(2)'));
+    assert.match(html, /<h2 class="story-title">&lt;img src=x onerror=alert\(1\)&gt;<\/h2>/);
+    assert.match(html, /A &amp; &lt;b&gt;B&lt;\/b&gt;/);
+    assert.match(html, /<p>Plain &lt;script&gt;alert\(2\)&lt;\/script&gt; text<\/p>/);
+});
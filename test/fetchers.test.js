@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+const { words } = require('./helpers');
+
+test('hasFetcher only accepts registered fetchers and auto', () => {
+    const scraper = new EnhancedStoryScraper();
+    scraper.registerFetcher('archive', async () => ({ html: '', status: 200 }));
+
+    for (const name of ['auto', 'http', 'puppeteer', 'archive']) {
+        assert.strictEqual(scraper.hasFetcher(name), true, name);
+    }
+    for (const name of ['toString', '__proto__', 'constructor', 'hasOwnProperty', 'curl', undefined, null]) {
+        assert.strictEqual(scraper.hasFetcher(name), false, String(name));
+    }
+});
+
+test('runFetcher rejects an inherited property name as invalid_fetcher', async () => {
+    const scraper = new EnhancedStoryScraper({ respectRobots: false, minHostInterval: 0 });
+
+    await assert.rejects(scraper.runFetcher('toString', 'https://x.com/s/1', {}), (error) => {
+        assert.strictEqual(error.code, 'INVALID_FETCHER');
+        assert.strictEqual(scraper.classifyScrapeError(error).type, 'invalid_fetcher');
+        return true;
+    });
+});
+
+test('job payloads with an unknown fetcher are rejected up front', () => {
+    const scraper = new EnhancedStoryScraper();
+    assert.throws(() => scraper.validateJobPayload('scrape', { url: 'https://x.com/s/1', fetcher: '__proto__' }), { code: 'INVALID_JOB' });
+    assert.doesNotThrow(() => scraper.validateJobPayload('scrape', { url: 'https://x.com/s/1', fetcher: 'http' }));
+});
+
+function autoScraper(t, httpResult) {
+    t.mock.method(console, 'log', () => {});
+    const scraper = new EnhancedStoryScraper({ respectRobots: false, minHostInterval: 0 });
+    const browser = t.mock.fn(async () => ({ html: `<article><p>${words(300, 'js')}</p></article>`, status: 200 }));
+    scraper.registerFetcher('http', async () => {
+        if (httpResult instanceof Error) throw httpResult;
+        return httpResult;
+    });
+    scraper.registerFetcher('puppeteer', browser);
+    return { scraper, browser };
+}
+
+test('auto escalates a thin 2xx page to Puppeteer', async (t) => {
+    const { scraper, browser } = autoScraper(t, { html: '<div id="app"></div>', status: 200 });
+
+    const result = await scraper.fetchPageOnce('https://x.com/s/1', { fetcher: 'auto' });
+    assert.strictEqual(browser.mock.callCount(), 1);
+    assert.strictEqual(result.fetcher, 'puppeteer');
+    assert.strictEqual(result.escalationReason, 'insufficient_static_content');
+});
+
+test('auto keeps a static page with enough content', async (t) => {
+    const { scraper, browser } = autoScraper(t, { html: `<article><p>${words(300, 'static')}</p></article>`, status: 200 });
+
+    assert.strictEqual((await scraper.fetchPageOnce('https://x.com/s/1', { fetcher: 'auto' })).fetcher, 'http');
+    assert.strictEqual(browser.mock.callCount(), 0);
+});
+
+test('auto returns 404 and 429 responses without starting a browser', async (t) => {
+    for (const status of [404, 410, 401, 429]) {
+        const { scraper, browser } = autoScraper(t, { html: 'Not here', status });
+
+        const result = await scraper.fetchPageOnce('https://x.com/s/1', { fetcher: 'auto' });
+        assert.strictEqual(result.status, status);
+        assert.strictEqual(result.fetcher, 'http');
+        assert.strictEqual(browser.mock.callCount(), 0, String(status));
+    }
+});
+
+test('auto fails non-HTML responses as unsupported_content and escalates network errors', async (t) => {
+    const pdf = autoScraper(t, new EnhancedStoryScraper().createScrapeError('UNSUPPORTED_CONTENT', 'Unsupported content type: application/pdf'));
+    await assert.rejects(pdf.scraper.fetchPageOnce('https://x.com/s/1.pdf', { fetcher: 'auto' }), (error) => {
+        assert.strictEqual(pdf.scraper.classifyScrapeError(error).type, 'unsupported_content');
+        return true;
+    });
+    assert.strictEqual(pdf.browser.mock.callCount(), 0);
+
+    const offline = autoScraper(t, new TypeError('fetch failed'));
+    assert.strictEqual((await offline.scraper.fetchPageOnce('https://x.com/s/1', { fetcher: 'auto' })).fetcher, 'puppeteer');
+});
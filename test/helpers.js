@@ -0,0 +1,23 @@
+const sqlite3 = require('sqlite3');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+
+// A scraper on an in-memory database that never touches the network
+async function createTestScraper(options = {}) {
+    const scraper = new EnhancedStoryScraper({ respectRobots: false, minHostInterval: 0, learnBoilerplate: false, ...options });
+    scraper.db = new sqlite3.Database(':memory:');
+
+    const log = console.log;
+    console.log = () => {};
+    try {
+        await scraper.migrateDatabase();
+    } finally {
+        console.log = log;
+    }
+    return scraper;
+}
+
+function words(count, seed = 'word') {
+    return Array.from({ length: count }, (_, i) => `${seed}${i}`).join(' ');
+}
+
+module.exports = { createTestScraper, words };
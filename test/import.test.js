@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+const { createTestScraper, words } = require('./helpers');
+
+const scraper = new EnhancedStoryScraper();
+
+// [name, text, deflate, declaredSize] entries to a ZIP archive with just the records readZipEntries needs
+function zip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const [name, text, deflate, declaredSize] of files) {
+        const raw = Buffer.from(text);
+        const data = deflate ? zlib.deflateRawSync(raw) : raw;
+        const nameBuffer = Buffer.from(name);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(deflate ? 8 : 0, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(deflate ? 8 : 0, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(declaredSize ?? raw.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBuffer, data);
+        centrals.push(central, nameBuffer);
+        offset += 30 + nameBuffer.length + data.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+function epub(metadata) {
+    return zip([
+        ['mimetype', 'application/epub+zip', false],
+        ['META-INF/container.xml', '<?xml version="1.0"?><container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>', true],
+        ['OEBPS/content.opf', `<?xml version="1.0"?><package xmlns="http://www.idpf.org/2007/opf">${metadata}<manifest>` +
+            '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>' +
+            '<item id="c1" href="text/chapter%201.xhtml" media-type="application/xhtml+xml"/>' +
+            '<item id="c2" href="text/ch2.xhtml" media-type="application/xhtml+xml"/>' +
+            '</manifest><spine><itemref idref="nav"/><itemref idref="c1"/><itemref idref="c2"/></spine></package>', true],
+        ['OEBPS/nav.xhtml', '<html><body><nav>Contents</nav></body></html>', true],
+        ['OEBPS/text/chapter 1.xhtml', `<html><body><h1>The Beginning</h1><p>${words(60, 'alpha')}</p></body></html>`, true],
+        ['OEBPS/text/ch2.xhtml', `<html><body><p>${words(60, 'beta')}</p></body></html>`, false]
+    ]);
+}
+
+test('readZipEntries reads stored and deflated entries by name', () => {
+    const entries = scraper.readZipEntries(zip([['a.txt', 'stored text', false], ['dir/b.txt', 'deflated text', true]]));
+
+    assert.deepStrictEqual([...entries.keys()], ['a.txt', 'dir/b.txt']);
+    assert.strictEqual(entries.get('a.txt')().toString(), 'stored text');
+    assert.strictEqual(entries.get('dir/b.txt')().toString(), 'deflated text');
+    assert.throws(() => scraper.readZipEntries(Buffer.from('not a zip archive at all')), /Not a ZIP archive/);
+});
+
+test('readZipEntries rejects archives that expand past their declared sizes or maxImportBytes', () => {
+    const bomb = 'x'.repeat(1024 * 1024);
+
+    const lying = scraper.readZipEntries(zip([['bomb.xhtml', bomb, true, 100]]));
+    assert.throws(() => lying.get('bomb.xhtml')(), /larger than its declared 100 bytes/);
+
+    const small = new EnhancedStoryScraper({ maxImportBytes: 1000 });
+    assert.throws(() => small.readZipEntries(zip([['a.txt', 'x'.repeat(600), true], ['b.txt', 'x'.repeat(600), true]])), /more than 1000 bytes/);
+});
+
+test('parseFrontMatter reads key: value lines and strips quotes', () => {
+    const { fields, body } = scraper.parseFrontMatter('---\ntitle: "Quoted: Title"\nAuthor: Mark Down\nempty:\n---\n\nBody text');
+
+    assert.deepStrictEqual(fields, { title: 'Quoted: Title', author: 'Mark Down' });
+    assert.strictEqual(body, '\nBody text');
+    assert.deepStrictEqual(scraper.parseFrontMatter('No front matter'), { fields: {}, body: 'No front matter' });
+});
+
+test('markdownToContentHtml converts block and inline Markdown', () => {
+    const html = scraper.markdownToContentHtml([
+        '## A Heading',
+        'Some **bold**, *em* and ~~struck~~ text with a [link](http://x) and ![img](y.png).',
+        '> quoted\n> lines',
+        '- one\n- two',
+        '1. first\n2. second',
+        '***',
+        'Wrapped\nparagraph <b>escaped</b>'
+    ].join('\n\n'));
+
+    assert.strictEqual(html, [
+        '<h2>A Heading</h2>',
+        '<p>Some <strong>bold</strong>, <em>em</em> and <s>struck</s> text with a link and .</p>',
+        '<blockquote><p>quoted lines</p></blockquote>',
+        '<ul><li>one</li><li>two</li></ul>',
+        '<ol><li>first</li><li>second</li></ol>',
+        '<hr>',
+        '<p>Wrapped paragraph &lt;b&gt;escaped&lt;/b&gt;</p>'
+    ].join('\n'));
+});
+
+test('importEpub reads Dublin Core metadata under its bound prefix only', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const importer = await createTestScraper();
+
+    const result = await importer.importFile({
+        filename: 'book.epub',
+        data: epub('<metadata xmlns:d="http://purl.org/dc/elements/1.1/" xmlns:calibre="http://calibre.kovidgoyal.net/2009/metadata">' +
+            '<calibre:title>Series Sort Title</calibre:title><d:title>The Epub Tale</d:title>' +
+            '<d:creator>Ann Author</d:creator><d:subject>Fantasy</d:subject></metadata>')
+    });
+
+    assert.strictEqual(result.title, 'The Epub Tale');
+    assert.strictEqual(result.author, 'Ann Author');
+    assert.strictEqual(result.chapterCount, 2);
+});
+
+test('importDirectory reads matching files from disk one at a time', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const importer = await createTestScraper();
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'import-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    fs.mkdirSync(path.join(directory, 'sub'));
+    fs.writeFileSync(path.join(directory, 'story.md'), `---\ntitle: Markdown Story\nauthor: Mark Down\n---\n\n${words(40, 'md')}`);
+    fs.writeFileSync(path.join(directory, 'sub', 'plain.txt'), `A Plain Tale\n\n${words(40, 'txt')}`);
+    fs.writeFileSync(path.join(directory, 'cover.jpg'), 'not imported');
+
+    const reads = t.mock.method(fs.promises, 'readFile');
+    const results = await importer.importDirectory(directory);
+
+    assert.deepStrictEqual(results.imported.map(story => [story.filename, story.title]), [
+        ['story.md', 'Markdown Story'],
+        ['plain.txt', 'A Plain Tale']
+    ]);
+    assert.strictEqual(reads.mock.callCount(), 2);
+
+    const flat = await importer.importDirectory(directory, { recursive: false });
+    assert.deepStrictEqual(flat.duplicates.map(story => story.filename), ['story.md']);
+});
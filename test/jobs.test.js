@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+const { createTestScraper } = require('./helpers');
+
+const scraper = new EnhancedStoryScraper();
+
+test('validateJobPayload coerces options the way the routes do', () => {
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(scraper.validateJobPayload('scrape', {
+        url: 'https://x.com/s/1', maxChapters: 'abc', maxPages: '4', followPages: 1, contentSelector: 'article', extra: 'dropped'
+    }))), { url: 'https://x.com/s/1', followChapters: false, toc: false, maxPages: 4, followPages: true, contentSelector: 'article' });
+
+    assert.deepStrictEqual(scraper.validateJobPayload('batch', { links: ['https://x.com/s/1', { url: 'https://x.com/s/2', text: 'Two' }, { text: 'no url' }], delay: '0' }).links, [
+        { url: 'https://x.com/s/1', text: undefined },
+        { url: 'https://x.com/s/2', text: 'Two' }
+    ]);
+    assert.strictEqual(scraper.validateJobPayload('batch', { urls: ['https://x.com/s/1'], delay: '0' }).delay, 0);
+    assert.deepStrictEqual(scraper.validateJobPayload('rss', { limit: 'lots' }), { feedId: null, limit: 5, retryOnly: false });
+    assert.strictEqual(scraper.validateJobPayload('refresh', { storyId: '12' }).storyId, 12);
+});
+
+test('validateJobPayload rejects payloads that cannot run', () => {
+    for (const [type, payload] of [
+        ['crawl', {}],
+        ['scrape', { url: 42 }],
+        ['scrape', { url: 'https://x.com/s/1', contentSelector: 'div[' }],
+        ['batch', { links: [{ text: 'no url' }, null] }],
+        ['refresh', { storyId: 'abc' }]
+    ]) {
+        assert.throws(() => scraper.validateJobPayload(type, payload), (error) => ['INVALID_JOB', 'INVALID_SELECTOR'].includes(error.code), type);
+    }
+});
+
+test('startJobWorker fails jobs that were interrupted maxJobAttempts times', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const db = await createTestScraper({ maxJobAttempts: 3 });
+    const insert = (attempts) => new Promise((resolve, reject) => {
+        db.db.run("INSERT INTO jobs (type, payload, status, attempts) VALUES ('refresh', '{\"storyId\":999}', 'running', ?)", [attempts], function(err) {
+            if (err) reject(err);
+            else resolve(this.lastID);
+        });
+    });
+    const stuck = await insert(3);
+    const interrupted = await insert(1);
+
+    await db.startJobWorker({ pollInterval: 60000 });
+    while ((await db.getJob(interrupted)).status !== 'failed') {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    await db.stopJobWorker();
+
+    const abandoned = await db.getJob(stuck);
+    assert.strictEqual(abandoned.status, 'failed');
+    assert.strictEqual(abandoned.error_type, 'interrupted');
+    assert.strictEqual(abandoned.attempts, 3);
+
+    // The other job ran again (and failed on its own: there is no story 999)
+    const rerun = await db.getJob(interrupted);
+    assert.strictEqual(rerun.attempts, 2);
+    assert.strictEqual(rerun.error, 'Story not found');
+});
+
+test('a job whose result cannot be stored is failed instead of left running', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const db = await createTestScraper();
+    const job = await db.enqueueJob('refresh', { storyId: 1 });
+    t.mock.method(db, 'executeJob', async () => ({ count: 1n }));
+
+    await db.runJob(await db.claimNextJob());
+
+    const failed = await db.getJob(job.id);
+    assert.strictEqual(failed.status, 'failed');
+    assert.match(failed.error, /Could not store the job result/);
+});
+
+test('a job that outlives jobTimeout is failed as a timeout', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const db = await createTestScraper({ jobTimeout: 20 });
+    const job = await db.enqueueJob('refresh', { storyId: 1 });
+    t.mock.method(db, 'executeJob', () => new Promise(() => {}));
+
+    await db.runJob(await db.claimNextJob());
+
+    const failed = await db.getJob(job.id);
+    assert.strictEqual(failed.status, 'failed');
+    assert.strictEqual(failed.error_type, 'timeout');
+});
+
+test('the job worker logs a failing database instead of crashing', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const errors = t.mock.method(console, 'error', () => {});
+    const db = await createTestScraper();
+    t.mock.method(db, 'claimNextJob', async () => {
+        throw new Error('SQLITE_BUSY: database is locked');
+    });
+
+    await db.startJobWorker({ pollInterval: 5 });
+    while (errors.mock.callCount() < 2) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    await db.stopJobWorker();
+
+    assert.match(errors.mock.calls[0].arguments[1].message, /SQLITE_BUSY/);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+
+const scraper = new EnhancedStoryScraper();
+const pageUrl = 'https://x.com/archive';
+
+function classify(html, options = {}) {
+    const $ = cheerio.load(html);
+    const links = $('a[href]').toArray().map(element => {
+        const url = new URL($(element).attr('href'), pageUrl).href;
+        return { url, canonicalUrl: scraper.canonicalizeUrl(url), text: $(element).text().trim(), domain: 'x.com', element };
+    });
+    return scraper.classifyLinks($, links, { pageUrl, ...options });
+}
+
+const listing = ['The Lighthouse Keeper', 'A Winter in Oslo', 'Rain on the River'].map((title, i) =>
+    `<li><h3><a href="/s/${100 + i}/${title.toLowerCase().replace(/ /g, '-')}">${title}</a></h3><p>by Writer ${i}, 3,000 words</p></li>`).join('');
+
+test('classifyLinks separates stories from navigation, index and asset links', () => {
+    const links = classify(`<html><body>
+        <nav><a href="/">Home</a><a href="/login">Log in</a></nav>
+        <main><ul class="stories">${listing}</ul><div class="pagination"><a href="/archive?page=2">Next »</a></div></main>
+        <aside><a href="/category/horror">Horror</a></aside>
+        <footer><a href="/files/book.pdf">Download PDF</a></footer>
+    </body></html>`);
+    const types = Object.fromEntries(links.map(link => [new URL(link.url).pathname + new URL(link.url).search, link.type]));
+
+    assert.deepStrictEqual(types, {
+        '/': 'navigation',
+        '/login': 'navigation',
+        '/s/100/the-lighthouse-keeper': 'story',
+        '/s/101/a-winter-in-oslo': 'story',
+        '/s/102/rain-on-the-river': 'story',
+        '/archive?page=2': 'index',
+        '/category/horror': 'index',
+        '/files/book.pdf': 'asset'
+    });
+
+    const story = links.find(link => link.type === 'story');
+    assert.ok(story.score >= 60);
+    assert.ok(story.reasons.some(reason => /repeated list/.test(reason)));
+    assert.ok(story.reasons.some(reason => /byline or word count/.test(reason)));
+});
+
+test('a link with no signals stays below the default threshold', () => {
+    const [link] = classify('<html><body><div><a href="/wombat">Wombat</a></div></body></html>');
+    assert.strictEqual(link.score, 50);
+    assert.notStrictEqual(link.type, 'story');
+    assert.strictEqual(classify('<html><body><div><a href="/wombat">Wombat</a></div></body></html>', { minScore: 50 })[0].type, 'story');
+});
+
+test('story keywords only match whole words', () => {
+    const reasonsFor = (href, text) => classify(`<html><body><div><a href="${href}">${text}</a></div></body></html>`)[0].reasons;
+    for (const [href, text] of [['/party', 'Party'], ['/thread', 'Thread'], ['/facebook', 'Facebook']]) {
+        assert.ok(!reasonsFor(href, text).some(reason => /story keyword/.test(reason)), href);
+    }
+    assert.ok(reasonsFor('/works/chapter_3', 'Next part').some(reason => /story keyword/.test(reason)));
+});
+
+test('a malformed percent escape does not break classification', () => {
+    const links = classify('<html><body><div><a href="/story/100%-true-tale">A Completely True Tale</a></div></body></html>');
+    assert.strictEqual(links.length, 1);
+    assert.strictEqual(links[0].type, 'story');
+});
+
+test('linkUrlTemplate and decodeUrlSegment normalize URL parts', () => {
+    assert.strictEqual(scraper.linkUrlTemplate('https://x.com/story/123/some-title'), 'x.com/story/:n/*');
+    assert.strictEqual(scraper.linkUrlTemplate('https://x.com/s/ab12/other'), 'x.com/s/:id/*');
+    assert.strictEqual(scraper.decodeUrlSegment('100%-true'), '100%-true');
+    assert.strictEqual(scraper.decodeUrlSegment('caf%C3%A9'), 'café');
+});
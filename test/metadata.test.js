@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+
+const scraper = new EnhancedStoryScraper();
+
+test('extractMetadata prefers JSON-LD, then OpenGraph, then meta tags, then the DOM', () => {
+    const $ = cheerio.load(`<html lang="fr"><head>
+        <script type="application/ld+json">{"@context": "https://schema.org", "@graph": [
+            {"@type": "WebPage", "name": "Page", "description": "page description"},
+            {"@type": "Article", "author": [{"@type": "Person", "name": "Ld Author"}], "datePublished": "2024-03-05T10:00:00Z",
+             "keywords": "Fantasy, Dragons", "image": {"url": "/cover.jpg"}}
+        ]}</script>
+        <script type="application/ld+json">{ broken</script>
+        <meta property="og:description" content="OG summary">
+        <meta property="og:site_name" content="Tale Site">
+        <meta property="article:tag" content="dragons">
+        <meta property="article:published_time" content="2020-01-01">
+        <meta name="Author" content="Meta Author">
+        <meta name="description" content="Meta summary">
+    </head><body><span class="author">By Dom Author</span></body></html>`);
+
+    const metadata = scraper.extractMetadata($, 'https://x.com/s/1');
+    assert.strictEqual(metadata.author, 'Ld Author');
+    assert.strictEqual(metadata.publishedDate, '2024-03-05T10:00:00.000Z');
+    assert.strictEqual(metadata.summary, 'OG summary');
+    assert.strictEqual(metadata.siteName, 'Tale Site');
+    assert.strictEqual(metadata.language, 'fr');
+    assert.strictEqual(metadata.coverImageUrl, 'https://x.com/cover.jpg');
+    assert.deepStrictEqual(metadata.sourceTags, ['Fantasy', 'Dragons']);
+    assert.deepStrictEqual(metadata.sources, {
+        author: 'json-ld', publishedDate: 'json-ld', summary: 'opengraph', language: 'dom', coverImageUrl: 'json-ld', siteName: 'opengraph'
+    });
+});
+
+test('an article:author profile URL falls through to the next source', () => {
+    const $ = cheerio.load('<html><head><meta property="article:author" content="https://x.com/u/1"><meta name="author" content="Meta Author"></head>' +
+        '<body><span class="author">By Dom</span></body></html>');
+
+    const metadata = scraper.extractMetadata($, 'https://x.com/s/1');
+    assert.strictEqual(metadata.author, 'Meta Author');
+    assert.strictEqual(metadata.sources.author, 'meta');
+});
+
+test('extractAuthor takes a site profile selector over metadata, and metadata over byline classes', () => {
+    const $ = cheerio.load('<html><body><span class="writer">By Byline</span><span class="credit">by Profile Pick</span></body></html>');
+
+    assert.strictEqual(scraper.extractAuthor($, null, null), 'Byline');
+    assert.strictEqual(scraper.extractAuthor($, null, { author: 'Meta Author' }), 'Meta Author');
+    assert.strictEqual(scraper.extractAuthor($, { author_selector: '.credit' }, { author: 'Meta Author' }), 'Profile Pick');
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+
+// A stand-in for the Puppeteer browser that records which pages were opened and closed
+function fakeBrowser() {
+    const pages = [];
+    return {
+        pages,
+        isConnected: () => true,
+        newPage: async () => {
+            const page = { closed: false, setDefaultNavigationTimeout() {}, setDefaultTimeout() {}, close: async () => { page.closed = true; } };
+            pages.push(page);
+            return page;
+        }
+    };
+}
+
+function pooledScraper(t, options = {}) {
+    t.mock.method(console, 'log', () => {});
+    const scraper = new EnhancedStoryScraper({ maxConcurrency: 2, ...options });
+    const browser = fakeBrowser();
+    t.mock.method(scraper, 'getBrowser', async () => browser);
+    t.mock.method(scraper, 'resetBrowser', async () => {});
+    return { scraper, browser };
+}
+
+test('withPage runs at most maxConcurrency pages at once and closes every page', async (t) => {
+    const { scraper, browser } = pooledScraper(t);
+    let running = 0;
+    let peak = 0;
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => scraper.withPage(async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        return n;
+    })));
+
+    assert.deepStrictEqual(results, [1, 2, 3, 4, 5]);
+    assert.strictEqual(peak, 2);
+    assert.strictEqual(browser.pages.length, 5);
+    assert.ok(browser.pages.every(page => page.closed));
+    assert.deepStrictEqual(scraper.pagePool, { active: 0, waiting: [] });
+});
+
+test('withPage restarts the browser once after a crash and retries the task', async (t) => {
+    const { scraper, browser } = pooledScraper(t);
+    let calls = 0;
+
+    const result = await scraper.withPage(async () => {
+        if (++calls === 1) throw new Error('Protocol error (Page.navigate): Target closed.');
+        return 'read';
+    });
+
+    assert.strictEqual(result, 'read');
+    assert.strictEqual(scraper.resetBrowser.mock.callCount(), 1);
+    assert.ok(browser.pages.every(page => page.closed));
+
+    await assert.rejects(scraper.withPage(async () => {
+        throw new Error('Session closed. Most likely the page has been closed.');
+    }), /Session closed/);
+    assert.strictEqual(scraper.resetBrowser.mock.callCount(), 3);
+    assert.strictEqual(scraper.pagePool.active, 0);
+});
+
+test('withPage times out a stuck task, closes its page and frees the slot', async (t) => {
+    const { scraper, browser } = pooledScraper(t, { maxConcurrency: 1, pageTimeout: 20 });
+
+    await assert.rejects(scraper.withPage(() => new Promise(() => {})), { code: 'TIMEOUT' });
+    assert.strictEqual(browser.pages[0].closed, true);
+    assert.strictEqual(await scraper.withPage(async () => 'next'), 'next');
+});
+
+test('runWithConcurrency keeps results in input order', async () => {
+    const scraper = new EnhancedStoryScraper();
+    const delays = [15, 1, 8, 3];
+
+    const results = await scraper.runWithConcurrency(delays, 2, async (delay, index) => {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return index;
+    });
+    assert.deepStrictEqual(results, [0, 1, 2, 3]);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+const { words } = require('./helpers');
+
+const scraper = new EnhancedStoryScraper();
+const article = 'https://x.com/story/winter';
+
+test('pageNumberOf recognizes page parameters and /page/N of the same article', () => {
+    assert.strictEqual(scraper.pageNumberOf(article, article), 1);
+    assert.strictEqual(scraper.pageNumberOf('/story/winter?page=3', article), 3);
+    assert.strictEqual(scraper.pageNumberOf('/story/winter/?paged=2', article), 2);
+    assert.strictEqual(scraper.pageNumberOf('/story/winter/page/2', article), 2);
+    assert.strictEqual(scraper.pageNumberOf('/story/winter?page=2&sort=new', article), null);
+    assert.strictEqual(scraper.pageNumberOf('/story/summer?page=2', article), null);
+    assert.strictEqual(scraper.pageNumberOf('https://y.com/story/winter?page=2', article), null);
+});
+
+test('pageNumberOf leaves a bare numeric suffix to chapter detection', () => {
+    assert.strictEqual(scraper.pageNumberOf('https://x.com/s/123/2', 'https://x.com/s/123'), null);
+    assert.strictEqual(scraper.pageNumberOf('/story/winter/2', article), null);
+});
+
+test('findNextPageLink picks the link to the following page', () => {
+    const $ = cheerio.load('<a href="/story/winter?page=1">1</a><a href="/story/winter?page=3">3</a><a href="/story/winter?page=2#top">2</a>');
+    assert.strictEqual(scraper.findNextPageLink($, article, article), 'https://x.com/story/winter?page=2');
+    assert.strictEqual(scraper.findNextPageLink($, `${article}?page=2`, article), 'https://x.com/story/winter?page=3');
+});
+
+test('fetchFollowingPages keeps the pages read before one fails', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const fetcher = new EnhancedStoryScraper({ respectRobots: false, minHostInterval: 0 });
+    const page = (number) => `<html><body><article><p>${words(80, `page${number}-`)}</p></article><a href="/story/winter?page=${number + 1}">Next</a></body></html>`;
+    t.mock.method(fetcher, 'fetchPage', async (url) => {
+        if (url.endsWith('page=3')) throw fetcher.createScrapeError('HTTP_STATUS', 'HTTP 500', { status: 500 });
+        return { html: page(2), finalUrl: url, fetcher: 'http' };
+    });
+
+    const first = { content: words(80, 'page1-'), nextPageUrl: `${article}?page=2` };
+    const { pages, stoppedReason } = await fetcher.fetchFollowingPages(article, first);
+
+    assert.deepStrictEqual(pages.map(joined => joined.url), [`${article}?page=2`]);
+    assert.strictEqual(stoppedReason, 'page_failed');
+});
+
+test('fetchFollowingPages reports why it stopped', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const fetcher = new EnhancedStoryScraper({ respectRobots: false, minHostInterval: 0 });
+    t.mock.method(fetcher, 'fetchPage', async (url) => ({
+        html: `<html><body><article><p>${words(80, url)}</p></article><a href="${url.replace(/\d+$/, n => Number(n) + 1)}">Next</a></body></html>`,
+        finalUrl: url,
+        fetcher: 'http'
+    }));
+
+    const first = { content: words(80, 'page1-'), nextPageUrl: `${article}?page=2` };
+    assert.strictEqual((await fetcher.fetchFollowingPages(article, first, { maxPages: 3 })).stoppedReason, 'max_pages');
+    assert.strictEqual((await fetcher.fetchFollowingPages(article, { content: 'x', nextPageUrl: null })).stoppedReason, null);
+});
+
+test('without followPages the pager is reported instead of silently dropped', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const fetcher = new EnhancedStoryScraper({ respectRobots: false, minHostInterval: 0 });
+    t.mock.method(fetcher, 'getSiteProfileForHost', async () => null);
+    t.mock.method(fetcher, 'getBoilerplateFingerprints', async () => new Set());
+    const fetchPage = t.mock.method(fetcher, 'fetchPage', async (url) => ({
+        html: `<html><body><h1>Winter</h1><article><p>${words(80, 'page1-')}</p></article><a href="/story/winter?page=2">Next</a></body></html>`,
+        finalUrl: url,
+        fetcher: 'http'
+    }));
+
+    const extracted = await fetcher.extractStory(article);
+    assert.strictEqual(fetchPage.mock.callCount(), 1);
+    assert.strictEqual(extracted.pageCount, 1);
+    assert.strictEqual(extracted.pagesStoppedReason, 'not_followed');
+    assert.strictEqual(extracted.nextPageUrl, `${article}?page=2`);
+
+    const { story } = fetcher.buildScrapeResult(1, article, extracted);
+    assert.strictEqual(story.morePagesAvailable, true);
+    assert.strictEqual(story.nextPageUrl, `${article}?page=2`);
+});
+
+test('a pager followed to its end leaves no page unread', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const fetcher = new EnhancedStoryScraper({ respectRobots: false, minHostInterval: 0 });
+    t.mock.method(fetcher, 'fetchPage', async (url) => ({
+        html: `<html><body><article><p>${words(80, 'page2-')}</p></article></body></html>`,
+        finalUrl: url,
+        fetcher: 'http'
+    }));
+
+    const result = await fetcher.fetchFollowingPages(article, { content: words(80, 'page1-'), nextPageUrl: `${article}?page=2` });
+    assert.strictEqual(result.pages.length, 1);
+    assert.strictEqual(result.nextPageUrl, null);
+});
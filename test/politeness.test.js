@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+
+test('parseRobotsTxt reads the group for our agent, falling back to *', () => {
+    const scraper = new EnhancedStoryScraper({ robotsUserAgent: 'StoryBot' });
+    const text = [
+        'User-agent: *',
+        'Disallow: /',
+        '',
+        'User-agent: other',
+        'User-agent: storybot',
+        'Disallow: /private # members only',
+        'Allow: /private/open$',
+        'Crawl-delay: 2',
+        'Sitemap: https://x.com/sitemap.xml'
+    ].join('\r\n');
+
+    const robots = scraper.parseRobotsTxt(text);
+    assert.deepStrictEqual(robots.rules, [{ allow: false, path: '/private' }, { allow: true, path: '/private/open$' }]);
+    assert.strictEqual(robots.crawlDelay, 2);
+    assert.deepStrictEqual(robots.sitemaps, ['https://x.com/sitemap.xml']);
+
+    assert.strictEqual(scraper.isAllowedByRobots(robots, 'https://x.com/story/1'), true);
+    assert.strictEqual(scraper.isAllowedByRobots(robots, 'https://x.com/private/page'), false);
+    assert.strictEqual(scraper.isAllowedByRobots(robots, 'https://x.com/private/open'), true);
+    assert.strictEqual(scraper.isAllowedByRobots(robots, 'https://x.com/private/open?x=1'), false);
+
+    const fallback = new EnhancedStoryScraper({ robotsUserAgent: 'Nobody' }).parseRobotsTxt(text);
+    assert.deepStrictEqual(fallback.rules, [{ allow: false, path: '/' }]);
+});
+
+test('waitForHostTurn forgets hosts whose next slot has passed', async () => {
+    const scraper = new EnhancedStoryScraper({ respectRobots: false, minHostInterval: 20 });
+
+    await scraper.waitForHostTurn('https://a.com/1');
+    await scraper.waitForHostTurn('https://b.com/1');
+    assert.deepStrictEqual([...scraper.politeness.nextRequestAt.keys()], ['a.com', 'b.com']);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    await scraper.waitForHostTurn('https://c.com/1');
+    assert.deepStrictEqual([...scraper.politeness.nextRequestAt.keys()], ['c.com']);
+});
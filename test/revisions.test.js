@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestScraper, words } = require('./helpers');
+
+const url = 'https://x.com/story/winter';
+const page = (text) => `<html><head><title>Winter</title></head><body><h1>Winter</h1><article><p>${text}</p></article></body></html>`;
+
+async function storyWithSnapshot(db, storedText, pageText) {
+    const storyId = await db.insertStory({ url, original_url: url, title: 'Winter', content: storedText, content_html: `<p>${storedText}</p>`, word_count: 80, domain: 'x.com' });
+    await db.saveStorySnapshots(storyId, [{ url, finalUrl: url, fetcher: 'http', html: page(pageText), chapterNumber: null, pageNumber: 1 }]);
+    return storyId;
+}
+
+test('reextractStory archives the replaced text as a revision', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const db = await createTestScraper();
+    const storyId = await storyWithSnapshot(db, words(80, 'old'), words(80, 'new'));
+
+    const result = await db.reextractStory(storyId);
+    assert.strictEqual(result.changed, true);
+    assert.strictEqual(result.revision.revisionNumber, 1);
+
+    const revisions = await db.getStoryRevisions(storyId);
+    assert.strictEqual(revisions.length, 1);
+    const archived = await db.getStoryRevision(storyId, revisions[0].revision_number);
+    assert.strictEqual(archived.content, words(80, 'old'));
+    assert.match((await db.getStoryById(storyId)).content, /new0/);
+});
+
+test('a dry run or an unchanged re-extraction archives nothing', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const db = await createTestScraper();
+    const storyId = await storyWithSnapshot(db, words(80, 'old'), words(80, 'new'));
+
+    assert.strictEqual((await db.reextractStory(storyId, { dryRun: true })).revision, null);
+    await db.reextractStory(storyId);
+    assert.strictEqual((await db.reextractStory(storyId)).changed, false);
+    assert.strictEqual((await db.getStoryRevisions(storyId)).length, 1);
+});
+
+test('getSnapshotHtml returns null for a row without html', async () => {
+    const db = await createTestScraper();
+    const storyId = await storyWithSnapshot(db, 'old', 'new');
+    const [snapshot] = await db.getStorySnapshots(storyId);
+
+    assert.match(await db.getSnapshotHtml(storyId, snapshot.id), /<h1>Winter<\/h1>/);
+    await new Promise((resolve, reject) => db.db.run('UPDATE page_snapshots SET html = NULL', (err) => err ? reject(err) : resolve()));
+    assert.strictEqual(await db.getSnapshotHtml(storyId, snapshot.id), null);
+});
+
+test('concurrent archives get distinct revision numbers', async () => {
+    const db = await createTestScraper();
+    const storyId = await db.insertStory({ url, title: 'Winter', content: 'text' });
+    const story = await db.getStoryById(storyId);
+
+    const revisions = await Promise.all(Array.from({ length: 5 }, () => db.archiveStoryRevision(story)));
+    assert.deepStrictEqual(revisions.map(revision => revision.revisionNumber).sort(), [1, 2, 3, 4, 5]);
+});
+
+test('archived revisions keep the chapters they were assembled from', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const db = await createTestScraper();
+    const storyId = await db.insertStory({ url, title: 'Winter', content: 'one\n\ntwo' });
+    await db.saveChapters(storyId, [
+        { chapterNumber: 1, title: 'One', url: `${url}/1`, content: 'one', contentHtml: '<p>one</p>', wordCount: 1 },
+        { chapterNumber: 2, title: 'Two', url: `${url}/2`, content: 'two', contentHtml: '<p>two</p>', wordCount: 1 }
+    ]);
+
+    const { revisionNumber } = await db.archiveStoryRevision(await db.getStoryById(storyId));
+    await db.saveChapters(storyId, [{ chapterNumber: 1, title: 'Rewritten', url: `${url}/1`, content: 'new', contentHtml: '<p>new</p>', wordCount: 1 }]);
+
+    const archived = await db.getStoryRevision(storyId, revisionNumber);
+    assert.deepStrictEqual(archived.chapters.map(chapter => [chapter.chapter_number, chapter.title, chapter.content]), [[1, 'One', 'one'], [2, 'Two', 'two']]);
+    assert.deepStrictEqual((await db.getStoryChapters(storyId)).map(chapter => chapter.title), ['Rewritten']);
+});
+
+test('diffParagraphs finds the shortest paragraph edit between two versions', () => {
+    const db = new (require('../enhanced-scraper-v3'))();
+    const text = (paragraphs) => paragraphs.join('\n\n');
+
+    // A small pseudo-random generator keeps the cases reproducible
+    let seed = 7;
+    const random = (limit) => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed % limit;
+    };
+    const lcsLength = (a, b) => {
+        const row = new Array(b.length + 1).fill(0);
+        for (const item of a) {
+            let diagonal = 0;
+            for (let j = 1; j <= b.length; j++) {
+                const above = row[j];
+                row[j] = item === b[j - 1] ? diagonal + 1 : Math.max(row[j], row[j - 1]);
+                diagonal = above;
+            }
+        }
+        return row[b.length];
+    };
+
+    for (let round = 0; round < 200; round++) {
+        const a = Array.from({ length: random(12) }, () => `p${random(5)}`);
+        const b = Array.from({ length: random(12) }, () => `p${random(5)}`);
+        const { summary, changes, coarse } = db.diffParagraphs(text(a), text(b));
+
+        assert.strictEqual(coarse, false);
+        assert.strictEqual(summary.unchanged, lcsLength(a, b));
+        assert.deepStrictEqual(changes.filter(change => change.type !== 'added').map(change => change.text), a);
+        assert.deepStrictEqual(changes.filter(change => change.type !== 'removed').map(change => change.text), b);
+    }
+});
+
+test('diffParagraphs handles long stories and falls back to a coarse diff past the edit bound', () => {
+    const db = new (require('../enhanced-scraper-v3'))();
+    const long = Array.from({ length: 50000 }, (_, i) => `Paragraph ${i}`);
+    const edited = [...long];
+    edited.splice(25000, 1, 'A rewritten paragraph');
+
+    const { summary, coarse } = db.diffParagraphs(long.join('\n\n'), edited.join('\n\n'));
+    assert.deepStrictEqual(summary, { added: 1, removed: 1, unchanged: 49999 });
+    assert.strictEqual(coarse, false);
+
+    const rewritten = long.map((paragraph, i) => (i % 2 ? `Rewritten ${i}` : paragraph));
+    const replaced = db.diffParagraphs(long.join('\n\n'), rewritten.join('\n\n'));
+    assert.strictEqual(replaced.coarse, true);
+    assert.deepStrictEqual(replaced.summary, { added: 49999, removed: 49999, unchanged: 1 });
+    assert.strictEqual(db.diffSequences(['a', 'b'], ['c', 'd'], 1), null);
+});
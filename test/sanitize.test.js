@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+
+const scraper = new EnhancedStoryScraper();
+
+function sanitize(html, options) {
+    const $ = cheerio.load(html, null, false);
+    return scraper.sanitizeContentHtml($.root().contents(), options);
+}
+
+test('sanitizeContentHtml keeps only allow-listed tags and no attributes', () => {
+    const html = sanitize('<div class="x" onclick="evil()"><p style="color:red">Hi <b>bold</b> <i>it</i> <a href="javascript:x">link</a> ' +
+        '<span>s</span><script>alert(1)</script></p><iframe src="x"></iframe><h2>Head</h2>Loose text<br><br>more' +
+        '<ul><li>one</li><li>two</li></ul><blockquote><p>q</p></blockquote><hr><img src="/a.png" onerror="x"> 5 &lt; 6</div>');
+
+    assert.strictEqual(html, [
+        '<p>Hi <strong>bold</strong> <em>it</em> link s</p>',
+        '<h2>Head</h2>',
+        '<p>Loose text</p>',
+        '<p>more</p>',
+        '<ul><li>one</li><li>two</li></ul>',
+        '<blockquote><p>q</p></blockquote>',
+        '<hr>',
+        '<p>5 &lt; 6</p>'
+    ].join('\n'));
+});
+
+test('sanitizeContentHtml keeps images only when asked, with an absolute http(s) src and escaped alt', () => {
+    const html = '<p>pic <img src="/a.png" alt="A&quot;" onerror="x"> <img src="javascript:alert(1)"></p>';
+
+    assert.strictEqual(sanitize(html), '<p>pic</p>');
+    assert.strictEqual(sanitize(html, { images: true, baseUrl: 'https://x.com/s/1' }), '<p>pic <img src="https://x.com/a.png" alt="A&quot;"></p>');
+});
+
+test('storyContentHtml escapes plain-text stories saved before content_html existed', () => {
+    assert.strictEqual(scraper.storyContentHtml({ content_html: '<p>kept</p>', content: 'ignored' }), '<p>kept</p>');
+    assert.strictEqual(scraper.storyContentHtml({ content: 'Line <one>\n\nFish & chips' }), '<p>Line &lt;one&gt;</p><p>Fish &amp; chips</p>');
+});
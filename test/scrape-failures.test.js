@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+
+const scraper = new EnhancedStoryScraper({ maxFailureAttempts: 3 });
+
+test('classifyScrapeError sorts failures into types and retryability', () => {
+    const classify = (error) => {
+        const { type, retryable } = scraper.classifyScrapeError(error);
+        return `${type}:${retryable}`;
+    };
+
+    assert.strictEqual(classify(scraper.createScrapeError('HTTP_STATUS', 'HTTP 503', { status: 503 })), 'http_status:true');
+    assert.strictEqual(classify(scraper.createScrapeError('HTTP_STATUS', 'HTTP 404', { status: 404 })), 'http_status:false');
+    assert.strictEqual(classify(scraper.createScrapeError('ROBOTS_DISALLOWED', 'Blocked')), 'blocked:false');
+    assert.strictEqual(classify(scraper.createScrapeError('EMPTY_CONTENT', 'Empty')), 'empty_content:false');
+    assert.strictEqual(classify(new Error('Navigation timeout of 30000 ms exceeded')), 'timeout:true');
+    assert.strictEqual(classify(new Error('net::ERR_CONNECTION_RESET at https://x.com')), 'network:true');
+    assert.strictEqual(classify(new TypeError('fetch failed')), 'network:true');
+    assert.strictEqual(classify(new Error('Cannot read properties of undefined')), 'unknown:true');
+});
+
+test('unknown failures are retried until maxFailureAttempts', () => {
+    assert.strictEqual(scraper.isWorthRetrying(null), true);
+    assert.strictEqual(scraper.isWorthRetrying({ error_type: 'unknown', retryable: 1, attempts: 2 }), true);
+    assert.strictEqual(scraper.isWorthRetrying({ error_type: 'unknown', retryable: 1, attempts: 3 }), false);
+    assert.strictEqual(scraper.isWorthRetrying({ error_type: 'blocked', retryable: 0, attempts: 1 }), false);
+});
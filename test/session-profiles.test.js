@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+
+const scraper = new EnhancedStoryScraper();
+
+test('parseCookieExport reads Netscape cookies.txt and JSON exports', () => {
+    const netscape = scraper.parseCookieExport([
+        '# Netscape HTTP Cookie File',
+        '.example.com\tTRUE\t/\tTRUE\t2000000000\tsid\tabc',
+        '#HttpOnly_example.com\tFALSE\t/members\tFALSE\t0\ttoken\tx\ty'
+    ].join('\n'));
+    assert.deepStrictEqual(netscape, [
+        { name: 'sid', value: 'abc', domain: '.example.com', path: '/', expires: 2000000000, secure: true, httpOnly: false },
+        { name: 'token', value: 'x\ty', domain: 'example.com', path: '/members', expires: null, secure: false, httpOnly: true }
+    ]);
+
+    const json = scraper.parseCookieExport('[{"name":"sid","value":1,"domain":"Example.com","expirationDate":1900000000.5}]');
+    assert.deepStrictEqual(json, [{ name: 'sid', value: '1', domain: 'example.com', path: '/', expires: 1900000000, secure: false, httpOnly: false }]);
+});
+
+test('parseCookieExport rejects malformed exports as invalid_cookies', () => {
+    for (const content of ['[{"name": ', 'just some text']) {
+        assert.throws(() => scraper.parseCookieExport(content), (error) => {
+            assert.strictEqual(error.code, 'INVALID_COOKIES');
+            assert.deepStrictEqual(scraper.classifyScrapeError(error), { type: 'invalid_cookies', retryable: false, status: null });
+            return true;
+        });
+    }
+});
+
+test('session fetches run in their own browser context', async () => {
+    const fetcher = new EnhancedStoryScraper({ respectRobots: false, minHostInterval: 0 });
+    const events = [];
+    const fakePage = (owner) => ({
+        setDefaultNavigationTimeout() {},
+        setDefaultTimeout() {},
+        setCookie: async (...cookies) => events.push(`${owner} cookies ${cookies.map(cookie => cookie.name)}`),
+        setExtraHTTPHeaders: async () => {},
+        goto: async () => null,
+        content: async () => '<html></html>',
+        url: () => 'https://example.com/s/1',
+        close: async () => events.push(`${owner} page closed`)
+    });
+    fetcher.getBrowser = async () => ({
+        newPage: async () => fakePage('shared'),
+        createBrowserContext: async () => ({
+            newPage: async () => fakePage('isolated'),
+            close: async () => events.push('context closed')
+        })
+    });
+
+    const session = { cookies: [{ name: 'sid', value: 'abc', domain: 'example.com', path: '/', expires: null }], headers: {} };
+    await fetcher.fetchWithPuppeteer('https://example.com/s/1', { session });
+    await fetcher.fetchWithPuppeteer('https://example.com/s/2');
+
+    assert.deepStrictEqual(events, ['isolated cookies sid', 'isolated page closed', 'context closed', 'shared page closed']);
+});
+
+test('fetchWithHttp drops session headers and cookies on a redirect to another host', async (t) => {
+    const fetcher = new EnhancedStoryScraper();
+    const session = {
+        hostname: 'x.com',
+        headers: { 'X-Api-Token': 'secret' },
+        cookies: [{ name: 'sid', value: 'abc', domain: '', path: '/', expires: null, secure: false }]
+    };
+    const redirects = {
+        'https://x.com/s/1': 'https://www.x.com/s/1',
+        'https://www.x.com/s/1': 'https://tracker.example/landing'
+    };
+    const requests = [];
+    t.mock.method(globalThis, 'fetch', async (url, init) => {
+        requests.push({ url, headers: init.headers, redirect: init.redirect });
+        return redirects[url]
+            ? new Response(null, { status: 302, headers: { location: redirects[url] } })
+            : new Response('<html></html>', { headers: { 'content-type': 'text/html' } });
+    });
+
+    const result = await fetcher.fetchWithHttp('https://x.com/s/1', { session });
+
+    assert.strictEqual(result.finalUrl, 'https://tracker.example/landing');
+    assert.deepStrictEqual(requests.map(request => request.redirect), ['manual', 'manual', 'manual']);
+    assert.deepStrictEqual(requests.map(request => [request.headers['X-Api-Token'], request.headers['Cookie']]), [
+        ['secret', 'sid=abc'],
+        ['secret', 'sid=abc'],
+        [undefined, undefined]
+    ]);
+});
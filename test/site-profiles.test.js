@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestScraper } = require('./helpers');
+
+test('site profiles normalize the hostname and join removal selectors', async () => {
+    const db = await createTestScraper();
+    const created = await db.createSiteProfile({ hostname: 'WWW.Example.com', titleSelector: 'h1.title', removeSelectors: ['.ads', '', '.share'], minRequestInterval: '-5' });
+
+    assert.strictEqual(created.hostname, 'example.com');
+    assert.strictEqual(created.title_selector, 'h1.title');
+    assert.strictEqual(created.remove_selectors, '.ads, .share');
+    assert.strictEqual(created.min_request_interval, 0);
+    assert.strictEqual((await db.getSiteProfileForHost('fiction.example.com')).id, created.id);
+});
+
+test('updateSiteProfile keeps omitted fields and clears fields sent as null', async () => {
+    const db = await createTestScraper();
+    const { id } = await db.createSiteProfile({ hostname: 'example.com', name: 'Example', titleSelector: 'h1', contentSelector: 'article', minRequestInterval: 500, requiresJs: true });
+
+    const updated = await db.updateSiteProfile(id, { titleSelector: null, min_request_interval: null, requiresJs: false });
+    assert.strictEqual(updated.name, 'Example');
+    assert.strictEqual(updated.content_selector, 'article');
+    assert.strictEqual(updated.title_selector, null);
+    assert.strictEqual(updated.min_request_interval, null);
+    assert.strictEqual(updated.requires_js, 0);
+});
+
+test('site profile selectors are validated on create and update', async () => {
+    const db = await createTestScraper();
+    await assert.rejects(db.createSiteProfile({ hostname: 'example.com', contentSelector: 'div[' }), { code: 'INVALID_SELECTOR' });
+
+    const { id } = await db.createSiteProfile({ hostname: 'example.com', contentSelector: 'article' });
+    await assert.rejects(db.updateSiteProfile(id, { removeSelectors: ['.ads', 'p:unknown-pseudo'] }), { code: 'INVALID_SELECTOR' });
+    assert.strictEqual((await db.getSiteProfile(id)).remove_selectors, null);
+});
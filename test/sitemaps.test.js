@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+
+const scraper = new EnhancedStoryScraper();
+
+test('parseSitemap reads page URLs with their lastmod, resolved against the sitemap', () => {
+    const xml = '<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">' +
+        '<url><loc> /story/1 </loc><lastmod>2024-03-05</lastmod></url>' +
+        '<url><loc>https://x.com/story/2</loc></url>' +
+        '<url><lastmod>2024-01-01</lastmod></url></urlset>';
+
+    assert.deepStrictEqual(scraper.parseSitemap(xml, 'https://x.com/sitemap.xml'), {
+        sitemaps: [],
+        urls: [
+            { url: 'https://x.com/story/1', lastmod: '2024-03-05T00:00:00.000Z' },
+            { url: 'https://x.com/story/2', lastmod: null }
+        ]
+    });
+});
+
+test('parseSitemap lists the child sitemaps of a sitemap index', () => {
+    const xml = '<sitemapindex><sitemap><loc>https://x.com/s1.xml.gz</loc></sitemap><sitemap><loc>s2.xml</loc></sitemap></sitemapindex>';
+
+    assert.deepStrictEqual(scraper.parseSitemap(xml, 'https://x.com/sitemaps/index.xml'), {
+        sitemaps: ['https://x.com/s1.xml.gz', 'https://x.com/sitemaps/s2.xml'],
+        urls: []
+    });
+});
+
+test('parseSitemap reads plain-text sitemaps one URL per line', () => {
+    assert.deepStrictEqual(scraper.parseSitemap('https://x.com/a\r\nnot a url\nhttp://x.com/b\n', 'https://x.com/sitemap.txt').urls, [
+        { url: 'https://x.com/a', lastmod: null },
+        { url: 'http://x.com/b', lastmod: null }
+    ]);
+});
+
+test('fetchSitemap reads gzipped sitemaps and fails ones over maxSitemapBytes', async (t) => {
+    const zlib = require('zlib');
+    const fetcher = new EnhancedStoryScraper({ respectRobots: false, minHostInterval: 0, maxSitemapBytes: 4096 });
+    const urlset = (count) => `<urlset>${Array.from({ length: count }, (_, i) => `<url><loc>https://x.com/story/${i}</loc></url>`).join('')}</urlset>`;
+    let body;
+    t.mock.method(globalThis, 'fetch', async () => new Response(body));
+
+    body = zlib.gzipSync(urlset(2));
+    assert.strictEqual((await fetcher.fetchSitemap('https://x.com/sitemap.xml.gz')).urls.length, 2);
+
+    // A few hundred compressed bytes that expand far past the cap
+    body = zlib.gzipSync(`<urlset>${' '.repeat(1024 * 1024)}</urlset>`);
+    assert.ok(body.length < 4096);
+    await assert.rejects(fetcher.fetchSitemap('https://x.com/sitemap.xml.gz'), /larger than 4096 bytes uncompressed/);
+
+    body = Buffer.from(urlset(500));
+    await assert.rejects(fetcher.fetchSitemap('https://x.com/sitemap.xml'), /larger than 4096 bytes/);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+
+const scraper = new EnhancedStoryScraper();
+
+test('parseChapterLabel reads arabic and roman chapter numbers with their titles', () => {
+    assert.deepStrictEqual(scraper.parseChapterLabel('Chapter 12: The Storm'), { number: 12, title: 'The Storm' });
+    assert.deepStrictEqual(scraper.parseChapterLabel('Ch. XII - The Storm'), { number: 12, title: 'The Storm' });
+    assert.deepStrictEqual(scraper.parseChapterLabel('12. The Storm'), { number: 12, title: 'The Storm' });
+    assert.deepStrictEqual(scraper.parseChapterLabel('  chapter   3  '), { number: 3, title: 'chapter 3' });
+    assert.deepStrictEqual(scraper.parseChapterLabel('Prologue'), { number: null, title: 'Prologue' });
+    assert.deepStrictEqual(scraper.parseChapterLabel('Chapterhouse'), { number: null, title: 'Chapterhouse' });
+});
+
+test('parseTableOfContents picks the chapter list over menus and reads newest-first lists oldest first', () => {
+    const $ = cheerio.load(`<html><body>
+        <nav><a href="/">Home</a><a href="/about">About</a><a href="/contact">Contact</a></nav>
+        <ul class="chapters">
+            <li><a href="/s/tale/3">Chapter 3: End</a></li>
+            <li><a href="/s/tale/2">Chapter 2: Middle</a></li>
+            <li><a href="/s/tale/1#top">Chapter 1: Start</a></li>
+            <li><a href="/s/tale/1">Chapter 1 again</a></li>
+        </ul>
+        <a href="https://other.com/s/x/1">Chapter 9</a>
+    </body></html>`);
+
+    const toc = scraper.parseTableOfContents($, 'https://x.com/s/tale');
+    assert.strictEqual(toc.reversed, true);
+    assert.strictEqual(toc.listPath, 'html>body>ul.chapters>li');
+    assert.deepStrictEqual(toc.chapters.map(chapter => [chapter.position, chapter.url, chapter.title]), [
+        [1, 'https://x.com/s/tale/1', 'Start'],
+        [2, 'https://x.com/s/tale/2', 'Middle'],
+        [3, 'https://x.com/s/tale/3', 'End']
+    ]);
+});
+
+test('parseTableOfContents finds nothing on a page without a repeated link list', () => {
+    const $ = cheerio.load('<html><body><p>Just <a href="/one">one link</a>.</p></body></html>');
+    assert.deepStrictEqual(scraper.parseTableOfContents($, 'https://x.com/page'), { chapters: [], listPath: null, reversed: false });
+});
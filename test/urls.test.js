@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+const { createTestScraper } = require('./helpers');
+
+const scraper = new EnhancedStoryScraper();
+
+test('canonicalizeUrl normalizes scheme, host, tracking parameters and trailing slashes', () => {
+    assert.strictEqual(
+        scraper.canonicalizeUrl('http://WWW.Example.com/story/1/?utm_source=x&b=2&fbclid=y&a=1#comments'),
+        'https://example.com/story/1?a=1&b=2'
+    );
+    assert.strictEqual(scraper.canonicalizeUrl('https://example.com/?utm_medium=rss'), 'https://example.com/');
+    assert.strictEqual(scraper.canonicalizeUrl('../chapter-2', 'https://example.com/story/chapter-1'), 'https://example.com/chapter-2');
+    assert.strictEqual(scraper.canonicalizeUrl('mailto:someone@example.com'), 'mailto:someone@example.com');
+    assert.strictEqual(scraper.canonicalizeUrl('not a url'), 'not a url');
+});
+
+test('getUrlCollisions lists stories whose URLs canonicalize to one another until they are merged', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const db = await createTestScraper();
+    const insert = (url) => db.insertStory({ url, original_url: url, title: url, content: 'text', domain: 'x.com' });
+    const first = await insert('http://www.x.com/story/1/');
+    const second = await insert('https://x.com/story/1?utm_source=feed');
+    await insert('https://x.com/story/2');
+
+    const report = await db.canonicalizeTableUrls('stories');
+    assert.strictEqual(report.updated, 1);
+    assert.deepStrictEqual(await db.getUrlCollisions('stories'), [
+        { canonicalUrl: 'https://x.com/story/1', keptId: first, duplicateIds: [second] }
+    ]);
+
+    await db.mergeStories(first, [second]);
+    assert.deepStrictEqual(await db.getUrlCollisions('stories'), []);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const EnhancedStoryScraper = require('../enhanced-scraper-v3');
+
+const scraper = new EnhancedStoryScraper();
+
+test('xpathToSelector translates the XPath copied from browser devtools', () => {
+    assert.strictEqual(scraper.xpathToSelector('//div[@id="story"]/p[2]'), 'div[id="story"] > p:nth-of-type(2)');
+    assert.strictEqual(scraper.xpathToSelector('/html/body/main'), 'html:root > body > main');
+    assert.strictEqual(scraper.xpathToSelector('//*[contains(@class, "chapter") and @data-x]'), '[class*="chapter"][data-x]');
+    assert.strictEqual(scraper.xpathToSelector("//p[last()] | //div[starts-with(@id,'c')]//span"), 'p:last-of-type, div[id^="c"] span');
+    assert.strictEqual(scraper.xpathToSelector('//p[contains(text(),"End")]'), 'p:contains("End")');
+});
+
+test('translated selectors match the nodes the XPath names', () => {
+    const $ = cheerio.load('<html><body><div id="story"><p>one</p><p>two</p><p>The End</p></div></body></html>');
+
+    assert.strictEqual($(scraper.xpathToSelector('//div[@id="story"]/p[2]')).text(), 'two');
+    assert.strictEqual($(scraper.xpathToSelector('/html/body/div/p[last()]')).text(), 'The End');
+    assert.strictEqual($(scraper.xpathToSelector('//p[contains(., "End")]')).length, 1);
+});
+
+test('xpathToSelector rejects XPath beyond the supported subset', () => {
+    for (const xpath of ['//p[position()>1]', '//div/@class', 'count(//p)']) {
+        assert.throws(() => scraper.xpathToSelector(xpath), (err) => err.code === 'INVALID_SELECTOR' && err.message.includes(xpath));
+    }
+});